@@ -0,0 +1,447 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { writeView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, insufficientDataError } = require('./record-store');
+const { generateComparisonData } = require('./realtime-analysis');
+const { buildPeriods, calculateUserStats } = require('./process-csv');
+const { resolvePrivacy, describePrivacy, maskName, protectRows } = require('./privacy');
+const { DEFAULT_TIME_ZONE, formatYearMonth, formatDateKey } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 既定のアラートルール・通知先の定義ファイル
+ */
+const DEFAULT_ALERTS_PATH = path.join(__dirname, 'config', 'alerts.json');
+
+/**
+ * 重大度（anomaly-detection.js と同じキー。上から重い順）
+ */
+const SEVERITIES = {
+    critical: '重大',
+    warning: '注意',
+    notice: '軽微'
+};
+
+/**
+ * 増減を判定できる指標（realtime-analysis.js の totalStats / comparison）
+ */
+const CHANGE_METRICS = {
+    totalSessions: '利用回数',
+    totalHours: '利用時間',
+    uniqueUsers: 'ユニーク利用者数',
+    peakOccupancy: 'ピーク時在館者数',
+    averageOccupancy: '平均在館者数'
+};
+
+const DEFAULT_MEMBER_PERIOD = 'last-3m';
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ルールの種類ごとの判定
+ * 各関数は (rule, context) を受け取り、条件を満たせば { value, threshold, message, details } を返す（満たさなければ null）
+ * context: { comparison: generateComparisonData の結果, members: 会員ルール用のデータ（getMemberActivity） }
+ */
+const RULE_TYPES = {
+    // 比較期間の指標が基準期間から percent % を超えて減少（direction: "down"）・増加（"up"）
+    change: (rule, { comparison }) => {
+        const { percent } = comparison.comparison[`${rule.metric}Change`];
+        if (percent === null) return null;
+        if (rule.direction === 'up' ? !(percent > rule.percent) : !(percent < -rule.percent)) return null;
+
+        const { currentMonth, previousMonth, metadata } = comparison;
+        const label = CHANGE_METRICS[rule.metric];
+        return {
+            value: percent,
+            threshold: rule.direction === 'up' ? rule.percent : -rule.percent,
+            message: `${label}が${metadata.previousLabel}比 ${percent >= 0 ? '+' : ''}${percent}%（${metadata.currentLabel} ${currentMonth.totalStats[rule.metric]} / ${metadata.previousLabel} ${previousMonth.totalStats[rule.metric]}）`,
+            details: { metric: rule.metric, currentPeriod: metadata.currentPeriod, previousPeriod: metadata.previousPeriod }
+        };
+    },
+
+    // 比較期間のピーク時在館者数が定員 capacity を超えた
+    capacity: (rule, { comparison }) => {
+        const { peakOccupancy, peakAt } = comparison.currentMonth.totalStats;
+        if (!(peakOccupancy > rule.capacity)) return null;
+
+        return {
+            value: peakOccupancy,
+            threshold: rule.capacity,
+            message: `ピーク時在館者数 ${peakOccupancy}人が定員 ${rule.capacity}人を超えました（${peakAt}）`,
+            details: { peakAt, currentPeriod: comparison.metadata.currentPeriod }
+        };
+    },
+
+    // 期間 period の月平均利用回数が minMonthlyVisits 回を超える会員が inactiveDays 日以上来館していない
+    inactiveMember: (rule, { members }) => {
+        const period = rule.period || DEFAULT_MEMBER_PERIOD;
+        const absent = members.stats(period)
+            .filter(user => user.monthlyVisits > rule.minMonthlyVisits)
+            .map(user => ({ ...user, ...members.lastVisits[user.userKey] }))
+            .filter(user => user.daysSinceLastVisit >= rule.inactiveDays)
+            .sort((a, b) => b.monthlyVisits - a.monthlyVisits);
+        if (absent.length === 0) return null;
+
+        return {
+            value: absent.length,
+            threshold: rule.inactiveDays,
+            message: `月${rule.minMonthlyVisits}回を超えて利用していた会員${absent.length}名が${rule.inactiveDays}日以上来館していません`,
+            details: {
+                period,
+                members: absent.map(({ userKey, name, monthlyVisits, lastVisit, daysSinceLastVisit }) => ({
+                    userKey, name, monthlyVisits, lastVisit, daysSinceLastVisit
+                }))
+            }
+        };
+    }
+};
+
+/**
+ * 通知先の種類
+ * 各関数は (設定, 定義ファイルのディレクトリ) を受け取り、{ name, notify(alerts, alertData, privacy) } を返す
+ * registerNotifier で種類を追加できる（検証用のスタブなど）
+ */
+const NOTIFIERS = {
+    // コンソールは出力のプライバシー設定に合わせ、identifiable でなければ仮名で表示する
+    stdout: () => ({
+        name: 'stdout',
+        notify: async (alerts, alertData, privacy) => {
+            alerts.forEach(alert => {
+                console.log(`🔔 [${SEVERITIES[alert.severity]}] ${alert.label}: ${alert.message}`);
+                (alert.details.members || []).slice(0, 10).forEach(member => {
+                    const name = privacy ? maskName(privacy, member.userKey, member.name) : member.name;
+                    console.log(`   - ${name} (${member.monthlyVisits}回/月, 最終来館${member.lastVisit})`);
+                });
+            });
+        }
+    }),
+
+    // 発生したアラートをJSON Lines形式で追記（path は定義ファイルからの相対パス）
+    file: (config, baseDir) => {
+        if (!config.path) {
+            throw new Error('file 通知先には path を指定してください');
+        }
+        const filePath = path.resolve(baseDir, config.path);
+        return {
+            name: `file (${filePath})`,
+            notify: async (alerts, alertData) => {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.appendFile(filePath, `${JSON.stringify({ asOf: alertData.metadata.asOf, alerts })}\n`);
+            }
+        };
+    },
+
+    // 発生したアラートをJSONでPOST（text は Slack などのIncoming Webhook向けの本文）
+    // URLを定義ファイルに書かない場合は urlEnv に環境変数名を指定する
+    webhook: config => {
+        const url = config.url || (config.urlEnv && process.env[config.urlEnv]);
+        if (!url) {
+            throw new Error(`webhook 通知先のURLがありません（url または環境変数 ${config.urlEnv || '(urlEnv)'} を設定してください）`);
+        }
+        return {
+            name: `webhook (${new URL(url).host})`,
+            notify: async (alerts, alertData) => {
+                const text = alerts.map(alert => `[${SEVERITIES[alert.severity]}] ${alert.label}: ${alert.message}`).join('\n');
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ text, alerts, metadata: alertData.metadata }),
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+            }
+        };
+    }
+};
+
+/**
+ * 通知先の種類を追加
+ * @param {string} type - 定義ファイルの notifiers[].type
+ * @param {Function} factory - (設定, 定義ファイルのディレクトリ) => { name, notify(alerts, alertData, privacy) }
+ */
+function registerNotifier(type, factory) {
+    NOTIFIERS[type] = factory;
+}
+
+/**
+ * アラートルール・通知先の定義を読み込み
+ * 形式: {
+ *   "rules": [
+ *     { "id": "sessions-drop", "label": "利用回数の減少", "type": "change", "metric": "totalSessions", "direction": "down", "percent": 20, "severity": "warning" },
+ *     { "id": "over-capacity", "type": "capacity", "capacity": 20, "severity": "critical" },
+ *     { "id": "regulars-absent", "type": "inactiveMember", "minMonthlyVisits": 8, "inactiveDays": 21, "period": "last-3m" }
+ *   ],
+ *   "notifiers": [{ "type": "stdout" }, { "type": "webhook", "urlEnv": "NIHO_WEBHOOK_URL", "minSeverity": "warning" }]
+ * }
+ * @param {string} [filePath] - 定義ファイルのパス（省略時は既定のファイル）
+ * @returns {Object} { rules, notifiers: [{ name, minSeverity, notify }] }
+ */
+function loadAlertConfig(filePath) {
+    const alertsPath = filePath || DEFAULT_ALERTS_PATH;
+    if (!fs.existsSync(alertsPath)) {
+        throw new Error(`アラートの定義ファイルが見つかりません: ${alertsPath}`);
+    }
+    const config = JSON.parse(fs.readFileSync(alertsPath, 'utf8'));
+
+    const ids = new Set();
+    const rules = (config.rules || []).map((rule, index) => {
+        const name = `rules[${index}]`;
+        if (!rule.id || ids.has(rule.id)) {
+            throw new Error(`${name}.id がないか重複しています: ${rule.id}`);
+        }
+        ids.add(rule.id);
+        if (!RULE_TYPES[rule.type]) {
+            throw new Error(`${name}.type が不正です（${Object.keys(RULE_TYPES).join(' / ')}）: ${rule.type}`);
+        }
+        if (rule.severity && !SEVERITIES[rule.severity]) {
+            throw new Error(`${name}.severity が不正です（${Object.keys(SEVERITIES).join(' / ')}）: ${rule.severity}`);
+        }
+        const numbers = {
+            change: ['percent'],
+            capacity: ['capacity'],
+            inactiveMember: ['minMonthlyVisits', 'inactiveDays']
+        }[rule.type];
+        numbers.forEach(key => {
+            if (!(typeof rule[key] === 'number' && rule[key] >= 0)) {
+                throw new Error(`${name}.${key} は0以上の数で指定してください: ${rule[key]}`);
+            }
+        });
+        if (rule.type === 'change' && (!CHANGE_METRICS[rule.metric] || !['down', 'up'].includes(rule.direction))) {
+            throw new Error(`${name} の metric（${Object.keys(CHANGE_METRICS).join(' / ')}）または direction（down / up）が不正です`);
+        }
+        return { ...rule, label: rule.label || rule.id, severity: rule.severity || 'warning' };
+    });
+
+    const baseDir = path.dirname(path.resolve(alertsPath));
+    const notifiers = (config.notifiers || [{ type: 'stdout' }]).map((notifier, index) => {
+        if (!NOTIFIERS[notifier.type]) {
+            throw new Error(`notifiers[${index}].type が不正です（${Object.keys(NOTIFIERS).join(' / ')}）: ${notifier.type}`);
+        }
+        if (notifier.minSeverity && !SEVERITIES[notifier.minSeverity]) {
+            throw new Error(`notifiers[${index}].minSeverity が不正です: ${notifier.minSeverity}`);
+        }
+        return { minSeverity: notifier.minSeverity || 'notice', ...NOTIFIERS[notifier.type](notifier, baseDir) };
+    });
+
+    return { rules, notifiers };
+}
+
+/**
+ * 会員ルール用のデータ（期間別のユーザー統計は必要になった期間だけ計算する）
+ * @param {Array} records - 基準日時以前の標準レコード
+ * @param {Date} asOf - 基準日時
+ * @param {string} timeZone - 施設タイムゾーン
+ * @returns {Object} { stats(periodKey): calculateUserStats の結果, lastVisits: 利用者キー → { lastVisit, daysSinceLastVisit } }
+ */
+function getMemberActivity(records, asOf, timeZone) {
+    const monthRecords = records.map(record => ({ ...record, yearMonth: formatYearMonth(record.checkinDate, timeZone) }));
+    const periods = buildPeriods(monthRecords, asOf, undefined, timeZone);
+    const statsByPeriod = {};
+
+    const lastVisits = {};
+    records.forEach(({ userKey, checkinDate }) => {
+        if (!lastVisits[userKey] || checkinDate > lastVisits[userKey]) {
+            lastVisits[userKey] = checkinDate;
+        }
+    });
+    Object.keys(lastVisits).forEach(userKey => {
+        lastVisits[userKey] = {
+            lastVisit: formatDateKey(lastVisits[userKey], timeZone),
+            daysSinceLastVisit: Math.floor((asOf - lastVisits[userKey]) / DAY_MS)
+        };
+    });
+
+    return {
+        lastVisits,
+        stats: periodKey => {
+            if (!statsByPeriod[periodKey]) {
+                const period = periods.find(item => item.key === periodKey);
+                if (!period) {
+                    throw new Error(`会員ルールの period が不正です（${periods.map(item => item.key).join(' / ')}）: ${periodKey}`);
+                }
+                statsByPeriod[periodKey] = calculateUserStats(monthRecords, period, timeZone);
+            }
+            return statsByPeriod[periodKey];
+        }
+    };
+}
+
+/**
+ * アラートルールを判定
+ * @param {Array} rules - loadAlertConfig の rules
+ * @param {Object} context - { comparison: generateComparisonData の結果, members: getMemberActivity の結果 }
+ * @returns {Array} 条件を満たしたアラート（重大度順）
+ */
+function evaluateRules(rules, context) {
+    const severityOrder = Object.keys(SEVERITIES);
+    return rules
+        .map(rule => {
+            const result = RULE_TYPES[rule.type](rule, context);
+            return result && { ruleId: rule.id, type: rule.type, label: rule.label, severity: rule.severity, ...result };
+        })
+        .filter(Boolean)
+        .sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity));
+}
+
+/**
+ * アラートデータを生成
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} config - loadAlertConfig の結果
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.compare] - 比較プリセット（change / capacity ルールの期間）
+ * @param {Object} [options.range] - 任意の比較期間 { start, end }
+ * @returns {Object} alerts.json の内容
+ */
+function generateAlertData(records, config, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const targetRecords = records.filter(record => record.checkinDate <= asOf);
+    if (targetRecords.length === 0) {
+        throw insufficientDataError('基準日時以前のレコードがありません');
+    }
+
+    const comparison = generateComparisonData(targetRecords, asOf, timeZone, options);
+    const members = getMemberActivity(targetRecords, asOf, timeZone);
+    const alerts = evaluateRules(config.rules, { comparison, members });
+
+    return {
+        alerts,
+        rules: config.rules.map(rule => ({
+            id: rule.id,
+            label: rule.label,
+            type: rule.type,
+            severity: rule.severity,
+            triggered: alerts.some(alert => alert.ruleId === rule.id)
+        })),
+        summary: Object.fromEntries(Object.keys(SEVERITIES).map(key => [key, alerts.filter(alert => alert.severity === key).length])),
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone,
+            compareLabel: comparison.metadata.compareLabel,
+            currentPeriod: comparison.metadata.currentPeriod,
+            previousPeriod: comparison.metadata.previousPeriod,
+            severities: SEVERITIES
+        }
+    };
+}
+
+/**
+ * 発生したアラートを通知先に送る
+ * 通知に失敗しても集計は止めない（失敗した通知先は警告を表示する）
+ * @param {Object} alertData - generateAlertData の結果
+ * @param {Array} notifiers - loadAlertConfig の notifiers
+ * @param {Object} [privacy] - 出力のプライバシー設定（コンソールに表示する名前に適用。省略時は名前のまま）
+ * @returns {Promise<Array>} 通知先ごとの結果 [{ name, sent, error }]
+ */
+async function deliverAlerts(alertData, notifiers, privacy) {
+    const severityOrder = Object.keys(SEVERITIES);
+    const results = [];
+    for (const notifier of notifiers) {
+        const alerts = alertData.alerts.filter(alert =>
+            severityOrder.indexOf(alert.severity) <= severityOrder.indexOf(notifier.minSeverity));
+        if (alerts.length === 0) {
+            results.push({ name: notifier.name, sent: 0 });
+            continue;
+        }
+        try {
+            await notifier.notify(alerts, alertData, privacy);
+            results.push({ name: notifier.name, sent: alerts.length });
+        } catch (error) {
+            console.warn(`⚠️  通知に失敗しました: ${notifier.name}: ${error.message}`);
+            results.push({ name: notifier.name, sent: 0, error: error.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * 出力のプライバシー設定を適用（アラート詳細の会員名を置き換える）
+ * @param {Object} alertData - generateAlertData の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectAlertData(alertData, privacy) {
+    return {
+        ...alertData,
+        alerts: alertData.alerts.map(alert => (alert.details && alert.details.members
+            ? { ...alert, details: { ...alert.details, members: protectRows(privacy, alert.details.members) } }
+            : alert)),
+        metadata: { ...alertData.metadata, privacy: describePrivacy(privacy) }
+    };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.compare] - 比較プリセット
+ * @param {Object} [options.range] - 任意の比較期間 { start, end }
+ * @param {string} [options.alertsPath] - アラートルール・通知先の定義ファイル
+ * @param {Object} [options.privacy] - alerts.json のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} アラートデータ
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 アラートルールの判定を開始...');
+
+    const config = loadAlertConfig(options.alertsPath);
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const alertData = generateAlertData(records, config, options);
+
+    // ファイル・Webhookの通知は運営者向けなので名前のまま送り、出力とコンソールにはプライバシー設定を適用する
+    const outputPath = await writeView(options.outDir || DEFAULT_OUT_DIR, 'alerts', 'alerts.json', protectAlertData(alertData, privacy), { run: runInfo });
+    console.log('📄 アラートデータ保存完了:', outputPath);
+
+    displaySummary(alertData);
+    await deliverAlerts(alertData, config.notifiers, privacy);
+
+    return alertData;
+}
+
+/**
+ * サマリーを表示
+ * @param {Object} alertData - アラートデータ
+ */
+function displaySummary(alertData) {
+    const { alerts, rules, summary } = alertData;
+
+    console.log('\n📊 ===== アラート判定結果 =====');
+    console.log(`📋 ルール: ${rules.length}件 / 発生: ${alerts.length}件 (${Object.entries(summary).map(([key, count]) => `${SEVERITIES[key]}${count}`).join(' / ')})`);
+    rules.forEach(rule => {
+        console.log(`   ${rule.triggered ? '🔔' : '✅'} ${rule.label}`);
+    });
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    DEFAULT_ALERTS_PATH,
+    loadAlertConfig,
+    registerNotifier,
+    evaluateRules,
+    generateAlertData,
+    deliverAlerts
+};
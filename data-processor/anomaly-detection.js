@@ -0,0 +1,303 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { writeView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, insufficientDataError } = require('./record-store');
+const { calculateHourlyOccupancy, resolveComparisonRanges } = require('./realtime-analysis');
+const { resolvePrivacy, describePrivacy, isSuppressed } = require('./privacy');
+const { loadCalendar, classifyDate, getDayOfWeek } = require('./calendar');
+const { DEFAULT_TIME_ZONE, formatDateKey, startOfDateKey, addDaysToKey } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 基準値の条件
+ * 判定する日の前の同じ曜日（祝日・イベント日・休館日を除く）を基準にする
+ */
+const BASELINE_WEEKS = 8;          // 遡る週数
+const MIN_BASELINE_DAYS = 4;       // 判定に必要な基準日の数
+const MIN_SCALE = 1;               // ばらつきの下限（基準日の値がほぼ同じでも小さな差で検知しないように）
+const ZERO_ALERT_MEDIAN = 2;       // 基準値がこれ以上なのに利用0件なら、端末停止の可能性として検知
+
+/**
+ * 重大度（基準値からの外れ具合 = |値 - 中央値| / ばらつき）
+ * 上から順に判定する
+ */
+const SEVERITIES = [
+    { key: 'critical', label: '重大', score: 5 },
+    { key: 'warning', label: '注意', score: 3.5 },
+    { key: 'notice', label: '軽微', score: 2.5 }
+];
+
+/**
+ * 判定する指標
+ */
+const DAILY_METRICS = {
+    totalSessions: '利用回数',
+    totalHours: '利用時間'
+};
+
+const HOURLY_METRIC_LABEL = '在館者数';
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * 中央値
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * 基準値（中央値とMADによるばらつき）からの外れを判定
+ * 平均・標準偏差ではなく中央値・MADを使い、基準日に含まれる異常値の影響を受けにくくする
+ * @param {number} value - 判定する値
+ * @param {Array<number>} baseline - 基準日の値
+ * @param {Object} [options] - { zeroSeverity: 基準値が大きいのに0だった場合の重大度 }
+ * @returns {Object|null} { expected, score, direction, severity, reason }（外れていなければ null）
+ */
+function evaluate(value, baseline, options = {}) {
+    const expected = median(baseline);
+    const mad = median(baseline.map(item => Math.abs(item - expected)));
+    const scale = Math.max(1.4826 * mad, MIN_SCALE);
+    const score = (value - expected) / scale;
+    const direction = score < 0 ? 'drop' : 'spike';
+
+    const rank = key => SEVERITIES.findIndex(level => level.key === key);
+    const level = SEVERITIES.find(item => Math.abs(score) >= item.score);
+    const zero = value === 0 && expected >= ZERO_ALERT_MEDIAN && Boolean(options.zeroSeverity);
+    if (!level && !zero) return null;
+
+    // 利用0件は外れ具合が小さくても zeroSeverity 以上の重大度とする
+    let severity = level ? level.key : options.zeroSeverity;
+    if (zero && rank(options.zeroSeverity) < rank(severity)) {
+        severity = options.zeroSeverity;
+    }
+    return { expected: round1(expected), score: round1(score), direction, severity, reason: zero ? 'zero' : direction };
+}
+
+/**
+ * 判定する日の基準日（前の同じ曜日のうち通常の営業日）
+ * @param {string} date - 判定する日
+ * @param {Object} context - { calendar, firstDate }
+ * @returns {Array<string>} 基準日
+ */
+function baselineDates(date, context) {
+    const dates = [];
+    for (let week = 1; week <= BASELINE_WEEKS; week++) {
+        const candidate = addDaysToKey(date, -7 * week);
+        if (candidate < context.firstDate) break;
+        const { type, closed } = classifyDate(candidate, context.calendar);
+        if (!closed && (type === 'weekday' || type === 'weekend')) {
+            dates.push(candidate);
+        }
+    }
+    return dates;
+}
+
+/**
+ * 日別・時間別の異常を検知
+ * @param {Object} usage - calculateHourlyOccupancy の結果 { dailyStats, hourlyOccupancy }（基準日を含む期間）
+ * @param {Object} period - 判定する期間 { start, end }
+ * @param {Object} context - { calendar, firstDate }
+ * @returns {Object} { daily, hourly }
+ */
+function detectAnomalies(usage, period, context) {
+    const { dailyStats, hourlyOccupancy } = usage;
+    const hourKey = (date, hour) => `${date}-${String(hour).padStart(2, '0')}`;
+    const daily = [];
+    const hourly = [];
+
+    for (let date = period.start; date <= period.end; date = addDaysToKey(date, 1)) {
+        const { type, closed, name } = classifyDate(date, context.calendar);
+        const baseline = baselineDates(date, context);
+        if (closed || baseline.length < MIN_BASELINE_DAYS) continue;
+
+        const dayInfo = { date, dayOfWeek: getDayOfWeek(date), dayType: type, name, baselineDays: baseline.length };
+
+        Object.keys(DAILY_METRICS).forEach(metric => {
+            const valueOf = day => (dailyStats[day] ? dailyStats[day][metric] : 0);
+            const value = round1(valueOf(date));
+            const result = evaluate(value, baseline.map(valueOf), { zeroSeverity: 'critical' });
+            if (result) {
+                daily.push({ ...dayInfo, metric, value, ...result });
+            }
+        });
+
+        for (let hour = 0; hour < 24; hour++) {
+            const countOf = day => (hourlyOccupancy[hourKey(day, hour)] ? hourlyOccupancy[hourKey(day, hour)].count : 0);
+            const value = countOf(date);
+            const result = evaluate(value, baseline.map(countOf), { zeroSeverity: 'warning' });
+            if (result) {
+                hourly.push({ dateHour: hourKey(date, hour), ...dayInfo, hour, value, ...result });
+            }
+        }
+    }
+
+    return { daily, hourly };
+}
+
+/**
+ * 異常検知データを生成
+ * 判定する期間はリアルタイム比較の比較期間と同じ（--compare / --range）
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.compare] - 比較プリセット
+ * @param {Object} [options.range] - 任意の比較期間 { start, end }
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @returns {Object} anomalies.json の内容
+ */
+function generateAnomalyData(records, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const calendar = loadCalendar({ closuresPath: options.closuresPath });
+    const { current } = resolveComparisonRanges(asOf, timeZone, options);
+
+    // 判定する期間と、その前の基準日を含む期間のレコード
+    const baselineStart = addDaysToKey(current.start, -7 * BASELINE_WEEKS);
+    const rangeStart = startOfDateKey(baselineStart, timeZone);
+    const rangeEnd = startOfDateKey(addDaysToKey(current.end, 1), timeZone);
+    const targetRecords = records.filter(record => record.checkinDate >= rangeStart && record.checkinDate < rangeEnd && record.checkinDate <= asOf);
+    if (targetRecords.length === 0) {
+        throw insufficientDataError('判定する期間のレコードがありません');
+    }
+
+    // データの最初の日より前は利用0ではなくデータなしとして、基準日に含めない
+    const firstDate = formatDateKey(new Date(Math.min(...records.map(record => record.checkinDate.getTime()))), timeZone);
+    // 基準日時の途中の日は利用が少なく見えるため、終わった日までを判定する
+    const asOfDate = formatDateKey(asOf, timeZone);
+    const lastCompleteDate = formatDateKey(new Date(asOf.getTime() + 1), timeZone) !== asOfDate ? asOfDate : addDaysToKey(asOfDate, -1);
+    const period = { start: current.start, end: current.end < lastCompleteDate ? current.end : lastCompleteDate };
+
+    const usage = calculateHourlyOccupancy(targetRecords, timeZone);
+    const { daily, hourly } = detectAnomalies(usage, period, { calendar, firstDate });
+
+    const severityOrder = SEVERITIES.map(level => level.key);
+    const byScore = (a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity) || Math.abs(b.score) - Math.abs(a.score);
+    const summary = Object.fromEntries(SEVERITIES.map(({ key }) => [key, {
+        daily: daily.filter(item => item.severity === key).length,
+        hourly: hourly.filter(item => item.severity === key).length
+    }]));
+
+    return {
+        daily: daily.sort(byScore),
+        hourly: hourly.sort(byScore),
+        summary,
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone,
+            period: `${period.start} to ${period.end}`,
+            periodLabel: current.label,
+            baselineWeeks: BASELINE_WEEKS,
+            minBaselineDays: MIN_BASELINE_DAYS,
+            zeroAlertMedian: ZERO_ALERT_MEDIAN,
+            severities: Object.fromEntries(SEVERITIES.map(({ key, label, score }) => [key, { label, score }])),
+            metrics: { ...DAILY_METRICS, count: HOURLY_METRIC_LABEL }
+        }
+    };
+}
+
+/**
+ * 出力のプライバシー設定を適用
+ * public では在館者数の少ない時間の実績（と実績を逆算できるスコア）を伏せる（realtime の時間枠と同じ基準）
+ * @param {Object} anomalyData - generateAnomalyData の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectAnomalyData(anomalyData, privacy) {
+    return {
+        ...anomalyData,
+        hourly: anomalyData.hourly.map(item => (isSuppressed(privacy, item.value)
+            ? { ...item, value: null, score: null, suppressed: true }
+            : item)),
+        metadata: { ...anomalyData.metadata, privacy: describePrivacy(privacy) }
+    };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.compare] - 比較プリセット
+ * @param {Object} [options.range] - 任意の比較期間 { start, end }
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} 異常検知データ（出力した内容）
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 利用状況の異常検知を開始...');
+
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const anomalyData = protectAnomalyData(generateAnomalyData(records, options), privacy);
+
+    const outputPath = await writeView(options.outDir || DEFAULT_OUT_DIR, 'anomalies', 'anomalies.json', anomalyData, { run: runInfo });
+    console.log('📄 異常検知データ保存完了:', outputPath);
+
+    displaySummary(anomalyData);
+
+    return anomalyData;
+}
+
+/**
+ * サマリーを表示
+ * @param {Object} anomalyData - 異常検知データ
+ */
+function displaySummary(anomalyData) {
+    const { daily, hourly, summary, metadata } = anomalyData;
+    const { severities, metrics } = metadata;
+    const describe = item => {
+        const reason = item.reason === 'zero' ? '利用記録なし（端末停止の可能性）' : item.direction === 'drop' ? '減少' : '増加';
+        return `${metrics[item.metric || 'count']} ${item.suppressed ? `${metadata.privacy.minCount}未満` : item.value} (基準 ${item.expected}) ${reason}${item.name ? ` [${item.name}]` : ''}`;
+    };
+
+    console.log('\n📊 ===== 異常検知結果 =====');
+    console.log(`📅 期間: ${metadata.period.replace(' to ', ' 〜 ')} (基準: 前${metadata.baselineWeeks}週の同じ曜日)`);
+    Object.entries(summary).forEach(([severity, counts]) => {
+        console.log(`   ${severities[severity].label}: 日別${counts.daily}件 / 時間別${counts.hourly}件`);
+    });
+
+    if (daily.length > 0) {
+        console.log('\n⚠️  日別:');
+        daily.slice(0, 10).forEach(item => {
+            console.log(`   [${severities[item.severity].label}] ${item.date}: ${describe(item)}`);
+        });
+    }
+    if (hourly.length > 0) {
+        console.log('\n⚠️  時間別:');
+        hourly.slice(0, 10).forEach(item => {
+            console.log(`   [${severities[item.severity].label}] ${item.date} ${item.hour}時台: ${describe(item)}`);
+        });
+    }
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateAnomalyData,
+    detectAnomalies,
+    evaluate,
+    SEVERITIES
+};
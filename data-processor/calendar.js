@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { addDaysToKey } = require('./time-zone');
+
+/**
+ * 同梱の祝日データ（内閣府「国民の祝日について」、オフラインで利用）
+ */
+const DEFAULT_HOLIDAYS_PATH = path.join(__dirname, 'config', 'holidays-jp.json');
+
+/**
+ * 既定の休館日・イベント日の定義ファイル（施設ごとに作成する）
+ */
+const DEFAULT_CLOSURES_PATH = path.join(__dirname, 'config', 'closures.json');
+
+/**
+ * 日の種別
+ * 優先順位はイベント日 → 祝日 → 土日 → 平日（祝日のイベントはイベント日として数える）
+ */
+const DAY_TYPES = {
+    weekday: '平日',
+    weekend: '土日',
+    holiday: '祝日',
+    event: 'イベント日'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 日付キーの曜日（0:日曜日 〜 6:土曜日）
+ * @param {string} dateKey - "2025-08-01" 形式
+ * @returns {number}
+ */
+function getDayOfWeek(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * 休館日・イベント日の定義を日付ごとに展開
+ * @param {Array} entries - [{ date } または { from, to }, ...]
+ * @param {string} name - 項目名（エラー表示用）
+ * @param {string} labelKey - 表示名の項目（"reason" / "name"）
+ * @returns {Object} 日付 → 表示名
+ */
+function expandDates(entries, name, labelKey) {
+    const dates = {};
+    entries.forEach((entry, index) => {
+        const from = entry.date || entry.from;
+        const to = entry.date || entry.to;
+        if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+            throw new Error(`${name}[${index}] の日付が不正です（date または from/to を YYYY-MM-DD で指定してください）`);
+        }
+        for (let date = from; date <= to; date = addDaysToKey(date, 1)) {
+            dates[date] = entry[labelKey] || DAY_TYPES.event;
+        }
+    });
+    return dates;
+}
+
+/**
+ * 祝日・休館日・イベント日のカレンダーを読み込み
+ * 休館日・イベント日の形式: {
+ *   "closures": [{ "date": "2025-08-13", "reason": "臨時休館" }, { "from": "2025-12-29", "to": "2026-01-03", "reason": "年末年始休館" }],
+ *   "events": [{ "date": "2025-08-02", "name": "夏祭り" }]
+ * }
+ * @param {Object} [options]
+ * @param {string} [options.holidaysPath] - 祝日データのパス（省略時は同梱のデータ）
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル（既定のファイルがなければ休館日・イベント日なし）
+ * @returns {Object} { holidays, closures, events: いずれも日付 → 名前, holidayRange: { first, last } }
+ */
+function loadCalendar(options = {}) {
+    const holidaysPath = options.holidaysPath || DEFAULT_HOLIDAYS_PATH;
+    if (!fs.existsSync(holidaysPath)) {
+        throw new Error(`祝日データが見つかりません: ${holidaysPath}`);
+    }
+    const { holidays = {} } = JSON.parse(fs.readFileSync(holidaysPath, 'utf8'));
+    const holidayDates = Object.keys(holidays).sort();
+
+    const closuresPath = options.closuresPath || DEFAULT_CLOSURES_PATH;
+    let definitions = {};
+    if (fs.existsSync(closuresPath)) {
+        definitions = JSON.parse(fs.readFileSync(closuresPath, 'utf8'));
+    } else if (options.closuresPath) {
+        throw new Error(`休館日の定義ファイルが見つかりません: ${options.closuresPath}`);
+    }
+
+    return {
+        holidays,
+        closures: expandDates(definitions.closures || [], 'closures', 'reason'),
+        events: expandDates(definitions.events || [], 'events', 'name'),
+        holidayRange: { first: holidayDates[0], last: holidayDates[holidayDates.length - 1] }
+    };
+}
+
+/**
+ * 日付の種別を判定
+ * @param {string} dateKey - "2025-08-01" 形式
+ * @param {Object} calendar - loadCalendar の結果
+ * @returns {Object} { type: DAY_TYPES のキー, closed: 休館日か, name: 祝日名・イベント名・休館理由 }
+ */
+function classifyDate(dateKey, calendar) {
+    const closed = dateKey in calendar.closures;
+    let type;
+    if (dateKey in calendar.events) {
+        type = 'event';
+    } else if (dateKey in calendar.holidays) {
+        type = 'holiday';
+    } else {
+        const dayOfWeek = getDayOfWeek(dateKey);
+        type = dayOfWeek === 0 || dayOfWeek === 6 ? 'weekend' : 'weekday';
+    }
+
+    const name = calendar.closures[dateKey] || calendar.events[dateKey] || calendar.holidays[dateKey] || null;
+    return { type, closed, name };
+}
+
+/**
+ * 期間内の営業日（休館日を除くすべての日、利用のなかった日も含む）
+ * @param {string} from - 開始日 "2025-08-01"
+ * @param {string} to - 終了日 "2025-08-20"（この日を含む）
+ * @param {Object} calendar - loadCalendar の結果
+ * @returns {Array} [{ date, dayOfWeek, type, name }] 日付順
+ */
+function listOpenDays(from, to, calendar) {
+    const days = [];
+    for (let date = from; date <= to; date = addDaysToKey(date, 1)) {
+        const { type, closed, name } = classifyDate(date, calendar);
+        if (!closed) {
+            days.push({ date, dayOfWeek: getDayOfWeek(date), type, name });
+        }
+    }
+    return days;
+}
+
+/**
+ * 期間のカレンダー情報（集計結果に添える）
+ * 祝日データの収録範囲外の日がある場合は警告を表示する
+ * @param {string} from - 開始日
+ * @param {string} to - 終了日（この日を含む）
+ * @param {Object} calendar - loadCalendar の結果
+ * @returns {Object} { holidays, closures, events: いずれも [{ date, name }] }
+ */
+function describePeriod(from, to, calendar) {
+    const { first, last } = calendar.holidayRange;
+    if (first && (from < `${first.slice(0, 4)}-01-01` || to > `${last.slice(0, 4)}-12-31`)) {
+        console.warn(`⚠️  祝日データの収録範囲（${first.slice(0, 4)}〜${last.slice(0, 4)}年）外の期間があります: ${from} 〜 ${to}`);
+    }
+
+    const pick = dates => Object.keys(dates)
+        .filter(date => date >= from && date <= to)
+        .sort()
+        .map(date => ({ date, name: dates[date] }));
+
+    return {
+        holidays: pick(calendar.holidays),
+        closures: pick(calendar.closures).map(({ date, name }) => ({ date, reason: name })),
+        events: pick(calendar.events)
+    };
+}
+
+module.exports = {
+    DEFAULT_HOLIDAYS_PATH,
+    DEFAULT_CLOSURES_PATH,
+    DAY_TYPES,
+    getDayOfWeek,
+    loadCalendar,
+    classifyDate,
+    listOpenDays,
+    describePeriod
+};
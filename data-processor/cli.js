@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { DEFAULT_TIME_ZONE, assertTimeZone, zonedDateTime } = require('./time-zone');
+const { DEFAULT_STORE_DIR } = require('./record-store');
+const { DEFAULT_INBOX_DIR } = require('./watch');
+const { createRun } = require('./run-stamp');
+const { RESOLUTIONS } = require('./occupancy');
+const { PROFILES, NAME_STYLES, resolvePrivacy } = require('./privacy');
+
+/**
+ * 既定の入力CSVファイル（全サブコマンド共通）
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+const USAGE = `使い方: niho <コマンド> [オプション]
+
+コマンド:
+  import     CSVを保存済みレコードに取り込む (niho import <CSV>... 重複する利用は追加しない)
+  users      ユーザー統計を生成 (data/users/<期間>.json)
+  realtime   リアルタイム比較分析を生成 (data/realtime/*.json ほか)
+  time       時間帯別・曜日別分析を生成 (data/time/<年月>.json)
+  quality    データ品質レポートを生成 (data-quality.json)
+  cohort     初回利用月別の継続率を生成 (cohort-analysis.json)
+  lifecycle  会員の新規/継続/離脱予備軍/離脱/復帰を判定 (lifecycle-analysis.json)
+  heatmap    曜日×時間の平均同時在館人数を生成 (occupancy-heatmap.json)
+  stays      滞在時間の分布（分位点・区分別の件数）を期間・時間帯・曜日・会員ごとに生成 (data/stays/<期間>.json)
+  members    会員別の詳細データ（月別推移・来館日・チェックイン時刻・連続来館）を生成 (members/<利用者キー>.json)
+  sessions   ダッシュボードの期間・曜日・時間帯の絞り込み用に利用1回ごとのデータを生成 (sessions.json)
+  forecast   今後4週間の利用回数・利用時間・ピーク在館者数を予測 (forecast.json)
+  anomalies  realtime の比較期間の日別・時間別の異常（急減・急増）を検知 (anomalies.json)
+  alerts     アラートルールを判定して通知 (alerts.json)
+  export     月次レポートをCSV（Excel対応のBOM付きUTF-8）と印刷用HTMLで出力 (exports/<年月>/)
+  verify     ユーザー統計の検算
+  serve      利用データを読み込んでAPIサーバーを起動し、ダッシュボードを配信 (http://127.0.0.1:8787/?data=api で任意の期間を集計)
+  watch      受け取りディレクトリを監視し、CSVが置かれる・変更されるたびに all を実行 (--store の場合は取り込んでから集計)
+  all        users / realtime / time / quality / cohort / lifecycle / heatmap / stays / members / sessions / forecast /
+             anomalies をまとめて実行し、最後に alerts を判定（集計できるレコードがない処理は警告を表示して飛ばす）
+  各コマンドの出力は manifest.json に登録（ダッシュボードは manifest.json を読み込み、表示するビュー・期間のファイルだけを取得）
+  出力には実行ID・入力ファイルのハッシュを記録（all / watch の1回の処理では共通。ダッシュボードは別々の実行の出力が混ざっていると警告）
+
+オプション:
+  -i, --input <file>     入力CSVファイル (既定: data-processor/nihouse.csv)
+  -o, --out-dir <dir>    出力ディレクトリ (既定: docs/)
+      --as-of <date>     基準日 YYYY-MM-DD またはISO日時 (既定: 現在)
+      --time-zone <tz>   施設タイムゾーン (既定: Asia/Tokyo)
+      --store            入力CSVの代わりに保存済みレコードを使う (変化のない月の集計は再利用)
+      --store-dir <dir>  保存済みレコードの場所 (既定: data-processor/store/)
+      --month <YYYY-MM>  export の対象月 (既定: 基準日の月。基準日までを前月の同じ日数と比較)
+      --months <n>       対象月数 (users / stays: 月別期間の数, time: 分析月数, cohort: コホート数, verify: ローリング期間)
+      --max-stay-hours <n>
+                         quality で要確認とする滞在時間の上限 (既定: 16)
+      --churn-days <n>   lifecycle で離脱とみなす最終来館からの日数 (既定: 60)
+      --compare <preset> realtime / anomalies / alerts の比較方法 (既定: previous-month)
+                           previous-month    当月と前月の同期間
+                           previous-year     当月と前年同月の同期間
+                           same-weekdays     当月と4週前の同じ曜日
+                           trailing-4-weeks  直近4週とその前の4週
+      --resolution <min> realtime の同時在館人数の時間解像度 5 / 15 / 60分 (既定: 15)
+      --range <from>..<to>
+                         realtime / anomalies / alerts で任意の期間を比較 (例: 2025-08-01..2025-08-20)
+      --baseline <from>..<to>
+                         --range の比較相手 (既定: 直前の同じ日数)
+      --user <name>      verify の対象ユーザー名
+      --aliases <file>   同一人物の会員番号・名前を定義したJSON (既定: data-processor/config/member-aliases.json)
+      --time-slots <file>
+                         time / stays / sessions / export の時間帯・営業時間の定義JSON (既定: data-processor/config/time-slots.json)
+      --closures <file>  time / heatmap / forecast / anomalies / export の休館日・イベント日の定義JSON (既定: data-processor/config/closures.json)
+      --alerts <file>    alerts のルール・通知先の定義JSON (既定: data-processor/config/alerts.json)
+      --columns <file>   CSV列名の対応を定義したJSON (例: {"customerName": "お客様名"})
+      --privacy <profile>
+                         出力のプライバシー設定 (既定: 出力先が docs/ なら public、それ以外は internal)
+                           public    名前を仮名・イニシャルにし、少人数の行・時間枠と時間別の利用者一覧を出力しない
+                           internal  名前・時間別の利用者をそのまま出力（ローカル分析用）
+      --names <style>    public の名前の表示 pseudonym (仮名 "会員-xxxxxx") / initials (イニシャル) (既定: pseudonym)
+      --min-count <k>    public でこの人数・回数未満の会員の行・時間別の在館者数を出力しない (既定: 3)
+      --allow-identifiable
+                         docs/ への internal の出力を許可 (公開しないリポジトリ・ブランチでのみ使用)
+      --allow-unsalted   NIHO_USER_KEY_SALT なしでの public の出力を許可 (利用者キー・仮名から照合される恐れがあるため通常は使わない)
+      --fixtures         verify でタイムゾーン境界の回帰検証を実行
+      --port <n>         serve の待ち受けポート (既定: 8787)
+      --host <addr>      serve の待ち受けアドレス (既定: 127.0.0.1。ほかのPCから接続する場合は 0.0.0.0)
+      --inbox <dir>      watch で監視する受け取りディレクトリ (既定: data-processor/inbox/)
+  -h, --help             このヘルプを表示`;
+
+/**
+ * 基準日文字列をDateオブジェクトに変換
+ * 日付のみ指定された場合は施設タイムゾーンでのその日の終わりを基準日時とする
+ * @param {string} value - "2025-08-20" または ISO日時
+ * @param {string} [timeZone] - 施設タイムゾーン
+ * @returns {Date}
+ */
+function parseAsOf(value, timeZone = DEFAULT_TIME_ZONE) {
+    const dateOnly = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const asOf = dateOnly
+        ? zonedDateTime(Number(dateOnly[1]), Number(dateOnly[2]), Number(dateOnly[3]), 23, 59, 59, 999, timeZone)
+        : new Date(value);
+
+    if (isNaN(asOf.getTime())) {
+        throw new Error(`--as-of の日付が不正です: ${value}`);
+    }
+    return asOf;
+}
+
+/**
+ * 期間文字列を日付キーの組に変換
+ * @param {string} value - "2025-08-01..2025-08-20"
+ * @param {string} name - オプション名（エラー表示用）
+ * @returns {Object} { start, end }
+ */
+function parseRange(value, name) {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+    if (!match || [match[1], match[2]].some(key => isNaN(new Date(`${key}T00:00:00Z`).getTime()))) {
+        throw new Error(`${name} は YYYY-MM-DD..YYYY-MM-DD で指定してください: ${value}`);
+    }
+    return { start: match[1], end: match[2] };
+}
+
+/**
+ * コマンドライン引数を解析
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} { command, options, help }
+ */
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            input: { type: 'string', short: 'i' },
+            'out-dir': { type: 'string', short: 'o' },
+            'as-of': { type: 'string' },
+            'time-zone': { type: 'string' },
+            store: { type: 'boolean' },
+            'store-dir': { type: 'string' },
+            month: { type: 'string' },
+            months: { type: 'string' },
+            'max-stay-hours': { type: 'string' },
+            'churn-days': { type: 'string' },
+            compare: { type: 'string' },
+            resolution: { type: 'string' },
+            range: { type: 'string' },
+            baseline: { type: 'string' },
+            user: { type: 'string' },
+            columns: { type: 'string' },
+            aliases: { type: 'string' },
+            'time-slots': { type: 'string' },
+            closures: { type: 'string' },
+            alerts: { type: 'string' },
+            privacy: { type: 'string' },
+            names: { type: 'string' },
+            'min-count': { type: 'string' },
+            'allow-identifiable': { type: 'boolean' },
+            'allow-unsalted': { type: 'boolean' },
+            fixtures: { type: 'boolean' },
+            port: { type: 'string' },
+            host: { type: 'string' },
+            inbox: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const timeZone = assertTimeZone(values['time-zone'] || DEFAULT_TIME_ZONE);
+    const options = {
+        input: path.resolve(values.input || DEFAULT_INPUT),
+        outDir: path.resolve(values['out-dir'] || DEFAULT_OUT_DIR),
+        asOf: values['as-of'] ? parseAsOf(values['as-of'], timeZone) : new Date(),
+        fixedAsOf: Boolean(values['as-of']),
+        timeZone,
+        store: values.store,
+        storeDir: path.resolve(values['store-dir'] || DEFAULT_STORE_DIR),
+        files: positionals.slice(1).map(file => path.resolve(file)),
+        compare: values.compare,
+        user: values.user,
+        fixtures: values.fixtures,
+        host: values.host,
+        inbox: path.resolve(values.inbox || DEFAULT_INBOX_DIR),
+        allowIdentifiable: values['allow-identifiable'],
+        allowUnsalted: values['allow-unsalted']
+    };
+
+    if (values.aliases) {
+        options.aliasesPath = path.resolve(values.aliases);
+    }
+
+    if (values['time-slots']) {
+        options.timeSlotsPath = path.resolve(values['time-slots']);
+    }
+
+    if (values.closures) {
+        options.closuresPath = path.resolve(values.closures);
+    }
+
+    if (values.alerts) {
+        options.alertsPath = path.resolve(values.alerts);
+    }
+
+    if (values.columns) {
+        options.columns = JSON.parse(fs.readFileSync(path.resolve(values.columns), 'utf8'));
+    }
+
+    if (values.privacy !== undefined) {
+        if (!PROFILES[values.privacy]) {
+            throw new Error(`--privacy は ${Object.keys(PROFILES).join(' / ')} のいずれかで指定してください: ${values.privacy}`);
+        }
+        options.privacy = values.privacy;
+    }
+
+    if (values.names !== undefined) {
+        if (!NAME_STYLES[values.names]) {
+            throw new Error(`--names は ${Object.keys(NAME_STYLES).join(' / ')} のいずれかで指定してください: ${values.names}`);
+        }
+        options.nameStyle = values.names;
+    }
+
+    if (values['min-count'] !== undefined) {
+        const minCount = parseInt(values['min-count'], 10);
+        if (!(minCount > 0)) {
+            throw new Error(`--min-count は1以上の整数で指定してください: ${values['min-count']}`);
+        }
+        options.minCount = minCount;
+    }
+
+    if (values.month !== undefined) {
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(values.month)) {
+            throw new Error(`--month は YYYY-MM で指定してください: ${values.month}`);
+        }
+        options.month = values.month;
+    }
+
+    if (values.months !== undefined) {
+        const months = parseInt(values.months, 10);
+        if (!(months > 0)) {
+            throw new Error(`--months は1以上の整数で指定してください: ${values.months}`);
+        }
+        options.months = months;
+    }
+
+    if (values['max-stay-hours'] !== undefined) {
+        const maxStayHours = Number(values['max-stay-hours']);
+        if (!(maxStayHours > 0)) {
+            throw new Error(`--max-stay-hours は正の数で指定してください: ${values['max-stay-hours']}`);
+        }
+        options.maxStayHours = maxStayHours;
+    }
+
+    if (values['churn-days'] !== undefined) {
+        const churnDays = parseInt(values['churn-days'], 10);
+        if (!(churnDays > 0)) {
+            throw new Error(`--churn-days は1以上の整数で指定してください: ${values['churn-days']}`);
+        }
+        options.churnDays = churnDays;
+    }
+
+    if (values.resolution !== undefined) {
+        const resolution = Number(values.resolution);
+        if (!RESOLUTIONS.includes(resolution)) {
+            throw new Error(`--resolution は ${RESOLUTIONS.join(' / ')} のいずれかで指定してください: ${values.resolution}`);
+        }
+        options.resolution = resolution;
+    }
+
+    if (values.port !== undefined) {
+        const port = Number(values.port);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new Error(`--port は0〜65535の整数で指定してください: ${values.port}`);
+        }
+        options.port = port;
+    }
+
+    if (values.range) {
+        options.range = parseRange(values.range, '--range');
+    }
+
+    if (values.baseline) {
+        if (!values.range) {
+            throw new Error('--baseline は --range と一緒に指定してください');
+        }
+        options.baseline = parseRange(values.baseline, '--baseline');
+    }
+
+    return { command: positionals[0], options, help: values.help };
+}
+
+/**
+ * niho all で順に実行するサブコマンド
+ */
+const ALL_STEPS = [
+    'users', 'realtime', 'time', 'quality', 'cohort', 'lifecycle', 'heatmap',
+    'stays', 'members', 'sessions', 'forecast', 'anomalies', 'alerts'
+];
+
+/**
+ * 出力を書き出さないサブコマンド（serve は書き出さないが、APIの応答にプライバシー設定を使う）
+ */
+const NO_OUTPUT_COMMANDS = ['import', 'verify'];
+
+/**
+ * サブコマンド定義
+ */
+const COMMANDS = {
+    import: options => require('./record-store').importFiles(
+        options.files.length > 0 ? options.files : [options.input],
+        options
+    ),
+    users: options => require('./process-csv').run(options),
+    realtime: options => require('./realtime-analysis').run(options),
+    time: options => require('./time-analysis').run(options),
+    quality: options => require('./data-quality').run(options),
+    cohort: options => require('./cohort-analysis').run(options),
+    lifecycle: options => require('./lifecycle-analysis').run(options),
+    heatmap: options => require('./occupancy-heatmap').run(options),
+    stays: options => require('./stay-distribution').run(options),
+    members: options => require('./member-detail').run(options),
+    sessions: options => require('./session-data').run(options),
+    forecast: options => require('./forecast').run(options),
+    anomalies: options => require('./anomaly-detection').run(options),
+    alerts: options => require('./alerts').run(options),
+    export: options => require('./export').run(options),
+    serve: options => require('./server').run(options),
+    watch: options => require('./watch').run(options, COMMANDS.all),
+    verify: async options => {
+        const { verifyCalculation, verifyTimeZoneFixtures } = require('./verify-calculation');
+        if (!options.fixtures) {
+            return verifyCalculation(options);
+        }
+        if (await verifyTimeZoneFixtures() > 0) {
+            process.exitCode = 1;
+        }
+    },
+    all: async options => {
+        // すべての出力に同じ実行ID・入力ファイルのハッシュを記録する
+        const run = await createRun(options);
+        console.log(`🏷️  実行ID: ${run.id} (入力のハッシュ: ${run.sourceHash ? run.sourceHash.slice(0, 12) : 'なし'})`);
+        const runOptions = { ...options, run };
+        // 集計できるレコードがない処理は飛ばして続ける（短い期間のCSVでも他の出力は更新する）
+        const skipped = [];
+        for (const step of ALL_STEPS) {
+            try {
+                await COMMANDS[step](runOptions);
+            } catch (error) {
+                if (!error.insufficientData) throw error;
+                console.warn(`⚠️  ${step} をスキップしました: ${error.message}`);
+                skipped.push(step);
+            }
+        }
+        if (skipped.length > 0) {
+            console.warn(`⚠️  データが足りないため更新しなかった出力: ${skipped.join(', ')}（前回の出力がある場合はそのまま残ります）`);
+        }
+    }
+};
+
+async function main(argv) {
+    const { command, options, help } = parseCommandLine(argv);
+
+    if (help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!COMMANDS[command]) {
+        throw new Error(`不明なコマンドです: ${command}\n\n${USAGE}`);
+    }
+
+    console.log(`📁 入力: ${command === 'watch'
+        ? `${options.inbox} に置かれたCSV${options.store ? ` (保存済みレコード ${options.storeDir} に取り込み)` : ''}`
+        : options.store ? `保存済みレコード (${options.storeDir})` : options.input}`);
+    console.log(`📁 出力: ${options.outDir}`);
+    console.log(`📅 基準日時: ${options.asOf.toISOString()} (${options.timeZone})`);
+
+    if (NO_OUTPUT_COMMANDS.includes(command)) {
+        await COMMANDS[command](options);
+        return;
+    }
+
+    // 書き出す前に決めておく（docs/ への internal の出力・秘密値なしの public の出力はここで止める）
+    const privacy = resolvePrivacy({ ...options, readOnly: command === 'serve' });
+    console.log(`🔒 プライバシー: ${PROFILES[privacy.profile].label} (${privacy.identifiable
+        ? '名前・時間別の利用者をそのまま出力'
+        : `${NAME_STYLES[privacy.nameStyle]}表示、${privacy.minCount}未満の行・時間枠は非表示`})`);
+
+    await COMMANDS[command]({ ...options, privacy });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌ エラーが発生しました:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseCommandLine, parseAsOf };
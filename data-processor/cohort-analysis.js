@@ -0,0 +1,238 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { writeView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords } = require('./record-store');
+const { DEFAULT_TIME_ZONE, formatYearMonth } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 既定で出力するコホート数（直近の初回利用月から数える）
+ */
+const DEFAULT_COHORT_MONTHS = 12;
+
+/**
+ * 年月に月数を加算
+ * @param {string} yearMonth - "2025-08" 形式
+ * @param {number} months - 加算する月数
+ * @returns {string} "2025-09" 形式
+ */
+function addMonths(yearMonth, months) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + months, 1));
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * 2つの年月の差（月数）
+ * @param {string} from - "2025-01" 形式
+ * @param {string} to - "2025-08" 形式
+ * @returns {number}
+ */
+function monthsBetween(from, to) {
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+/**
+ * 初回利用月ごとのコホートを集計
+ * @param {Array} records - 標準レコード（userKey・yearMonth付き）
+ * @param {Object} [options]
+ * @param {string} options.lastMonth - 集計の最終月（基準日時の月）
+ * @param {number} [options.cohortMonths] - 出力するコホート数
+ * @returns {Array} コホート配列（初回利用月の新しい順）
+ */
+function buildCohorts(records, options) {
+    const { lastMonth } = options;
+    const cohortMonths = options.cohortMonths || DEFAULT_COHORT_MONTHS;
+
+    // 利用者ごとの初回利用月と、月別の利用回数・利用時間
+    const firstMonths = {};
+    const usage = {};
+    records.forEach(({ userKey, yearMonth, stayMinutes }) => {
+        if (!firstMonths[userKey] || yearMonth < firstMonths[userKey]) {
+            firstMonths[userKey] = yearMonth;
+        }
+        const key = `${userKey}|${yearMonth}`;
+        if (!usage[key]) {
+            usage[key] = { visits: 0, minutes: 0 };
+        }
+        usage[key].visits++;
+        usage[key].minutes += stayMinutes;
+    });
+
+    // データの最初の月は、それ以前から利用している会員も初回利用として数えられてしまう
+    const firstDataMonth = Object.values(firstMonths).sort()[0];
+
+    const members = {};
+    Object.entries(firstMonths).forEach(([userKey, cohort]) => {
+        if (!members[cohort]) {
+            members[cohort] = [];
+        }
+        members[cohort].push(userKey);
+    });
+
+    return Object.keys(members)
+        .sort()
+        .reverse()
+        .slice(0, cohortMonths)
+        .map(cohort => {
+            const cohortMembers = members[cohort];
+            const months = [];
+
+            for (let offset = 0; offset <= monthsBetween(cohort, lastMonth); offset++) {
+                const yearMonth = addMonths(cohort, offset);
+                const retained = cohortMembers
+                    .map(userKey => usage[`${userKey}|${yearMonth}`])
+                    .filter(Boolean);
+                const totalVisits = retained.reduce((sum, month) => sum + month.visits, 0);
+                const totalMinutes = retained.reduce((sum, month) => sum + month.minutes, 0);
+
+                months.push({
+                    offset,
+                    yearMonth,
+                    activeMembers: retained.length,
+                    retentionRate: Math.round(retained.length / cohortMembers.length * 1000) / 10,
+                    averageVisits: retained.length > 0 ? Math.round(totalVisits / retained.length * 10) / 10 : 0,
+                    averageHours: retained.length > 0 ? Math.round(totalMinutes / 60 / retained.length * 10) / 10 : 0,
+                    partial: yearMonth === lastMonth // 基準日時の月は月の途中まで
+                });
+            }
+
+            return {
+                cohort,
+                size: cohortMembers.length,
+                censored: cohort === firstDataMonth,
+                months
+            };
+        });
+}
+
+/**
+ * 経過月数ごとの平均継続率（コホートの人数で重み付け、月途中・データ開始月のコホートは除く）
+ * @param {Array} cohorts - buildCohortsの結果
+ * @returns {Array} [{ offset, retentionRate, cohorts, members }]
+ */
+function averageRetention(cohorts) {
+    const byOffset = {};
+    cohorts
+        .filter(cohort => !cohort.censored)
+        .forEach(cohort => {
+            cohort.months
+                .filter(month => !month.partial)
+                .forEach(month => {
+                    if (!byOffset[month.offset]) {
+                        byOffset[month.offset] = { retained: 0, members: 0, cohorts: 0 };
+                    }
+                    byOffset[month.offset].retained += month.activeMembers;
+                    byOffset[month.offset].members += cohort.size;
+                    byOffset[month.offset].cohorts++;
+                });
+        });
+
+    return Object.keys(byOffset)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(offset => ({
+            offset,
+            retentionRate: Math.round(byOffset[offset].retained / byOffset[offset].members * 1000) / 10,
+            cohorts: byOffset[offset].cohorts,
+            members: byOffset[offset].members
+        }));
+}
+
+/**
+ * コホート分析データを生成
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {number} [options.months] - 出力するコホート数
+ * @returns {Object} cohort-analysis.json の内容
+ */
+function generateCohortData(records, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const lastMonth = formatYearMonth(asOf, timeZone);
+
+    const targetRecords = records
+        .filter(record => record.checkinDate <= asOf)
+        .map(record => ({ ...record, yearMonth: formatYearMonth(record.checkinDate, timeZone) }));
+
+    const cohorts = buildCohorts(targetRecords, { lastMonth, cohortMonths: options.months });
+
+    return {
+        cohorts,
+        averageRetention: averageRetention(cohorts),
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone,
+            lastMonth,
+            totalRecords: targetRecords.length,
+            uniqueUsers: new Set(targetRecords.map(record => record.userKey)).size
+        }
+    };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {number} [options.months] - 出力するコホート数
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} コホート分析データ
+ */
+async function run(options = {}) {
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 コホート分析を開始...');
+
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const cohortData = generateCohortData(records, options);
+
+    const outputPath = await writeView(options.outDir || DEFAULT_OUT_DIR, 'cohort', 'cohort-analysis.json', cohortData, { run: runInfo });
+    console.log('📄 コホート分析データ保存完了:', outputPath);
+
+    displaySummary(cohortData);
+
+    return cohortData;
+}
+
+/**
+ * サマリーを表示
+ * @param {Object} cohortData - コホート分析データ
+ */
+function displaySummary(cohortData) {
+    console.log('\n📊 ===== コホート分析結果 =====');
+    cohortData.cohorts.forEach(({ cohort, size, censored, months }) => {
+        const rates = months.slice(1, 4).map(month => `${month.retentionRate}%${month.partial ? '*' : ''}`).join(' / ');
+        console.log(`   ${cohort}${censored ? ' (データ開始月)' : ''}: ${size}名  2〜4ヶ月目 ${rates || '-'}`);
+    });
+    console.log('\n📈 平均継続率:');
+    cohortData.averageRetention.slice(1, 7).forEach(({ offset, retentionRate, cohorts }) => {
+        console.log(`   ${offset + 1}ヶ月目: ${retentionRate}% (${cohorts}コホート)`);
+    });
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateCohortData,
+    buildCohorts,
+    averageRetention
+};
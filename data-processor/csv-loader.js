@@ -0,0 +1,238 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const { DEFAULT_TIME_ZONE, zonedDateTime } = require('./time-zone');
+const { resolveIdentities } = require('./identity');
+
+/**
+ * 標準レコードの各項目に対応するCSV列名の候補
+ * POSのエクスポート形式ごとに列名が異なるため、先に見つかった列を使用する
+ */
+const DEFAULT_COLUMNS = {
+    customerName: ['顧客名', '氏名', '名前'],
+    memberId: ['会員番号', 'ユーザーID', 'メンバーID'],
+    checkin: ['チェックイン日時', 'チェックイン'],
+    checkout: ['チェックアウト日時', 'チェックアウト'],
+    stayTime: ['滞在時間']
+};
+
+/**
+ * 除外理由
+ */
+const REJECT_REASONS = {
+    missingField: '必須項目が空',
+    invalidDate: '日時が解析できない',
+    invalidStay: '滞在時間が解析できない',
+    nonPositiveStay: '滞在時間が0以下',
+    reversedCheckout: 'チェックアウトがチェックインより前（滞在時間を算出できない）'
+};
+
+/**
+ * 日時文字列をDateオブジェクトに変換
+ * 対応形式: "2024-03-29 23:33:42 +0900" / "2025/8/1 9:15:50" / "2025-08-01T09:15:50Z"
+ * タイムゾーン指定がない場合は施設タイムゾーンの時刻として扱う（実行環境のTZには依存しない）
+ * @param {string} dateStr - 日時文字列
+ * @param {string} [timeZone] - 施設タイムゾーン
+ * @returns {Date|null} 解析できない場合はnull
+ */
+function parseDateTime(dateStr, timeZone = DEFAULT_TIME_ZONE) {
+    if (!dateStr) return null;
+
+    const match = dateStr.trim().match(
+        /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/
+    );
+    if (!match) return null;
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0, offset] = match;
+    const parts = [year, month, day, hour, minute, second].map(Number);
+    let date;
+
+    if (offset) {
+        // "+0900" / "+09:00" / "Z" の時差を反映
+        const offsetMinutes = offset === 'Z' ? 0 :
+            (offset[0] === '-' ? -1 : 1) * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(-2)));
+        date = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]) - offsetMinutes * 60 * 1000);
+    } else {
+        date = zonedDateTime(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5], 0, timeZone);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 滞在時間文字列を分に変換
+ * 対応形式: "01:23:45" / "01:23" / 分数の数値
+ * @param {string} timeStr - 滞在時間文字列
+ * @returns {number|null} 分数（解析できない場合はnull）
+ */
+function parseStayTime(timeStr) {
+    if (!timeStr) return null;
+
+    const parts = timeStr.trim().split(':');
+    if (parts.some(part => part === '' || isNaN(Number(part)))) return null;
+
+    const [hours, minutes, seconds = 0] = parts.map(Number);
+    if (parts.length === 3 || parts.length === 2) {
+        return hours * 60 + minutes + seconds / 60;
+    }
+    if (parts.length === 1) {
+        return Number(parts[0]);
+    }
+    return null;
+}
+
+/**
+ * 列名の対応表を解決（実際のヘッダーに存在する列名を選ぶ）
+ * @param {Array<string>} headers - CSVのヘッダー
+ * @param {Object} [columns] - 項目ごとの列名（文字列または候補配列）の上書き
+ * @returns {Object} 項目名 → 列名
+ */
+function resolveColumns(headers, columns = {}) {
+    const mapping = {};
+    Object.keys(DEFAULT_COLUMNS).forEach(field => {
+        const candidates = [].concat(columns[field] || [], DEFAULT_COLUMNS[field]);
+        mapping[field] = candidates.find(name => headers.includes(name)) || null;
+    });
+    return mapping;
+}
+
+/**
+ * CSVの1行を標準レコードに変換
+ * @param {Object} row - CSV行（列名 → 値）
+ * @param {Object} mapping - 項目名 → 列名
+ * @param {number} rowNumber - CSVファイル上の行番号（ヘッダーが1行目）
+ * @param {string} [timeZone] - タイムゾーン指定のない日時に適用する施設タイムゾーン
+ * @returns {Object} { record } または { rejected }
+ *   rejected: { rowNumber, reason, field, checkinDate(解析できた場合), values(項目ごとの元の文字列) }
+ */
+function normalizeRow(row, mapping, rowNumber, timeZone = DEFAULT_TIME_ZONE) {
+    const value = field => (mapping[field] && row[mapping[field]] ? row[mapping[field]].trim() : '');
+
+    const customerName = value('customerName');
+    const checkinStr = value('checkin');
+    const checkoutStr = value('checkout');
+    const stayStr = value('stayTime');
+    const checkinDate = parseDateTime(checkinStr, timeZone);
+
+    const reject = (reason, field) => ({
+        rejected: {
+            rowNumber,
+            reason,
+            field,
+            checkinDate,
+            values: { customerName, memberId: value('memberId'), checkin: checkinStr, checkout: checkoutStr, stayTime: stayStr }
+        }
+    });
+
+    if (!customerName) return reject('missingField', 'customerName');
+    if (!checkinStr) return reject('missingField', 'checkin');
+    if (!stayStr && !checkoutStr) return reject('missingField', 'stayTime');
+
+    if (!checkinDate) return reject('invalidDate', 'checkin');
+
+    let checkoutDate = null;
+    if (checkoutStr) {
+        checkoutDate = parseDateTime(checkoutStr, timeZone);
+        if (!checkoutDate) return reject('invalidDate', 'checkout');
+    }
+
+    // 滞在時間の列がなければチェックアウト日時から算出（前後が逆の行は滞在時間0以下ではなく逆転として除外）
+    if (!stayStr && checkoutDate < checkinDate) return reject('reversedCheckout', 'checkout');
+    const stayMinutes = stayStr ? parseStayTime(stayStr) : (checkoutDate - checkinDate) / (1000 * 60);
+    if (stayMinutes === null) return reject('invalidStay', 'stayTime');
+    if (stayMinutes <= 0) return reject('nonPositiveStay', 'stayTime');
+
+    // チェックアウト日時がなければ滞在時間から算出
+    if (!checkoutDate) {
+        checkoutDate = new Date(checkinDate.getTime() + stayMinutes * 60 * 1000);
+    }
+
+    return {
+        record: {
+            customerName,
+            memberId: value('memberId') || null,
+            checkinDate,
+            checkoutDate,
+            stayMinutes,
+            rowNumber
+        }
+    };
+}
+
+/**
+ * CSVファイルを読み込み、全行を標準レコードに変換
+ * 各レコードには利用者の同定結果（userKey・displayName）を付与する
+ * @param {string} filePath - CSVファイルパス
+ * @param {Object} [options]
+ * @param {Object} [options.columns] - 項目ごとの列名の上書き（例: { customerName: 'お客様名' }）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.aliasesPath] - 別名定義ファイルのパス（identity.js）
+ * @returns {Promise<Object>} { records: 標準レコード配列, rejected: 除外行配列, users: 利用者キー → 利用者情報 }
+ */
+function loadRecords(filePath, options = {}) {
+    const records = [];
+    const rejected = [];
+    let mapping = null;
+    let rowNumber = 1; // ヘッダー行
+
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(filePath)
+            .pipe(csv({
+                // BOMと前後の空白を除去した列名で扱う
+                mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim()
+            }))
+            .on('headers', headers => {
+                mapping = resolveColumns(headers, options.columns);
+                if (!mapping.customerName || !mapping.checkin) {
+                    console.warn('⚠️  必須列が見つかりません。列名の対応を確認してください:', mapping);
+                }
+            })
+            .on('data', row => {
+                rowNumber++;
+                const result = normalizeRow(row, mapping, rowNumber, options.timeZone);
+                if (result.record) {
+                    records.push(result.record);
+                } else {
+                    rejected.push(result.rejected);
+                }
+            })
+            .on('end', () => {
+                console.log(`✅ CSVデータ読み込み完了: ${records.length}件 (除外 ${rejected.length}件)`);
+                summarizeRejected(rejected).forEach(({ reason, count }) => {
+                    console.log(`   - ${REJECT_REASONS[reason]}: ${count}件`);
+                });
+
+                try {
+                    const identity = resolveIdentities(records, options);
+                    const mergedUsers = Object.values(identity.users).filter(user => user.names.length > 1).length;
+                    console.log(`👤 利用者の同定: ${Object.keys(identity.users).length}名 (表記ゆれを統合 ${mergedUsers}名)`);
+                    resolve({ records: identity.records, rejected, users: identity.users });
+                } catch (error) {
+                    reject(error);
+                }
+            })
+            .on('error', reject);
+    });
+}
+
+/**
+ * 除外行を理由別に集計
+ * @param {Array} rejected - 除外行配列
+ * @returns {Array} [{ reason, count }]
+ */
+function summarizeRejected(rejected) {
+    const counts = {};
+    rejected.forEach(({ reason }) => {
+        counts[reason] = (counts[reason] || 0) + 1;
+    });
+    return Object.entries(counts).map(([reason, count]) => ({ reason, count }));
+}
+
+module.exports = {
+    DEFAULT_COLUMNS,
+    REJECT_REASONS,
+    loadRecords,
+    normalizeRow,
+    resolveColumns,
+    parseDateTime,
+    parseStayTime
+};
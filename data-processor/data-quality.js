@@ -0,0 +1,298 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { writeView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { REJECT_REASONS } = require('./csv-loader');
+const { loadSourceRecords } = require('./record-store');
+const { resolvePrivacy, describePrivacy } = require('./privacy');
+const { DEFAULT_TIME_ZONE, formatYearMonth, formatDateTime } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 滞在時間の上限（時間）。これを超える利用はチェックアウト忘れの可能性がある
+ */
+const DEFAULT_MAX_STAY_HOURS = 16;
+
+/**
+ * 問題の種類
+ * severity: "rejected" は読み込み時に除外された行、"warning" は集計対象だが疑わしい行
+ */
+const ISSUE_TYPES = {
+    missingField: { label: REJECT_REASONS.missingField, severity: 'rejected' },
+    invalidDate: { label: REJECT_REASONS.invalidDate, severity: 'rejected' },
+    invalidStay: { label: REJECT_REASONS.invalidStay, severity: 'rejected' },
+    nonPositiveStay: { label: REJECT_REASONS.nonPositiveStay, severity: 'rejected' },
+    reversedCheckout: { label: REJECT_REASONS.reversedCheckout, severity: 'rejected' },
+    checkoutBeforeCheckin: { label: 'チェックアウトがチェックインより前', severity: 'warning' },
+    longStay: { label: '滞在時間が上限を超過（チェックアウト忘れの可能性）', severity: 'warning' },
+    overlappingSession: { label: '同一顧客の利用時間が重複', severity: 'warning' }
+};
+
+/**
+ * 年月が特定できない行の集計キー
+ */
+const UNKNOWN_MONTH = 'unknown';
+
+/**
+ * 集計対象レコードの疑わしい行を検出
+ * @param {Array} records - 標準レコード（csv-loader）
+ * @param {Object} [options]
+ * @param {number} [options.maxStayHours] - 滞在時間の上限（時間）
+ * @returns {Array} [{ record, type, detail }]
+ */
+function findSuspiciousRecords(records, options = {}) {
+    const maxStayHours = options.maxStayHours || DEFAULT_MAX_STAY_HOURS;
+    const findings = [];
+
+    records.forEach(record => {
+        if (record.checkoutDate < record.checkinDate) {
+            findings.push({
+                record,
+                type: 'checkoutBeforeCheckin',
+                detail: `チェックアウトが${Math.round((record.checkinDate - record.checkoutDate) / (1000 * 60))}分前`
+            });
+        }
+        if (record.stayMinutes > maxStayHours * 60) {
+            findings.push({
+                record,
+                type: 'longStay',
+                detail: `滞在${(record.stayMinutes / 60).toFixed(1)}時間 (上限${maxStayHours}時間)`
+            });
+        }
+    });
+
+    // 利用者ごとにチェックイン順に並べ、直前までの利用と時間が重なる行を検出
+    const byUser = {};
+    records.forEach(record => {
+        if (!byUser[record.userKey]) {
+            byUser[record.userKey] = [];
+        }
+        byUser[record.userKey].push(record);
+    });
+
+    Object.values(byUser).forEach(userRecords => {
+        userRecords.sort((a, b) => a.checkinDate - b.checkinDate);
+        let latest = null; // これまでで最も遅くチェックアウトした利用
+        userRecords.forEach(record => {
+            if (latest && record.checkinDate < latest.checkoutDate) {
+                findings.push({
+                    record,
+                    type: 'overlappingSession',
+                    detail: `${latest.rowNumber}行目の利用と${Math.round((latest.checkoutDate - record.checkinDate) / (1000 * 60))}分重複`
+                });
+            }
+            if (!latest || record.checkoutDate > latest.checkoutDate) {
+                latest = record;
+            }
+        });
+    });
+
+    return findings;
+}
+
+/**
+ * データ品質レポートを作成
+ * @param {Array} records - 標準レコード（csv-loader）
+ * @param {Array} rejected - 除外行（csv-loader）
+ * @param {Object} [options]
+ * @param {number} [options.maxStayHours] - 滞在時間の上限（時間）
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @returns {Object} data-quality.json の内容
+ *   issues[].rowNumber はCSVの行番号（保存済みレコード使用時の要確認行は保存ファイル上の行番号、source は取り込み元ファイル）
+ */
+function buildQualityReport(records, rejected, options = {}) {
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const maxStayHours = options.maxStayHours || DEFAULT_MAX_STAY_HOURS;
+    const issues = [];
+
+    rejected.forEach(row => {
+        issues.push({
+            rowNumber: row.rowNumber,
+            source: row.source || null,
+            type: row.reason,
+            severity: ISSUE_TYPES[row.reason].severity,
+            yearMonth: row.checkinDate ? formatYearMonth(row.checkinDate, timeZone) : UNKNOWN_MONTH,
+            userKey: null,
+            customerName: row.values.customerName || null,
+            checkin: row.values.checkin,
+            checkout: row.values.checkout,
+            stayTime: row.values.stayTime,
+            detail: `${row.field}: "${row.values[row.field] || ''}"`
+        });
+    });
+
+    findSuspiciousRecords(records, { maxStayHours }).forEach(({ record, type, detail }) => {
+        issues.push({
+            rowNumber: record.rowNumber,
+            source: record.source || null,
+            type,
+            severity: ISSUE_TYPES[type].severity,
+            yearMonth: formatYearMonth(record.checkinDate, timeZone),
+            userKey: record.userKey,
+            customerName: record.customerName,
+            checkin: formatDateTime(record.checkinDate, timeZone),
+            checkout: formatDateTime(record.checkoutDate, timeZone),
+            stayTime: `${Math.round(record.stayMinutes)}分`,
+            detail
+        });
+    });
+
+    issues.sort((a, b) => a.rowNumber - b.rowNumber);
+
+    // 月別の集計（1行に複数の問題があっても行数は1件として数える）
+    const months = {};
+    const getMonth = yearMonth => {
+        if (!months[yearMonth]) {
+            months[yearMonth] = { totalRows: 0, validRecords: 0, rejectedRows: 0, flaggedRecords: 0, issues: {} };
+        }
+        return months[yearMonth];
+    };
+
+    records.forEach(record => {
+        const month = getMonth(formatYearMonth(record.checkinDate, timeZone));
+        month.totalRows++;
+        month.validRecords++;
+    });
+    rejected.forEach(row => {
+        const month = getMonth(row.checkinDate ? formatYearMonth(row.checkinDate, timeZone) : UNKNOWN_MONTH);
+        month.totalRows++;
+        month.rejectedRows++;
+    });
+
+    const flaggedRows = new Set();
+    issues.forEach(issue => {
+        const month = getMonth(issue.yearMonth);
+        month.issues[issue.type] = (month.issues[issue.type] || 0) + 1;
+        if (issue.severity === 'warning' && !flaggedRows.has(issue.rowNumber)) {
+            flaggedRows.add(issue.rowNumber);
+            month.flaggedRecords++;
+        }
+    });
+
+    // 問題のない行の割合（その月の数字をどの程度信頼できるかの目安）
+    Object.values(months).forEach(month => {
+        const cleanRows = month.totalRows - month.rejectedRows - month.flaggedRecords;
+        month.cleanRate = month.totalRows > 0 ? Math.round(cleanRows / month.totalRows * 1000) / 10 : null;
+    });
+
+    const summary = {};
+    Object.entries(ISSUE_TYPES).forEach(([type, { label, severity }]) => {
+        summary[type] = { label, severity, count: issues.filter(issue => issue.type === type).length };
+    });
+
+    const sortedMonths = {};
+    Object.keys(months).sort().reverse().forEach(key => {
+        sortedMonths[key] = months[key];
+    });
+
+    return {
+        summary,
+        months: sortedMonths,
+        issues,
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: (options.asOf || new Date()).toISOString(),
+            timeZone,
+            maxStayHours,
+            totalRows: records.length + rejected.length,
+            validRecords: records.length,
+            rejectedRows: rejected.length,
+            flaggedRecords: flaggedRows.size
+        }
+    };
+}
+
+/**
+ * public で出力する問題の行の項目（行番号・種類・年月だけ。利用者・日時・CSVの値は出さない）
+ */
+const PUBLIC_ISSUE_FIELDS = ['rowNumber', 'source', 'type', 'severity', 'yearMonth'];
+
+/**
+ * 出力のプライバシー設定を適用
+ * public では問題の行から利用者キー・顧客名・チェックイン/チェックアウト日時・滞在時間・詳細（CSVの値）を除き、
+ * 行番号から元のCSVで確認できるようにする
+ * @param {Object} report - buildQualityReport の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectReport(report, privacy) {
+    return {
+        ...report,
+        issues: privacy.identifiable ? report.issues : report.issues.map(issue =>
+            Object.fromEntries(PUBLIC_ISSUE_FIELDS.map(field => [field, issue[field]]))),
+        metadata: { ...report.metadata, privacy: describePrivacy(privacy) }
+    };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {number} [options.maxStayHours] - 滞在時間の上限（時間）
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} データ品質レポート（出力した内容）
+ */
+async function run(options = {}) {
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 データ品質チェックを開始...');
+
+    const { records, rejected } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const report = protectReport(buildQualityReport(records, rejected, options), privacy);
+
+    const outputPath = await writeView(outDir, 'quality', 'data-quality.json', report, { run: runInfo });
+    console.log('📄 データ品質レポート保存完了:', outputPath);
+
+    displaySummary(report);
+
+    return report;
+}
+
+/**
+ * サマリーを表示
+ * @param {Object} report - データ品質レポート
+ */
+function displaySummary(report) {
+    const { summary, months, metadata } = report;
+
+    console.log('\n📊 ===== データ品質チェック結果 =====');
+    console.log(`📄 総行数: ${metadata.totalRows}行 (集計対象 ${metadata.validRecords}件 / 除外 ${metadata.rejectedRows}件 / 要確認 ${metadata.flaggedRecords}件)`);
+
+    console.log('\n🔍 問題の種類別:');
+    Object.values(summary).forEach(({ label, severity, count }) => {
+        if (count > 0) {
+            console.log(`   ${severity === 'rejected' ? '❌' : '⚠️ '} ${label}: ${count}件`);
+        }
+    });
+
+    console.log('\n📅 月別の正常率:');
+    Object.entries(months).forEach(([yearMonth, month]) => {
+        console.log(`   ${yearMonth}: ${month.cleanRate}% (${month.totalRows}行中 除外${month.rejectedRows}件 / 要確認${month.flaggedRecords}件)`);
+    });
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    buildQualityReport,
+    findSuspiciousRecords,
+    DEFAULT_MAX_STAY_HOURS,
+    ISSUE_TYPES
+};
@@ -0,0 +1,525 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_OUT_DIR, writeText, writeJSON } = require('./output');
+const { registerView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { calculateUserStats } = require('./process-csv');
+const { generateComparisonData, protectAnalysisData } = require('./realtime-analysis');
+const { loadCSV, compareMultipleMonths, protectTimeAnalysis } = require('./time-analysis');
+const { OUT_OF_HOURS, OUT_OF_HOURS_LABEL, loadTimeSlots } = require('./time-slots');
+const { loadCalendar, getDayOfWeek } = require('./calendar');
+const { resolvePrivacy, describePrivacy, protectRows, protectHourly } = require('./privacy');
+const { DEFAULT_TIME_ZONE, formatDateKey, formatYearMonth, addDaysToKey, getDaysInMonth } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * エクスポートの出力先（出力ディレクトリからの相対パス）
+ */
+const EXPORTS_DIR = 'exports';
+
+/**
+ * 月次エクスポートのファイル（exports/<年月>/ 以下）
+ */
+const EXPORT_FILES = {
+    users: { file: 'users.csv', label: 'ユーザー一覧' },
+    comparison: { file: 'comparison.csv', label: '前月比較' },
+    daily: { file: 'daily.csv', label: '日別統計' },
+    hourly: { file: 'hourly.csv', label: '時間別在館者数' },
+    hourlyUsers: { file: 'hourly-users.csv', label: '時間別の利用者' },
+    timeSlots: { file: 'time-slots.csv', label: '時間帯別分析' },
+    weekdays: { file: 'weekdays.csv', label: '曜日別・日の種別分析' },
+    report: { file: 'report.html', label: '印刷用レポート' }
+};
+
+/**
+ * 前月比較の指標
+ */
+const COMPARISON_METRICS = {
+    totalSessions: { label: '利用回数', unit: '回' },
+    totalHours: { label: '利用時間', unit: '時間' },
+    uniqueUsers: { label: '利用者数', unit: '人' },
+    peakOccupancy: { label: 'ピーク在館者数', unit: '人' },
+    averageOccupancy: { label: '平均在館者数', unit: '人' }
+};
+
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * ExcelがUTF-8と判定するためのBOM
+ */
+const BOM = '\uFEFF';
+
+/**
+ * CSVの1項目
+ * カンマ・改行・ダブルクォートを含む場合は囲み、=+-@ で始まる文字列はExcelで数式にならないよう ' を付ける
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 表をCSVに変換（Excelで日本語が文字化けしないよう BOM付きUTF-8・CRLF）
+ * @param {Object} table - { headers, rows }
+ * @returns {string}
+ */
+function toCSV(table) {
+    return `${BOM}${[table.headers, ...table.rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * ユーザー一覧（ダッシュボードのユーザーテーブルと同じ項目）
+ * @param {Array} users - calculateUserStats の結果
+ * @returns {Object} { headers, rows }
+ */
+function buildUserTable(users) {
+    return {
+        headers: ['順位', '利用者キー', 'ユーザー名', '登録日', '利用回数', '利用時間(時間)', '月平均回数', '月平均時間', '活動月数'],
+        rows: users.map((user, index) => [
+            index + 1, user.userKey, user.name, user.firstCheckIn, user.totalVisits, user.totalHours,
+            user.monthlyVisits, user.monthlyHours, user.activeMonths
+        ])
+    };
+}
+
+/**
+ * 前月比較（generateComparisonData の総合指標と増減）
+ * @param {Object} comparisonData - generateComparisonData の結果
+ * @returns {Object} { headers, rows }
+ */
+function buildComparisonTable(comparisonData) {
+    const { currentMonth, previousMonth, comparison, metadata } = comparisonData;
+    return {
+        headers: ['指標', `${metadata.currentLabel}(${metadata.currentPeriod})`, `${metadata.previousLabel}(${metadata.previousPeriod})`, '差', '増減率(%)'],
+        rows: Object.entries(COMPARISON_METRICS).map(([metric, { label, unit }]) => [
+            `${label}(${unit})`,
+            currentMonth.totalStats[metric],
+            previousMonth.totalStats[metric],
+            comparison[`${metric}Change`].absolute,
+            comparison[`${metric}Change`].percent
+        ])
+    };
+}
+
+/**
+ * 日別統計（利用のなかった日も0として含める。public で伏せた日の値は空欄）
+ * @param {Object} monthData - generateComparisonData の currentMonth（プライバシー設定を適用したもの）
+ * @returns {Object} { headers, rows }
+ */
+function buildDailyTable(monthData) {
+    const [from, to] = monthData.period.split(' to ');
+    const rows = [];
+    for (let date = from; date <= to; date = addDaysToKey(date, 1)) {
+        const stats = monthData.dailyStats[date] || { totalSessions: 0, totalHours: 0, uniqueUsers: 0 };
+        const occupancy = monthData.occupancy.daily[date] || { peakOccupancy: 0, peakAt: null, averageOccupancy: 0 };
+        rows.push([
+            date, DAY_NAMES[getDayOfWeek(date)], stats.totalSessions, stats.totalHours === null ? null : Math.round(stats.totalHours * 10) / 10, stats.uniqueUsers,
+            occupancy.peakOccupancy, occupancy.peakAt, occupancy.averageOccupancy
+        ]);
+    }
+    return {
+        headers: ['日付', '曜日', '利用回数', '利用時間(時間)', '利用者数', 'ピーク在館者数', 'ピーク時刻', '平均在館者数'],
+        rows
+    };
+}
+
+/**
+ * 時間別在館者数と、時間別の利用者（1行に1人。realtime の hourly CSV のように1列にまとめない）
+ * public では在館者数の少ない時間枠を空欄にし、時間別の利用者は出力しない
+ * @param {Object} hourlyOccupancy - calculateHourlyOccupancy の hourlyOccupancy
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object} { hourly, hourlyUsers? }
+ */
+function buildHourlyTables(hourlyOccupancy, privacy) {
+    const entries = Object.entries(protectHourly(privacy, hourlyOccupancy)).sort(([a], [b]) => a.localeCompare(b));
+    const split = dateHour => [dateHour.slice(0, 10), Number(dateHour.slice(11))];
+    const tables = {
+        hourly: {
+            headers: ['日付', '時', '在館者数', '利用時間(分)'],
+            rows: entries.map(([dateHour, data]) => [
+                ...split(dateHour), data.count, data.suppressed ? null : Math.round(data.totalMinutes)
+            ])
+        }
+    };
+    if (privacy.identifiable) {
+        tables.hourlyUsers = {
+            headers: ['日付', '時', '利用者キー', 'ユーザー名', '利用時間(分)'],
+            rows: entries.flatMap(([dateHour, data]) =>
+                data.users.map(user => [...split(dateHour), user.userKey, user.name, Math.round(user.duration)])
+            )
+        };
+    }
+    return tables;
+}
+
+/**
+ * 時間帯別分析（営業時間外を含む）
+ * @param {Object} monthAnalysis - compareMultipleMonths の月の結果
+ * @param {Object} labels - 時間帯キー → 表示名
+ * @returns {Object} { headers, rows }
+ */
+function buildTimeSlotTable(monthAnalysis, labels) {
+    const { timeSlotAverages, outOfHours } = monthAnalysis.timeSlots;
+    return {
+        headers: ['時間帯', '平均利用人数(人/日)', '利用回数', '利用者数', '利用時間(時間)', '平均滞在時間(時間)'],
+        rows: Object.entries({ ...timeSlotAverages, [OUT_OF_HOURS]: outOfHours }).map(([slot, stats]) => [
+            labels[slot], stats.averageOccupancy, stats.totalSessions, stats.uniqueUsers, stats.totalHours, stats.averageSessionLength
+        ])
+    };
+}
+
+/**
+ * 曜日別・日の種別分析
+ * @param {Object} monthAnalysis - compareMultipleMonths の月の結果
+ * @returns {Object} { headers, rows }
+ */
+function buildWeekdayTable(monthAnalysis) {
+    const row = (group, name, stats) => [
+        group, name, stats.averageOccupancy, stats.totalSessions, stats.uniqueUsers, stats.totalHours, stats.daysAnalyzed, stats.averageSessionLength
+    ];
+    return {
+        headers: ['区分', '名前', '平均利用人数(人/日)', '利用回数', '利用者数', '利用時間(時間)', '日数', '平均滞在時間(時間)'],
+        rows: [
+            ...Object.values(monthAnalysis.dayOfWeek).map(stats => row('曜日（祝日・イベント日を除く）', stats.dayName, stats)),
+            ...Object.values(monthAnalysis.dayTypes).map(stats => row('日の種別', stats.label, stats))
+        ]
+    };
+}
+
+/**
+ * HTMLの特殊文字をエスケープ
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 棒グラフのSVG（印刷用レポートに埋め込む。外部ライブラリ・スクリプトなしで表示できるように）
+ * @param {Object} chart
+ * @param {Array<string>} chart.labels - 横軸のラベル
+ * @param {Array<number>} chart.values - 棒の値（null は伏せた値で、棒を描かない）
+ * @param {Array<number>} [chart.compare] - 比較する値（破線で表示。null の点は飛ばす）
+ * @param {string} [chart.color] - 棒の色
+ * @param {number} [chart.labelEvery] - 横軸のラベルを何本おきに表示するか
+ * @returns {string} SVG要素
+ */
+function barChartSVG({ labels, values, compare = null, color = '#667eea', labelEvery = 1 }) {
+    const width = 680;
+    const height = 220;
+    const pad = { top: 15, right: 10, bottom: 30, left: 40 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const max = Math.max(...values, ...(compare || []), 1);
+    const step = plotWidth / values.length;
+    const round1 = value => Math.round(value * 10) / 10;
+    const y = value => round1(pad.top + plotHeight - (value / max) * plotHeight);
+
+    const parts = [];
+    for (let i = 0; i <= 4; i++) {
+        const value = (max * i) / 4;
+        parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e2e8f0"/>`);
+        parts.push(`<text x="${pad.left - 5}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="#718096">${round1(value)}</text>`);
+    }
+    values.forEach((value, i) => {
+        const x = pad.left + i * step;
+        if (value !== null) parts.push(`<rect x="${round1(x + step * 0.15)}" y="${y(value)}" width="${round1(step * 0.7)}" height="${round1(pad.top + plotHeight - y(value))}" fill="${color}"/>`);
+        if (i % labelEvery === 0) {
+            parts.push(`<text x="${round1(x + step / 2)}" y="${height - 12}" text-anchor="middle" font-size="10" fill="#4a5568">${escapeHTML(labels[i])}</text>`);
+        }
+    });
+    if (compare) {
+        const points = compare
+            .map((value, i) => (value === null ? null : `${round1(pad.left + i * step + step / 2)},${y(value)}`))
+            .filter(Boolean)
+            .join(' ');
+        parts.push(`<polyline points="${points}" fill="none" stroke="#a0aec0" stroke-width="2" stroke-dasharray="4 3"/>`);
+    }
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg">${parts.join('')}</svg>`;
+}
+
+/**
+ * 表のHTML
+ * @param {Object} table - { headers, rows }
+ * @returns {string}
+ */
+function tableHTML(table) {
+    return `<table><thead><tr>${table.headers.map(header => `<th>${escapeHTML(header)}</th>`).join('')}</tr></thead>`
+        + `<tbody>${table.rows.map(row => `<tr>${row.map(value => `<td>${escapeHTML(value === null ? '' : value)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * 印刷用の月次レポート（CSS・グラフを埋め込んだ単体のHTML。ブラウザの印刷からPDFに保存できる）
+ * @param {Object} data - generateMonthlyExport の結果
+ * @returns {string} HTML
+ */
+function renderReport(data) {
+    const { label, comparisonData, tables, metadata } = data;
+    const { currentMonth, previousMonth, comparison } = comparisonData;
+
+    const cards = Object.entries(COMPARISON_METRICS).map(([metric, { label: metricLabel, unit }]) => {
+        const change = comparison[`${metric}Change`];
+        const sign = change.absolute > 0 ? '+' : '';
+        return `
+            <div class="card">
+                <div class="card-label">${metricLabel}</div>
+                <div class="card-value">${currentMonth.totalStats[metric]}${unit}</div>
+                <div class="card-change ${change.absolute > 0 ? 'up' : change.absolute < 0 ? 'down' : ''}">
+                    ${comparisonData.metadata.previousLabel} ${previousMonth.totalStats[metric]}${unit}（${sign}${change.absolute}${unit}${change.percent === null ? '' : ` / ${sign}${change.percent}%`}）
+                </div>
+            </div>`;
+    }).join('');
+
+    const daily = tables.daily.rows;
+    const previousDaily = Object.keys(previousMonth.dailyStats).length > 0
+        ? daily.map((row, i) => {
+            const date = addDaysToKey(previousMonth.period.split(' to ')[0], i);
+            return previousMonth.dailyStats[date] ? previousMonth.dailyStats[date].totalSessions : 0;
+        })
+        : null;
+    const timeSlotRows = tables.timeSlots.rows;
+    const weekdayRows = tables.weekdays.rows.slice(0, 7);
+    const topUsers = { headers: tables.users.headers.filter((header, i) => i !== 1), rows: tables.users.rows.slice(0, 10).map(row => row.filter((value, i) => i !== 1)) };
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>NIHO 月次利用レポート ${escapeHTML(label)}</title>
+<style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: 'Hiragino Sans', 'Yu Gothic', 'Meiryo', sans-serif; color: #2d3748; max-width: 800px; margin: 0 auto; padding: 20px; }
+    h1 { font-size: 1.6rem; margin-bottom: 4px; }
+    h2 { font-size: 1.1rem; margin: 28px 0 10px; padding-bottom: 4px; border-bottom: 2px solid #667eea; }
+    .meta { color: #718096; font-size: 0.85rem; }
+    .cards { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+    .card { border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px; }
+    .card-label { color: #718096; font-size: 0.8rem; }
+    .card-value { font-size: 1.3rem; font-weight: bold; margin: 4px 0; }
+    .card-change { font-size: 0.75rem; color: #718096; }
+    .card-change.up { color: #2f855a; }
+    .card-change.down { color: #c53030; }
+    .legend { font-size: 0.8rem; color: #718096; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.8rem; }
+    th, td { border: 1px solid #e2e8f0; padding: 4px 6px; text-align: right; }
+    th { background: #f7fafc; text-align: center; }
+    td:first-child, td:nth-child(2) { text-align: left; }
+    section { page-break-inside: avoid; }
+    @media print { body { padding: 0; } .no-print { display: none; } }
+</style>
+</head>
+<body>
+    <h1>🏠 NIHO 月次利用レポート ${escapeHTML(label)}</h1>
+    <div class="meta">
+        集計期間: ${escapeHTML(comparisonData.metadata.currentPeriod.replace(' to ', ' 〜 '))}
+        （比較: ${escapeHTML(comparisonData.metadata.previousLabel)} ${escapeHTML(comparisonData.metadata.previousPeriod.replace(' to ', ' 〜 '))}）
+        / 作成: ${escapeHTML(new Date(metadata.generatedAt).toLocaleString('ja-JP', { timeZone: metadata.timeZone }))}
+        / ${escapeHTML(metadata.privacy.label)}
+    </div>
+    <p class="no-print meta">ブラウザの印刷（Ctrl+P / ⌘P）から「PDFに保存」を選ぶとPDFにできます。</p>
+
+    <section>
+        <h2>📊 主要指標</h2>
+        <div class="cards">${cards}</div>
+    </section>
+
+    <section>
+        <h2>📅 日別利用回数</h2>
+        ${barChartSVG({ labels: daily.map(row => String(Number(row[0].slice(8)))), values: daily.map(row => row[2]), compare: previousDaily, labelEvery: 2 })}
+        <div class="legend">棒: ${escapeHTML(label)}${previousDaily ? ` / 破線: ${escapeHTML(comparisonData.metadata.previousLabel)}の同じ日` : ''}</div>
+    </section>
+
+    <section>
+        <h2>🕐 時間帯別の平均利用人数（人/日）</h2>
+        ${barChartSVG({ labels: timeSlotRows.map(row => row[0]), values: timeSlotRows.map(row => row[1]), color: '#38a169' })}
+    </section>
+
+    <section>
+        <h2>📆 曜日別の平均利用人数（人/日、祝日・イベント日を除く）</h2>
+        ${barChartSVG({ labels: weekdayRows.map(row => row[1]), values: weekdayRows.map(row => row[2]), color: '#d69e2e' })}
+        ${tableHTML({ headers: tables.weekdays.headers, rows: tables.weekdays.rows })}
+    </section>
+
+    <section>
+        <h2>👤 利用回数の多いユーザー（上位10名）</h2>
+        ${tableHTML(topUsers)}
+    </section>
+</body>
+</html>
+`;
+}
+
+/**
+ * 月次エクスポートのデータを生成
+ * @param {Array} records - time-analysis の loadCSV で読み込んだレコード
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.month] - 対象月 "2025-07"（省略時は基準日時の月）
+ * @param {string} [options.timeSlotsPath] - 時間帯・営業時間の定義ファイル
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @returns {Object} { month, label, comparisonData, tables, metadata }
+ */
+function generateMonthlyExport(records, options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const month = options.month || formatYearMonth(asOf, timeZone);
+    const [year, monthNumber] = month.split('-').map(Number);
+    const label = `${year}年${monthNumber}月`;
+
+    const targetRecords = records.filter(record => record.checkinDate <= asOf);
+    if (!targetRecords.some(record => record.yearMonth === month)) {
+        throw new Error(`${label}のレコードがありません`);
+    }
+
+    // 対象月（基準日時の月は基準日まで）と、前月の同じ日数を比較
+    const asOfDate = formatDateKey(asOf, timeZone);
+    const monthEnd = `${month}-${String(getDaysInMonth(year, monthNumber)).padStart(2, '0')}`;
+    const range = { start: `${month}-01`, end: monthEnd < asOfDate ? monthEnd : asOfDate };
+    const previousStart = `${addDaysToKey(range.start, -1).slice(0, 7)}-01`;
+    const previousEnd = addDaysToKey(previousStart, Number(range.end.slice(8)) - 1);
+    const previousMonthEnd = addDaysToKey(range.start, -1);
+    const baseline = { start: previousStart, end: previousEnd < previousMonthEnd ? previousEnd : previousMonthEnd };
+    const comparisonData = generateComparisonData(targetRecords, asOf, timeZone, { ...options, range, baseline });
+    comparisonData.metadata.currentLabel = label;
+    comparisonData.metadata.previousLabel = '前月';
+
+    const timeSlots = loadTimeSlots(options.timeSlotsPath);
+    const monthAnalysis = protectTimeAnalysis(compareMultipleMonths(targetRecords, [month], {
+        timeZone,
+        timeSlots,
+        calendar: loadCalendar({ closuresPath: options.closuresPath }),
+        firstDate: targetRecords.reduce((min, record) => (record.date < min ? record.date : min), targetRecords[0].date),
+        lastDate: asOfDate
+    })[month], privacy);
+
+    const users = calculateUserStats(targetRecords, { key: month, label, type: 'month', months: 1 }, timeZone);
+    // 日別の値・ピーク時刻は利用者の少ない日を伏せる（時間別の表は buildHourlyTables で伏せる）
+    const protectedData = protectAnalysisData(comparisonData, privacy);
+
+    return {
+        month,
+        label,
+        comparisonData: protectedData,
+        tables: {
+            users: buildUserTable(protectRows(privacy, users, 'totalVisits')),
+            comparison: buildComparisonTable(protectedData),
+            daily: buildDailyTable(protectedData.currentMonth),
+            ...buildHourlyTables(comparisonData.currentMonth.hourlyOccupancy, privacy),
+            timeSlots: buildTimeSlotTable(monthAnalysis, { ...timeSlots.labels, [OUT_OF_HOURS]: OUT_OF_HOURS_LABEL }),
+            weekdays: buildWeekdayTable(monthAnalysis)
+        },
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone,
+            privacy: describePrivacy(privacy)
+        }
+    };
+}
+
+/**
+ * 月次エクスポートを書き出し、エクスポートの一覧（exports/index.json）を更新
+ * 今回出力しない表（public の時間別の利用者など）の前回のファイルは削除する
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {Object} exportData - generateMonthlyExport の結果
+ * @param {Object} [run] - 一覧ファイルとマニフェストに記録する実行情報
+ * @returns {Promise<string>} 月のディレクトリのパス
+ */
+async function writeMonthlyExport(outDir, exportData, run) {
+    const { month, label, tables, metadata } = exportData;
+    const monthDir = `${EXPORTS_DIR}/${month}`;
+
+    for (const [key, table] of Object.entries(tables)) {
+        await writeText(outDir, `${monthDir}/${EXPORT_FILES[key].file}`, toCSV(table));
+    }
+    await writeText(outDir, `${monthDir}/${EXPORT_FILES.report.file}`, renderReport(exportData));
+    const written = Object.entries(EXPORT_FILES).filter(([key]) => key === 'report' || tables[key]);
+    await Promise.all(Object.keys(EXPORT_FILES)
+        .filter(key => key !== 'report' && !tables[key])
+        .map(key => fs.unlink(path.join(outDir, monthDir, EXPORT_FILES[key].file)).catch(() => {})));
+
+    const indexPath = path.join(outDir, EXPORTS_DIR, 'index.json');
+    const index = await fs.readFile(indexPath, 'utf8').then(JSON.parse).catch(() => ({ reports: [] }));
+    index.reports = [
+        ...index.reports.filter(report => report.month !== month),
+        {
+            month,
+            label,
+            generatedAt: metadata.generatedAt,
+            files: Object.fromEntries(written.map(([key, { file, label: fileLabel }]) => [key, { file: `${monthDir}/${file}`, label: fileLabel }]))
+        }
+    ].sort((a, b) => b.month.localeCompare(a.month));
+    await writeJSON(outDir, `${EXPORTS_DIR}/index.json`, index, { run });
+    await registerView(outDir, 'export', { file: `${EXPORTS_DIR}/index.json`, run });
+
+    return path.join(outDir, monthDir);
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.month] - 対象月（省略時は基準日時の月）
+ * @param {string} [options.timeSlotsPath] - 時間帯・営業時間の定義ファイル
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} 月次エクスポートのデータ
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 月次レポートのエクスポートを開始...');
+
+    const records = await loadCSV(options.input || DEFAULT_INPUT, options);
+    const exportData = generateMonthlyExport(records, { ...options, privacy });
+
+    const outputPath = await writeMonthlyExport(options.outDir || DEFAULT_OUT_DIR, exportData, runInfo);
+    console.log(`📄 ${exportData.label}のエクスポート保存完了: ${outputPath}`);
+    Object.entries(EXPORT_FILES)
+        .filter(([key]) => key === 'report' || exportData.tables[key])
+        .forEach(([key, { file, label }]) => {
+            const rows = exportData.tables[key] ? ` (${exportData.tables[key].rows.length}行)` : '';
+            console.log(`   - ${file} (${label})${rows}`);
+        });
+
+    return exportData;
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateMonthlyExport,
+    writeMonthlyExport,
+    renderReport,
+    toCSV,
+    EXPORT_FILES
+};
@@ -0,0 +1,458 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { writeView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, insufficientDataError } = require('./record-store');
+const { calculateOccupancy } = require('./occupancy');
+const { buildDailyHours, buildMatrix } = require('./occupancy-heatmap');
+const { resolvePrivacy, describePrivacy, isSuppressed } = require('./privacy');
+const { loadCalendar, classifyDate, getDayOfWeek } = require('./calendar');
+const { DEFAULT_TIME_ZONE, formatDateKey, addDaysToKey, getDaysInMonth } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 予測の条件
+ */
+const HORIZON_DAYS = 28;          // 予測する日数（4週間）
+const SEASON_LENGTH = 7;          // 季節周期（1週間）
+const MIN_HISTORY_DAYS = 28;      // 予測に必要な実績の日数
+const HISTORY_OUTPUT_DAYS = 56;   // グラフ用に出力する直近の実績の日数
+const PROFILE_WEEKS = 8;          // 時間別の配分を求める直近の週数
+const INTERVAL_LEVEL = 0.8;       // 予測区間の水準
+const INTERVAL_Z = 1.2816;        // 80%予測区間の標準正規分布の分位点
+
+/**
+ * 平滑化パラメータの候補（一期先予測の二乗誤差が最小になる組み合わせを選ぶ）
+ */
+const PARAMETER_GRID = {
+    alpha: [0.05, 0.1, 0.2, 0.3, 0.5, 0.7],
+    beta: [0, 0.01, 0.05, 0.1],
+    gamma: [0.05, 0.1, 0.2, 0.3, 0.5],
+    phi: [0.8, 0.9, 0.98]
+};
+
+/**
+ * 予測する指標
+ */
+const METRICS = {
+    sessions: '利用回数',
+    hours: '利用時間',
+    peakOccupancy: 'ピーク在館者数'
+};
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * 加法型Holt-Winters（週周期・減衰トレンド）を当てはめる
+ * 傾向は φ で減衰させ、4週間先まで直線的に伸び続けないようにする
+ * 休館日（null）は観測なしとして、水準・傾向・季節成分を更新せずに進める
+ * @param {Array<number|null>} series - 日別の実績（連続した日付）
+ * @param {Object} params - { alpha, beta, gamma, phi }
+ * @returns {Object} { level, trend, season, sse, count, length, params }
+ */
+function fitHoltWinters(series, params) {
+    const { alpha, beta, gamma, phi } = params;
+    const mean = values => {
+        const observed = values.filter(value => value !== null);
+        return observed.length > 0 ? observed.reduce((sum, value) => sum + value, 0) / observed.length : 0;
+    };
+
+    // 初期値: 最初の2週間から水準・傾向、最初の1週間から季節成分を求める
+    const firstSeason = series.slice(0, SEASON_LENGTH);
+    const secondSeason = series.slice(SEASON_LENGTH, SEASON_LENGTH * 2);
+    let level = mean(firstSeason);
+    let trend = (mean(secondSeason) - level) / SEASON_LENGTH;
+    const season = firstSeason.map(value => (value !== null ? value - level : 0));
+
+    let sse = 0;
+    let count = 0;
+    for (let t = SEASON_LENGTH; t < series.length; t++) {
+        const index = t % SEASON_LENGTH;
+        const value = series[t];
+        if (value === null) {
+            level += phi * trend;
+            trend *= phi;
+            continue;
+        }
+
+        const error = value - (level + phi * trend + season[index]);
+        sse += error * error;
+        count++;
+
+        const previousLevel = level;
+        level = alpha * (value - season[index]) + (1 - alpha) * (level + phi * trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+        season[index] = gamma * (value - level) + (1 - gamma) * season[index];
+    }
+
+    return { level, trend, season, sse, count, length: series.length, params };
+}
+
+/**
+ * 平滑化パラメータを選んで当てはめる
+ * @param {Array<number|null>} series - 日別の実績
+ * @returns {Object} fitHoltWinters の結果（二乗誤差が最小のもの）
+ */
+function selectModel(series) {
+    let best = null;
+    PARAMETER_GRID.alpha.forEach(alpha => {
+        PARAMETER_GRID.beta.forEach(beta => {
+            PARAMETER_GRID.gamma.forEach(gamma => {
+                PARAMETER_GRID.phi.forEach(phi => {
+                    const model = fitHoltWinters(series, { alpha, beta, gamma, phi });
+                    if (!best || model.sse < best.sse) {
+                        best = model;
+                    }
+                });
+            });
+        });
+    });
+    return best;
+}
+
+/**
+ * h日先の予測値と予測区間
+ * 分散は減衰トレンドの加法型Holt-Wintersの近似式 σ²(1 + Σ(α(1 + β(φ + … + φ^j)) + γ[jが周期の倍数])²) で求める
+ * @param {Object} model - fitHoltWinters の結果
+ * @param {number} h - 何日先か（1〜）
+ * @returns {Object} { expected, lower, upper, variance }
+ */
+function predict(model, h) {
+    const { level, trend, season, sse, count, length, params } = model;
+    const { alpha, beta, gamma, phi } = params;
+    const sigma2 = count > 0 ? sse / count : 0;
+
+    let factor = 1;
+    let damping = 0; // φ + φ² + … + φ^j
+    for (let j = 1; j < h; j++) {
+        damping += Math.pow(phi, j);
+        const c = alpha * (1 + beta * damping) + (j % SEASON_LENGTH === 0 ? gamma : 0);
+        factor += c * c;
+    }
+    const variance = sigma2 * factor;
+    const trendSum = damping + Math.pow(phi, h);
+    const expected = Math.max(0, level + trendSum * trend + season[(length - 1 + h) % SEASON_LENGTH]);
+    const margin = INTERVAL_Z * Math.sqrt(variance);
+
+    return {
+        expected,
+        lower: Math.max(0, expected - margin),
+        upper: expected + margin,
+        variance
+    };
+}
+
+/**
+ * 日別の実績（利用回数・利用時間・ピーク在館者数）を作成
+ * 利用のなかった日は0、休館日は null とする
+ * @param {Array} records - 標準レコード
+ * @param {string} firstDate - 最初の日
+ * @param {string} lastDate - 最後の日（この日を含む）
+ * @param {Object} context - { timeZone, calendar }
+ * @returns {Array} [{ date, closed, sessions, hours, peakOccupancy }]
+ */
+function buildDailySeries(records, firstDate, lastDate, context) {
+    const { timeZone, calendar } = context;
+    const totals = {};
+    records.forEach(record => {
+        const date = formatDateKey(record.checkinDate, timeZone);
+        if (!totals[date]) {
+            totals[date] = { sessions: 0, minutes: 0 };
+        }
+        totals[date].sessions++;
+        totals[date].minutes += record.stayMinutes;
+    });
+    const { daily } = calculateOccupancy(records, { timeZone });
+
+    const days = [];
+    for (let date = firstDate; date <= lastDate; date = addDaysToKey(date, 1)) {
+        const { closed } = classifyDate(date, calendar);
+        const total = totals[date] || { sessions: 0, minutes: 0 };
+        days.push({
+            date,
+            closed,
+            sessions: closed ? null : total.sessions,
+            hours: closed ? null : total.minutes / 60,
+            peakOccupancy: closed ? null : (daily[date] ? daily[date].peakOccupancy : 0)
+        });
+    }
+    return days;
+}
+
+/**
+ * 曜日ごとの時間別の利用の配分（直近の週の平均同時在館人数から求める）
+ * @param {Array} records - 標準レコード
+ * @param {string} lastDate - 最後の日
+ * @param {Object} context - { timeZone, calendar }
+ * @returns {Array} [曜日][時] → その曜日の1日の利用時間に占める割合
+ */
+function buildHourlyShares(records, lastDate, context) {
+    const firstDate = addDaysToKey(lastDate, -PROFILE_WEEKS * SEASON_LENGTH + 1);
+    const days = buildDailyHours(records, { firstDate, lastDate, ...context });
+    const { matrix } = buildMatrix(days, firstDate, lastDate);
+
+    return matrix.map(row => {
+        const total = row.reduce((sum, value) => sum + (value || 0), 0);
+        return row.map(value => (total > 0 ? (value || 0) / total : 0));
+    });
+}
+
+/**
+ * 利用需要の予測データを生成
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @returns {Object} forecast.json の内容（実績が足りない場合は forecast が空で、metadata.insufficientHistory に必要な日数）
+ */
+function generateForecastData(records, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const calendar = loadCalendar({ closuresPath: options.closuresPath });
+    const context = { timeZone, calendar };
+
+    // 実績は基準日時の前日まで（基準日時がその日の終わりならその日まで）の終わった日を使う
+    const asOfDate = formatDateKey(asOf, timeZone);
+    const lastDate = formatDateKey(new Date(asOf.getTime() + 1), timeZone) !== asOfDate ? asOfDate : addDaysToKey(asOfDate, -1);
+    const targetRecords = records.filter(record => formatDateKey(record.checkinDate, timeZone) <= lastDate);
+    if (targetRecords.length === 0) {
+        throw insufficientDataError('基準日時以前のレコードがありません');
+    }
+
+    const firstDate = formatDateKey(new Date(Math.min(...targetRecords.map(record => record.checkinDate.getTime()))), timeZone);
+    const history = buildDailySeries(targetRecords, firstDate, lastDate, context);
+    const metadata = {
+        generatedAt: new Date().toISOString(),
+        asOf: asOf.toISOString(),
+        timeZone,
+        firstDate,
+        lastDate,
+        seasonLength: SEASON_LENGTH,
+        intervalLevel: INTERVAL_LEVEL,
+        metrics: METRICS,
+        totalRecords: targetRecords.length
+    };
+    const historyOutput = history.slice(-HISTORY_OUTPUT_DAYS).map(({ date, closed, sessions, hours, peakOccupancy }) => ({
+        date, closed, sessions, hours: hours !== null ? round1(hours) : null, peakOccupancy
+    }));
+
+    // 実績が足りない場合は予測せず、実績と必要な日数だけを出力する（niho all を止めない）
+    if (history.length < MIN_HISTORY_DAYS) {
+        return {
+            history: historyOutput,
+            forecast: [],
+            monthEnd: null,
+            model: null,
+            metadata: {
+                ...metadata,
+                horizonDays: 0,
+                insufficientHistory: { requiredDays: MIN_HISTORY_DAYS, historyDays: history.length }
+            }
+        };
+    }
+
+    const models = {};
+    Object.keys(METRICS).forEach(metric => {
+        models[metric] = selectModel(history.map(day => day[metric]));
+    });
+
+    // 予測期間は4週間（基準日の月末がそれより先なら月末まで）
+    // 月末見込みは基準日の月（1日が基準日の場合、実績の最後の日は前月末でも当月の見込みにする）
+    const [year, month] = asOfDate.split('-').map(Number);
+    const monthEnd = `${asOfDate.slice(0, 7)}-${String(getDaysInMonth(year, month)).padStart(2, '0')}`;
+    const monthRemaining = Math.round((Date.parse(monthEnd) - Date.parse(lastDate)) / (24 * 60 * 60 * 1000));
+    const horizonDays = Math.max(HORIZON_DAYS, monthRemaining);
+
+    const shares = buildHourlyShares(targetRecords, lastDate, context);
+    const forecast = [];
+    const variances = Object.fromEntries(Object.keys(METRICS).map(metric => [metric, []]));
+    for (let h = 1; h <= horizonDays; h++) {
+        const date = addDaysToKey(lastDate, h);
+        const dayOfWeek = getDayOfWeek(date);
+        const { type, closed, name } = classifyDate(date, calendar);
+        const day = { date, dayOfWeek, type, name, closed };
+
+        Object.keys(METRICS).forEach(metric => {
+            const { expected, lower, upper, variance } = closed
+                ? { expected: 0, lower: 0, upper: 0, variance: 0 }
+                : predict(models[metric], h);
+            day[metric] = { expected: round1(expected), lower: round1(lower), upper: round1(upper) };
+            variances[metric].push(variance);
+        });
+
+        // 時間別の平均同時在館人数（予測した利用時間を曜日ごとの時間別の配分で分ける）
+        day.hourly = shares[dayOfWeek].map(share => Math.round(day.hours.expected * share * 100) / 100);
+        forecast.push(day);
+    }
+
+    return {
+        history: historyOutput,
+        forecast,
+        monthEnd: projectMonthEnd(history, forecast, variances, monthEnd),
+        model: Object.fromEntries(Object.entries(models).map(([metric, model]) => [metric, {
+            ...model.params,
+            rmse: model.count > 0 ? round1(Math.sqrt(model.sse / model.count)) : 0
+        }])),
+        metadata: { ...metadata, horizonDays }
+    };
+}
+
+/**
+ * 月末見込み（月初から実績のある日までの実績 + 月末までの予測）
+ * 月末までの合計の予測区間は、日ごとの予測誤差を独立とみなした近似
+ * @param {Array} history - 日別の実績
+ * @param {Array} forecast - 日別の予測
+ * @param {Object} variances - 指標 → 日別の予測誤差の分散（forecast と同じ順）
+ * @param {string} monthEnd - 月末の日 "2025-08-31"
+ * @returns {Object} { month, throughDate, remainingDays, actual, projected }
+ */
+function projectMonthEnd(history, forecast, variances, monthEnd) {
+    const month = monthEnd.slice(0, 7);
+    const monthHistory = history.filter(day => day.date.startsWith(month));
+    const remaining = forecast.filter(day => day.date <= monthEnd);
+
+    const actual = {
+        totalSessions: monthHistory.reduce((sum, day) => sum + (day.sessions || 0), 0),
+        totalHours: round1(monthHistory.reduce((sum, day) => sum + (day.hours || 0), 0))
+    };
+    const project = (actualTotal, metric) => {
+        const expected = actualTotal + remaining.reduce((sum, day) => sum + day[metric].expected, 0);
+        const variance = variances[metric].slice(0, remaining.length).reduce((sum, value) => sum + value, 0);
+        const margin = INTERVAL_Z * Math.sqrt(variance);
+        return {
+            expected: round1(expected),
+            lower: round1(Math.max(actualTotal, expected - margin)),
+            upper: round1(expected + margin)
+        };
+    };
+
+    return {
+        month,
+        throughDate: history[history.length - 1].date,
+        remainingDays: remaining.length,
+        actual,
+        projected: {
+            totalSessions: project(actual.totalSessions, 'sessions'),
+            totalHours: project(actual.totalHours, 'hours')
+        }
+    };
+}
+
+/**
+ * 出力のプライバシー設定を適用
+ * public では日別の実績のうち利用者（同じ人は1人）が少ない日の値を伏せる（{ sessions: null, hours: null, peakOccupancy: null, suppressed: true }）
+ * @param {Object} forecastData - generateForecastData の結果
+ * @param {Array} records - 標準レコード（generateForecastData と同じもの）
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectForecastData(forecastData, records, privacy) {
+    const metadata = { ...forecastData.metadata, privacy: describePrivacy(privacy) };
+    if (privacy.identifiable) {
+        return { ...forecastData, metadata };
+    }
+
+    const usersByDate = {};
+    records.forEach(record => {
+        const date = formatDateKey(record.checkinDate, metadata.timeZone);
+        if (!usersByDate[date]) {
+            usersByDate[date] = new Set();
+        }
+        usersByDate[date].add(record.userKey);
+    });
+
+    return {
+        ...forecastData,
+        history: forecastData.history.map(day => (
+            isSuppressed(privacy, usersByDate[day.date] ? usersByDate[day.date].size : 0)
+                ? { date: day.date, closed: day.closed, sessions: null, hours: null, peakOccupancy: null, suppressed: true }
+                : day
+        )),
+        metadata
+    };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} 予測データ（出力した内容）
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 利用需要の予測を開始...');
+
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const forecastData = protectForecastData(generateForecastData(records, options), records, privacy);
+
+    const outputPath = await writeView(options.outDir || DEFAULT_OUT_DIR, 'forecast', 'forecast.json', forecastData, { run: runInfo });
+    console.log('📄 予測データ保存完了:', outputPath);
+
+    displaySummary(forecastData);
+
+    return forecastData;
+}
+
+/**
+ * サマリーを表示
+ * @param {Object} forecastData - 予測データ
+ */
+function displaySummary(forecastData) {
+    const { forecast, monthEnd, model, metadata } = forecastData;
+    const level = `${metadata.intervalLevel * 100}%`;
+    const range = ({ expected, lower, upper }) => `${expected} (${lower}〜${upper})`;
+
+    console.log('\n📊 ===== 利用需要の予測 =====');
+    if (metadata.insufficientHistory) {
+        const { requiredDays, historyDays } = metadata.insufficientHistory;
+        console.log(`⚠️  実績が${historyDays}日分のため予測していません（予測には${requiredDays}日以上の実績が必要です）`);
+        return;
+    }
+    console.log(`📅 実績: ${metadata.firstDate} 〜 ${metadata.lastDate} / 予測: ${metadata.horizonDays}日間 (予測区間 ${level})`);
+    Object.entries(metadata.metrics).forEach(([metric, label]) => {
+        const { alpha, beta, gamma, phi, rmse } = model[metric];
+        console.log(`   ${label}: α=${alpha} β=${beta} γ=${gamma} φ=${phi} 誤差(RMSE)=${rmse}`);
+    });
+
+    console.log('\n🔮 今後4週間の週別見込み（利用回数）:');
+    for (let week = 0; week < 4; week++) {
+        const days = forecast.slice(week * SEASON_LENGTH, (week + 1) * SEASON_LENGTH);
+        const total = days.reduce((sum, day) => sum + day.sessions.expected, 0);
+        console.log(`   ${days[0].date} 〜 ${days[days.length - 1].date}: ${round1(total)}回`);
+    }
+
+    console.log(`\n📈 ${monthEnd.month} の月末見込み（${monthEnd.throughDate} までの実績 + 残り${monthEnd.remainingDays}日の予測）:`);
+    console.log(`   利用回数: ${monthEnd.actual.totalSessions}回 → ${range(monthEnd.projected.totalSessions)}回`);
+    console.log(`   利用時間: ${monthEnd.actual.totalHours}h → ${range(monthEnd.projected.totalHours)}h`);
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateForecastData,
+    protectForecastData,
+    fitHoltWinters,
+    selectModel,
+    predict,
+    buildDailySeries,
+    HORIZON_DAYS
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 既定の別名定義ファイル（同一人物の会員番号・名前の組み合わせ）
+ */
+const DEFAULT_ALIASES_PATH = path.join(__dirname, 'config', 'member-aliases.json');
+
+/**
+ * 名前の表記ゆれを吸収した比較用の文字列に変換
+ * 全角・半角の違い（NFKC正規化）と空白の有無を同一視する
+ * @param {string} name - 顧客名
+ * @returns {string} 正規化した名前
+ */
+function normalizeName(name) {
+    return (name || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * 会員番号を正規化（全角数字・前後の空白を吸収）
+ * @param {string} memberId - 会員番号
+ * @returns {string} 正規化した会員番号（空の場合は空文字）
+ */
+function normalizeMemberId(memberId) {
+    return (memberId || '').normalize('NFKC').trim().toUpperCase();
+}
+
+/**
+ * 別名定義ファイルを読み込み
+ * 形式: { "members": [{ "memberIds": ["M1003"], "names": ["高橋 太郎", "タカハシタロウ"] }] }
+ * @param {string} [filePath] - 別名定義ファイルのパス（既定のファイルがなければ別名なし）
+ * @returns {Array} [{ memberIds, names }]
+ */
+function loadAliases(filePath) {
+    const aliasesPath = filePath || DEFAULT_ALIASES_PATH;
+    if (!fs.existsSync(aliasesPath)) {
+        if (filePath) {
+            throw new Error(`別名定義ファイルが見つかりません: ${filePath}`);
+        }
+        return [];
+    }
+
+    const { members = [] } = JSON.parse(fs.readFileSync(aliasesPath, 'utf8'));
+    return members.map(member => ({
+        memberIds: member.memberIds || [],
+        names: member.names || []
+    }));
+}
+
+/**
+ * 利用者キー（仮名ID）を生成
+ * 同じ本人（代表IDが同じ）であれば実行のたびに同じキーになる
+ * @param {string} canonicalId - 代表ID（"id:M1003" / "name:高橋太郎"）
+ * @param {string} [salt] - キーから本人を推測されないための秘密値
+ * @returns {string} "u_" + 12桁の16進数
+ */
+function createUserKey(canonicalId, salt = '') {
+    return 'u_' + crypto.createHash('sha256').update(`${salt}:${canonicalId}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * 同一人物のまとまりを管理（Union-Find）
+ */
+function createGroups() {
+    const parent = new Map();
+
+    const find = node => {
+        if (!parent.has(node)) {
+            parent.set(node, node);
+        }
+        let root = node;
+        while (parent.get(root) !== root) {
+            root = parent.get(root);
+        }
+        parent.set(node, root);
+        return root;
+    };
+
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) {
+            parent.set(rootB, rootA);
+        }
+    };
+
+    return { find, union, nodes: () => Array.from(parent.keys()) };
+}
+
+/**
+ * 代表IDの優先順位（会員番号 > 名前、同種なら辞書順で小さい方）
+ */
+function compareCanonical(a, b) {
+    const rank = node => (node.startsWith('id:') ? 0 : 1);
+    return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+/**
+ * レコードの利用者を同定し、利用者キーと表示名を付与
+ * - 会員番号があれば会員番号で同定する
+ * - 会員番号がない行は、正規化した名前が1つの会員番号にしか使われていなければその会員とみなす
+ *   （同名の会員が複数いる場合は名前のみで同定し、どちらの会員にも合算しない）
+ * - 別名定義ファイルで指定された会員番号・名前は同一人物として扱う
+ * @param {Array} records - 標準レコード（csv-loader）
+ * @param {Object} [options]
+ * @param {Array} [options.aliases] - 別名定義（省略時は options.aliasesPath から読み込み）
+ * @param {string} [options.aliasesPath] - 別名定義ファイルのパス
+ * @param {string} [options.userKeySalt] - 利用者キー生成用の秘密値（既定: 環境変数 NIHO_USER_KEY_SALT）
+ * @returns {Object} { records: userKey・displayNameを付与したレコード, users: 利用者キー → 利用者情報 }
+ */
+function resolveIdentities(records, options = {}) {
+    const aliases = options.aliases || loadAliases(options.aliasesPath);
+    const salt = options.userKeySalt !== undefined ? options.userKeySalt : (process.env.NIHO_USER_KEY_SALT || '');
+    const groups = createGroups();
+
+    const nodeOf = record => {
+        const memberId = normalizeMemberId(record.memberId);
+        return memberId ? `id:${memberId}` : `name:${normalizeName(record.customerName)}`;
+    };
+
+    // 別名定義をまとめる
+    aliases.forEach(({ memberIds, names }) => {
+        const nodes = [
+            ...memberIds.map(id => `id:${normalizeMemberId(id)}`),
+            ...names.map(name => `name:${normalizeName(name)}`)
+        ];
+        nodes.slice(1).forEach(node => groups.union(nodes[0], node));
+    });
+
+    // 名前ごとに使われている会員（別名適用後）を集め、1人に決まる名前だけ会員に結び付ける
+    const memberGroupsByName = new Map();
+    records.forEach(record => {
+        const node = nodeOf(record);
+        groups.find(node);
+        if (node.startsWith('id:')) {
+            const nameNode = `name:${normalizeName(record.customerName)}`;
+            if (!memberGroupsByName.has(nameNode)) {
+                memberGroupsByName.set(nameNode, new Set());
+            }
+            memberGroupsByName.get(nameNode).add(groups.find(node));
+        }
+    });
+    memberGroupsByName.forEach((memberGroups, nameNode) => {
+        if (memberGroups.size === 1) {
+            groups.union(memberGroups.values().next().value, nameNode);
+        }
+    });
+
+    // まとまりごとの代表IDから利用者キーを決める
+    const canonicalByRoot = new Map();
+    groups.nodes().forEach(node => {
+        const root = groups.find(node);
+        const current = canonicalByRoot.get(root);
+        if (!current || compareCanonical(node, current) < 0) {
+            canonicalByRoot.set(root, node);
+        }
+    });
+
+    const users = {};
+    const resolved = records.map(record => {
+        const canonicalId = canonicalByRoot.get(groups.find(nodeOf(record)));
+        const userKey = createUserKey(canonicalId, salt);
+
+        if (!users[userKey]) {
+            users[userKey] = { userKey, memberIds: new Set(), nameCounts: {} };
+        }
+        const user = users[userKey];
+        if (record.memberId) {
+            user.memberIds.add(normalizeMemberId(record.memberId));
+        }
+        user.nameCounts[record.customerName] = (user.nameCounts[record.customerName] || 0) + 1;
+
+        return { ...record, userKey };
+    });
+
+    // 表示名は最も多く使われている表記（同数なら辞書順）
+    Object.values(users).forEach(user => {
+        const names = Object.entries(user.nameCounts).sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b));
+        user.displayName = names[0][0];
+        user.names = names.map(([name]) => name);
+        user.memberIds = Array.from(user.memberIds).sort();
+        delete user.nameCounts;
+    });
+
+    resolved.forEach(record => {
+        record.displayName = users[record.userKey].displayName;
+    });
+
+    return { records: resolved, users };
+}
+
+module.exports = {
+    DEFAULT_ALIASES_PATH,
+    normalizeName,
+    normalizeMemberId,
+    loadAliases,
+    createUserKey,
+    resolveIdentities
+};
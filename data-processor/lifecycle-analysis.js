@@ -0,0 +1,309 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { writeView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, insufficientDataError } = require('./record-store');
+const { aggregateUserMonths } = require('./process-csv');
+const { resolvePrivacy, describePrivacy, maskName, isSuppressed, protectRows } = require('./privacy');
+const { DEFAULT_TIME_ZONE, formatYearMonth, formatDateKey, zonedDateTime } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 会員セグメント
+ */
+const SEGMENTS = {
+    new: '新規',
+    retained: '継続',
+    atRisk: '離脱予備軍',
+    churned: '離脱',
+    reactivated: '復帰'
+};
+
+/**
+ * 判定条件の既定値
+ */
+const DEFAULT_CHURN_DAYS = 60;       // 最終来館からこの日数を超えたら離脱
+const AT_RISK_RATIO = 0.5;           // 直近平均の半分未満なら離脱予備軍
+const TRAILING_MONTHS = 3;           // 直近平均を取る月数
+const MIN_TRAILING_VISITS = 2;       // 直近平均がこれ未満の会員は離脱予備軍と判定しない（もともと月1回程度の会員）
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 年月の開始日時（施設タイムゾーン）
+ * @param {string} yearMonth - "2025-08" 形式
+ * @param {number} [offset] - 加算する月数
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function startOfMonth(yearMonth, offset = 0, timeZone = DEFAULT_TIME_ZONE) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    return zonedDateTime(year, month + offset, 1, 0, 0, 0, 0, timeZone);
+}
+
+/**
+ * 会員の月別セグメントを判定
+ * @param {Array} visitDates - チェックイン日時（昇順）
+ * @param {Object} monthlyVisits - 年月 → { count, totalMinutes }（aggregateUserMonths）
+ * @param {Array<string>} months - 判定する年月（昇順）
+ * @param {Object} context - { asOf, timeZone, churnDays }
+ * @returns {Object} 年月 → { segment, visits, expectedVisits, trailingAverage, daysSinceLastVisit }
+ */
+function classifyMember(visitDates, monthlyVisits, months, context) {
+    const { asOf, timeZone, churnDays } = context;
+    const firstMonth = formatYearMonth(visitDates[0], timeZone);
+    const history = {};
+
+    months.filter(month => month >= firstMonth).forEach((month, index, memberMonths) => {
+        const monthStart = startOfMonth(month, 0, timeZone);
+        const monthEnd = startOfMonth(month, 1, timeZone);
+        const evaluatedAt = asOf < monthEnd ? asOf : monthEnd;
+        // 月の途中（基準日時の月）は経過した割合に応じて期待値を減らす
+        const elapsed = Math.min((evaluatedAt - monthStart) / (monthEnd - monthStart), 1);
+
+        const visits = monthlyVisits[month] ? monthlyVisits[month].count : 0;
+        const pastVisits = visitDates.filter(date => date <= evaluatedAt);
+        const lastVisit = pastVisits[pastVisits.length - 1];
+        const daysSinceLastVisit = Math.floor((evaluatedAt - lastVisit) / DAY_MS);
+
+        const trailingMonths = memberMonths.slice(Math.max(0, index - TRAILING_MONTHS), index);
+        const trailingAverage = trailingMonths.length > 0
+            ? trailingMonths.reduce((sum, m) => sum + (monthlyVisits[m] ? monthlyVisits[m].count : 0), 0) / trailingMonths.length
+            : 0;
+        const expectedVisits = trailingAverage * elapsed;
+
+        let segment;
+        if (month === firstMonth) {
+            segment = 'new';
+        } else if (visits > 0 && isReturnAfterGap(visitDates, monthStart, churnDays)) {
+            segment = 'reactivated';
+        } else if (daysSinceLastVisit > churnDays) {
+            segment = 'churned';
+        } else if (trailingAverage >= MIN_TRAILING_VISITS && visits < expectedVisits * AT_RISK_RATIO) {
+            segment = 'atRisk';
+        } else {
+            segment = 'retained';
+        }
+
+        history[month] = {
+            segment,
+            visits,
+            expectedVisits: Math.round(expectedVisits * 10) / 10,
+            trailingAverage: Math.round(trailingAverage * 10) / 10,
+            daysSinceLastVisit,
+            lastVisit: formatDateKey(lastVisit, timeZone)
+        };
+    });
+
+    return history;
+}
+
+/**
+ * その月の最初の来館が、前回の来館から離脱日数を超えて空いていたか
+ * @param {Array} visitDates - チェックイン日時（昇順）
+ * @param {Date} monthStart - 月の開始日時
+ * @param {number} churnDays - 離脱とみなす日数
+ * @returns {boolean}
+ */
+function isReturnAfterGap(visitDates, monthStart, churnDays) {
+    const index = visitDates.findIndex(date => date >= monthStart);
+    if (index <= 0) return false;
+    return (visitDates[index] - visitDates[index - 1]) / DAY_MS > churnDays;
+}
+
+/**
+ * ライフサイクル分析データを生成
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {number} [options.churnDays] - 離脱とみなす最終来館からの日数
+ * @returns {Object} lifecycle-analysis.json の内容
+ */
+function generateLifecycleData(records, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const churnDays = options.churnDays || DEFAULT_CHURN_DAYS;
+    const context = { asOf, timeZone, churnDays };
+
+    const targetRecords = records
+        .filter(record => record.checkinDate <= asOf)
+        .map(record => ({ ...record, yearMonth: formatYearMonth(record.checkinDate, timeZone) }));
+    if (targetRecords.length === 0) {
+        throw insufficientDataError('基準日時以前のレコードがありません');
+    }
+
+    // 対象月（データの最初の月〜基準日時の月）
+    const lastMonth = formatYearMonth(asOf, timeZone);
+    const firstMonth = targetRecords.reduce((min, record) => (record.yearMonth < min ? record.yearMonth : min), lastMonth);
+    const months = [];
+    for (let month = firstMonth; month <= lastMonth; month = formatYearMonth(startOfMonth(month, 1, timeZone), timeZone)) {
+        months.push(month);
+    }
+
+    const userMonths = aggregateUserMonths(targetRecords);
+    const visitDates = {};
+    const names = {};
+    targetRecords.forEach(({ userKey, displayName, checkinDate }) => {
+        if (!visitDates[userKey]) {
+            visitDates[userKey] = [];
+        }
+        visitDates[userKey].push(checkinDate);
+        names[userKey] = displayName;
+    });
+
+    const members = {};
+    const details = {};
+    Object.keys(visitDates).forEach(userKey => {
+        visitDates[userKey].sort((a, b) => a - b);
+        details[userKey] = classifyMember(visitDates[userKey], userMonths[userKey], months, context);
+        members[userKey] = {
+            name: names[userKey],
+            totalVisits: visitDates[userKey].length,
+            segment: details[userKey][lastMonth].segment,
+            history: Object.fromEntries(Object.entries(details[userKey]).map(([month, item]) => [month, item.segment]))
+        };
+    });
+
+    // 月別のセグメント人数と前月からの遷移
+    const monthly = {};
+    months.forEach((month, index) => {
+        const counts = Object.fromEntries(Object.keys(SEGMENTS).map(segment => [segment, 0]));
+        const transitions = {};
+        Object.values(members).forEach(member => {
+            const segment = member.history[month];
+            if (!segment) return;
+            counts[segment]++;
+            const previous = index > 0 ? member.history[months[index - 1]] : null;
+            const key = `${previous || 'none'}>${segment}`;
+            transitions[key] = (transitions[key] || 0) + 1;
+        });
+        monthly[month] = { counts, transitions, partial: month === lastMonth };
+    });
+
+    // 基準日時の月に離脱予備軍となっている会員（直近平均が多い順）
+    const atRisk = Object.entries(members)
+        .filter(([, member]) => member.segment === 'atRisk')
+        .map(([userKey, member]) => {
+            const detail = details[userKey][lastMonth];
+            return {
+                userKey,
+                name: member.name,
+                visits: detail.visits,
+                expectedVisits: detail.expectedVisits,
+                trailingAverage: detail.trailingAverage,
+                lastVisit: detail.lastVisit,
+                daysSinceLastVisit: detail.daysSinceLastVisit,
+                previousSegment: months.length > 1 ? member.history[months[months.length - 2]] || null : null
+            };
+        })
+        .sort((a, b) => b.trailingAverage - a.trailingAverage);
+
+    const sortedMonthly = {};
+    months.slice().reverse().forEach(month => {
+        sortedMonthly[month] = monthly[month];
+    });
+
+    return {
+        months: sortedMonthly,
+        atRisk,
+        members,
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone,
+            lastMonth,
+            churnDays,
+            atRiskRatio: AT_RISK_RATIO,
+            trailingMonths: TRAILING_MONTHS,
+            minTrailingVisits: MIN_TRAILING_VISITS,
+            segments: SEGMENTS
+        }
+    };
+}
+
+/**
+ * 出力のプライバシー設定を適用（名前を置き換え、月別のセグメントの履歴は基準日時までの来館回数が少ない会員を除く）
+ * 離脱予備軍は今月の来館が少ない会員を挙げるものなので、件数の少ない行も除かない
+ * @param {Object} lifecycleData - generateLifecycleData の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectLifecycleData(lifecycleData, privacy) {
+    return {
+        ...lifecycleData,
+        atRisk: protectRows(privacy, lifecycleData.atRisk),
+        members: Object.fromEntries(Object.entries(lifecycleData.members)
+            .filter(([, member]) => !isSuppressed(privacy, member.totalVisits))
+            .map(([userKey, member]) => [userKey, { ...member, name: maskName(privacy, userKey, member.name) }])),
+        metadata: { ...lifecycleData.metadata, privacy: describePrivacy(privacy) }
+    };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {number} [options.churnDays] - 離脱とみなす最終来館からの日数
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} ライフサイクル分析データ（出力した内容）
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 会員ライフサイクル分析を開始...');
+
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const lifecycleData = protectLifecycleData(generateLifecycleData(records, options), privacy);
+
+    const outputPath = await writeView(options.outDir || DEFAULT_OUT_DIR, 'lifecycle', 'lifecycle-analysis.json', lifecycleData, { run: runInfo });
+    console.log('📄 ライフサイクル分析データ保存完了:', outputPath);
+
+    displaySummary(lifecycleData);
+
+    return lifecycleData;
+}
+
+/**
+ * サマリーを表示
+ * @param {Object} lifecycleData - ライフサイクル分析データ
+ */
+function displaySummary(lifecycleData) {
+    const { months, atRisk, metadata } = lifecycleData;
+
+    console.log('\n📊 ===== 会員ライフサイクル分析結果 =====');
+    console.log(`   離脱の判定: 最終来館から${metadata.churnDays}日超`);
+    Object.entries(months).slice(0, 6).forEach(([month, { counts, partial }]) => {
+        const summary = Object.entries(counts).map(([segment, count]) => `${SEGMENTS[segment]}${count}`).join(' / ');
+        console.log(`   ${month}${partial ? '*' : ''}: ${summary}`);
+    });
+
+    console.log(`\n⚠️  離脱予備軍: ${atRisk.length}名`);
+    atRisk.slice(0, 10).forEach(member => {
+        console.log(`   ${member.name}: 今月${member.visits}回 (期待値${member.expectedVisits}回, 直近平均${member.trailingAverage}回/月, 最終来館${member.lastVisit})`);
+    });
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateLifecycleData,
+    classifyMember,
+    SEGMENTS,
+    DEFAULT_CHURN_DAYS
+};
@@ -0,0 +1,147 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJSON } = require('./output');
+
+/**
+ * ダッシュボードが最初に読み込む一覧ファイル（各ビューのファイル・分割ファイルと一覧表示に使う情報）
+ */
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * 分割ファイルの出力先（出力ディレクトリからの相対パス。data/<ビュー>/<名前>.json）
+ */
+const DATA_DIR = 'data';
+
+/**
+ * マニフェストを読み込む（なければ空のマニフェスト）
+ * @param {string} outDir - 出力ディレクトリ
+ * @returns {Promise<Object>} { generatedAt, views }
+ */
+async function readManifest(outDir) {
+    return fs.readFile(path.join(outDir, MANIFEST_FILE), 'utf8')
+        .then(JSON.parse)
+        .catch(() => ({ generatedAt: null, views: {} }));
+}
+
+/**
+ * マニフェストにビューを登録する（同じビューの前回の登録は置き換える）
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {string} view - ビュー名
+ * @param {Object} entry - { file } または { chunks, ... }（一覧表示に使う情報・出力した実行の run を含めてよい）
+ * @returns {Promise<string>} マニフェストのパス
+ */
+async function registerView(outDir, view, entry) {
+    const manifest = await readManifest(outDir);
+    manifest.generatedAt = new Date().toISOString();
+    manifest.views = { ...manifest.views, [view]: { ...entry, updatedAt: manifest.generatedAt } };
+    return writeJSON(outDir, MANIFEST_FILE, manifest);
+}
+
+/**
+ * ビューを1ファイルに書き出してマニフェストに登録する
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {string} view - ビュー名
+ * @param {string} fileName - ファイル名（出力ディレクトリからの相対パス）
+ * @param {Object} data - 書き出すデータ
+ * @param {Object} [options]
+ * @param {Object} [options.index] - マニフェストに載せる一覧表示用の情報
+ * @param {Object} [options.run] - 実行情報（ファイルとマニフェストの両方に記録する）
+ * @param {boolean} [options.compact] - 改行・インデントを入れずに書き出す
+ * @returns {Promise<string>} 出力パス
+ */
+async function writeView(outDir, view, fileName, data, options = {}) {
+    const outputPath = await writeJSON(outDir, fileName, data, { compact: options.compact, run: options.run });
+    await registerView(outDir, view, { ...options.index, file: fileName, run: options.run });
+    return outputPath;
+}
+
+/**
+ * 分割ファイルのパス（出力ディレクトリからの相対パス）
+ * @param {string} view - ビュー名
+ * @param {string} name - 分割ファイルの名前（期間キー・年月など）
+ * @returns {string}
+ */
+function chunkFileName(view, name) {
+    return `${DATA_DIR}/${view}/${name}.json`;
+}
+
+/**
+ * ビューを分割ファイルに書き出してマニフェストに登録する
+ * 分割ファイルは改行・インデントなしで書き出し、前回の出力に残っている今回ない分割ファイルと、
+ * 分割前の1ファイルの出力（replaces）は削除する
+ * 削除は新しい分割ファイルとマニフェストを書き出した後に行う（途中で読み込まれても、マニフェストにあるファイルは常に存在する）
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {string} view - ビュー名
+ * @param {Object} chunks - 分割ファイルの名前 → 内容
+ * @param {Object} [options]
+ * @param {Object} [options.index] - マニフェストに載せる一覧表示用の情報（期間の一覧・metadata など）
+ * @param {Array<string>} [options.replaces] - 分割前の出力ファイル名（出力ディレクトリからの相対パス）
+ * @param {Object} [options.run] - 実行情報（各分割ファイルとマニフェストに記録する）
+ * @returns {Promise<Array<string>>} 書き出した分割ファイルのパス
+ */
+async function writeChunkedView(outDir, view, chunks, options = {}) {
+    const outputPaths = [];
+    for (const [name, data] of Object.entries(chunks)) {
+        outputPaths.push(await writeJSON(outDir, chunkFileName(view, name), data, { compact: true, run: options.run }));
+    }
+    await registerView(outDir, view, {
+        ...options.index,
+        chunks: Object.fromEntries(Object.keys(chunks).map(name => [name, chunkFileName(view, name)])),
+        run: options.run
+    });
+
+    const viewDir = path.join(outDir, DATA_DIR, view);
+    const current = new Set(Object.keys(chunks).map(name => `${name}.json`));
+    const existing = await fs.readdir(viewDir).catch(() => []);
+    await Promise.all([
+        ...existing.filter(file => file.endsWith('.json') && !current.has(file)).map(file => fs.unlink(path.join(viewDir, file))),
+        ...(options.replaces || []).map(file => fs.unlink(path.join(outDir, file)).catch(() => {}))
+    ]);
+    return outputPaths;
+}
+
+/**
+ * マニフェストからビューの登録を外し、ビューのファイルを削除する（public では出力しないビューの前回の出力）
+ * 削除はマニフェストを書き出した後に行う（途中で読み込まれても、マニフェストにあるファイルは常に存在する）
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {string} view - ビュー名
+ * @param {string} fileName - ファイル名（出力ディレクトリからの相対パス）
+ * @returns {Promise<void>}
+ */
+async function removeView(outDir, view, fileName) {
+    const manifest = await readManifest(outDir);
+    if (manifest.views[view]) {
+        const { [view]: removed, ...views } = manifest.views;
+        manifest.generatedAt = new Date().toISOString();
+        manifest.views = views;
+        await writeJSON(outDir, MANIFEST_FILE, manifest);
+    }
+    await fs.unlink(path.join(outDir, fileName)).catch(() => {});
+}
+
+/**
+ * マニフェストに登録された分割ファイルを読み込む
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {string} view - ビュー名
+ * @param {string} name - 分割ファイルの名前
+ * @returns {Promise<Object>} 分割ファイルの内容
+ */
+async function readChunk(outDir, view, name) {
+    const manifest = await readManifest(outDir);
+    const entry = manifest.views[view];
+    if (!entry || !entry.chunks || !entry.chunks[name]) {
+        throw new Error(`${MANIFEST_FILE} に ${view} の ${name} がありません: ${outDir}`);
+    }
+    return JSON.parse(await fs.readFile(path.join(outDir, entry.chunks[name]), 'utf8'));
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    DATA_DIR,
+    readManifest,
+    registerView,
+    writeView,
+    writeChunkedView,
+    removeView,
+    readChunk
+};
@@ -0,0 +1,324 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_OUT_DIR, writeJSON } = require('./output');
+const { registerView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, insufficientDataError } = require('./record-store');
+const { describeDistribution, quantile } = require('./stay-distribution');
+const { resolvePrivacy, describePrivacy, maskName, isSuppressed } = require('./privacy');
+const { DEFAULT_TIME_ZONE, getZonedParts, formatDateKey, formatYearMonth, daysBetweenKeys } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 会員別データの出力先（出力ディレクトリからの相対パス）
+ */
+const MEMBERS_DIR = 'members';
+
+/**
+ * 会員別データのファイル名
+ * @param {string} userKey - 利用者キー
+ * @returns {string} "members/u_xxxx.json"
+ */
+function memberFileName(userKey) {
+    return `${MEMBERS_DIR}/${encodeURIComponent(userKey)}.json`;
+}
+
+/**
+ * 0時からの分数を "H:mm" に変換
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutesOfDay(minutes) {
+    const rounded = Math.round(minutes);
+    return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 年月の一覧（from〜to、両端を含む）
+ * @param {string} from - "2025-01" 形式
+ * @param {string} to - "2025-08" 形式
+ * @returns {Array<string>}
+ */
+function listMonths(from, to) {
+    const months = [];
+    let [year, month] = from.split('-').map(Number);
+    for (let yearMonth = from; yearMonth <= to; yearMonth = `${year}-${String(month).padStart(2, '0')}`) {
+        months.push(yearMonth);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+}
+
+/**
+ * 連続来館日数と来館の間隔
+ * @param {Array<string>} dates - 来館日（昇順・重複なし）
+ * @param {string} asOfDate - 基準日
+ * @returns {Object} { longestStreak, currentStreak, longestGap, averageIntervalDays, daysSinceLastVisit }
+ */
+function analyzeStreaks(dates, asOfDate) {
+    let longestStreak = { days: 1, from: dates[0], to: dates[0] };
+    let streak = { days: 1, from: dates[0], to: dates[0] };
+    let longestGap = null;
+
+    for (let i = 1; i < dates.length; i++) {
+        const interval = daysBetweenKeys(dates[i - 1], dates[i]);
+        if (interval === 1) {
+            streak = { days: streak.days + 1, from: streak.from, to: dates[i] };
+        } else {
+            streak = { days: 1, from: dates[i], to: dates[i] };
+            // 来館のなかった日数（前後の来館日は含めない）
+            if (!longestGap || interval - 1 > longestGap.days) {
+                longestGap = { days: interval - 1, from: dates[i - 1], to: dates[i] };
+            }
+        }
+        if (streak.days > longestStreak.days) {
+            longestStreak = streak;
+        }
+    }
+
+    const lastVisit = dates[dates.length - 1];
+    const daysSinceLastVisit = daysBetweenKeys(lastVisit, asOfDate);
+    return {
+        longestStreak,
+        // 基準日か前日まで続いている連続来館（基準日にまだ来ていない場合も途切れていない）
+        currentStreak: daysSinceLastVisit <= 1 ? streak.days : 0,
+        longestGap,
+        averageIntervalDays: dates.length > 1
+            ? Math.round(daysBetweenKeys(dates[0], lastVisit) / (dates.length - 1) * 10) / 10
+            : null,
+        daysSinceLastVisit
+    };
+}
+
+/**
+ * 会員1人の詳細データ
+ * @param {Array} records - その会員のレコード
+ * @param {Object} context - { asOf, timeZone }
+ * @returns {Object} members/<利用者キー>.json の内容
+ */
+function buildMemberDetail(records, context) {
+    const { asOf, timeZone } = context;
+    const sorted = records.slice().sort((a, b) => a.checkinDate - b.checkinDate);
+
+    const days = {};
+    const monthly = {};
+    const checkinHours = Array(24).fill(0);
+    const dayOfWeek = Array(7).fill(0);
+    const checkinMinutes = [];
+
+    sorted.forEach(record => {
+        const parts = getZonedParts(record.checkinDate, timeZone);
+        const date = formatDateKey(record.checkinDate, timeZone);
+        const yearMonth = formatYearMonth(record.checkinDate, timeZone);
+
+        days[date] = days[date] || { visits: 0, minutes: 0 };
+        days[date].visits++;
+        days[date].minutes += record.stayMinutes;
+
+        monthly[yearMonth] = monthly[yearMonth] || { visits: 0, minutes: 0 };
+        monthly[yearMonth].visits++;
+        monthly[yearMonth].minutes += record.stayMinutes;
+
+        checkinHours[parts.hour]++;
+        dayOfWeek[parts.dayOfWeek]++;
+        checkinMinutes.push(parts.hour * 60 + parts.minute);
+    });
+
+    const dates = Object.keys(days).sort();
+    const asOfDate = formatDateKey(asOf, timeZone);
+    const firstMonth = formatYearMonth(sorted[0].checkinDate, timeZone);
+    const totalMinutes = sorted.reduce((sum, record) => sum + record.stayMinutes, 0);
+    const checkinSorted = checkinMinutes.sort((a, b) => a - b);
+
+    return {
+        userKey: sorted[0].userKey,
+        name: sorted[0].displayName,
+        firstVisit: dates[0],
+        lastVisit: dates[dates.length - 1],
+        totals: {
+            visits: sorted.length,
+            hours: Math.round(totalMinutes / 60 * 10) / 10,
+            visitDays: dates.length,
+            activeMonths: Object.keys(monthly).length
+        },
+        // 初回利用月から基準日時の月まで（来館のなかった月も0として含める）
+        monthly: listMonths(firstMonth, formatYearMonth(asOf, timeZone)).map(month => ({
+            month,
+            visits: monthly[month] ? monthly[month].visits : 0,
+            hours: monthly[month] ? Math.round(monthly[month].minutes / 60 * 10) / 10 : 0
+        })),
+        days: Object.fromEntries(dates.map(date => [date, { visits: days[date].visits, minutes: Math.round(days[date].minutes) }])),
+        stay: describeDistribution(sorted.map(record => record.stayMinutes)),
+        checkin: {
+            hours: checkinHours,
+            p25: formatMinutesOfDay(quantile(checkinSorted, 0.25)),
+            median: formatMinutesOfDay(quantile(checkinSorted, 0.5)),
+            p75: formatMinutesOfDay(quantile(checkinSorted, 0.75))
+        },
+        dayOfWeek,
+        streaks: analyzeStreaks(dates, asOfDate)
+    };
+}
+
+/**
+ * 会員別の詳細データを生成
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @returns {Object} { members: 利用者キー → 詳細データ, index: members/index.json の内容 }
+ */
+function generateMemberDetails(records, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+
+    const byMember = {};
+    records.filter(record => record.checkinDate <= asOf).forEach(record => {
+        (byMember[record.userKey] = byMember[record.userKey] || []).push(record);
+    });
+    if (Object.keys(byMember).length === 0) {
+        throw insufficientDataError('基準日時以前のレコードがありません');
+    }
+
+    const members = {};
+    Object.entries(byMember).forEach(([userKey, memberRecords]) => {
+        members[userKey] = buildMemberDetail(memberRecords, { asOf, timeZone });
+    });
+
+    const metadata = {
+        generatedAt: new Date().toISOString(),
+        asOf: asOf.toISOString(),
+        timeZone
+    };
+    Object.values(members).forEach(member => {
+        member.metadata = metadata;
+    });
+
+    return {
+        members,
+        index: {
+            members: Object.values(members)
+                .map(({ userKey, name, firstVisit, lastVisit, totals }) => ({
+                    userKey, name, firstVisit, lastVisit, visits: totals.visits, file: memberFileName(userKey)
+                }))
+                .sort((a, b) => b.visits - a.visits),
+            metadata
+        }
+    };
+}
+
+/**
+ * 出力のプライバシー設定を適用（名前を置き換え、来館回数が少ない会員を除く）
+ * @param {Object} details - generateMemberDetails の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectMemberDetails(details, privacy) {
+    const metadata = { ...details.index.metadata, privacy: describePrivacy(privacy) };
+    const members = {};
+    Object.entries(details.members)
+        .filter(([, member]) => !isSuppressed(privacy, member.totals.visits))
+        .forEach(([userKey, member]) => {
+            members[userKey] = { ...member, name: maskName(privacy, userKey, member.name), metadata };
+        });
+
+    return {
+        members,
+        index: {
+            members: details.index.members
+                .filter(member => members[member.userKey])
+                .map(member => ({ ...member, name: members[member.userKey].name })),
+            metadata
+        }
+    };
+}
+
+/**
+ * 会員別データを書き出す（前回の出力に残っている、今回いない会員のファイルは一覧とマニフェストを書き出した後に削除する）
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {Object} details - generateMemberDetails の結果
+ * @param {Object} [run] - 各ファイルとマニフェストに記録する実行情報
+ * @returns {Promise<string>} 一覧ファイルのパス
+ */
+async function writeMemberDetails(outDir, details, run) {
+    for (const [userKey, member] of Object.entries(details.members)) {
+        await writeJSON(outDir, memberFileName(userKey), member, { run });
+    }
+    const outputPath = await writeJSON(outDir, `${MEMBERS_DIR}/index.json`, details.index, { run });
+    await registerView(outDir, 'members', { file: `${MEMBERS_DIR}/index.json`, run });
+
+    const current = new Set(Object.keys(details.members).map(userKey => path.basename(memberFileName(userKey))));
+    const existing = await fs.readdir(path.join(outDir, MEMBERS_DIR)).catch(() => []);
+    await Promise.all(existing
+        .filter(file => file.endsWith('.json') && file !== 'index.json' && !current.has(file))
+        .map(file => fs.unlink(path.join(outDir, MEMBERS_DIR, file))));
+    return outputPath;
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} 会員別データ（出力した内容）
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 会員別の詳細データの生成を開始...');
+
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const details = protectMemberDetails(generateMemberDetails(records, options), privacy);
+
+    const outputPath = await writeMemberDetails(options.outDir || DEFAULT_OUT_DIR, details, runInfo);
+    console.log(`📄 会員別データ保存完了: ${details.index.members.length}名 (${outputPath})`);
+
+    displaySummary(details);
+
+    return details;
+}
+
+/**
+ * サマリーを表示（連続来館日数の長い会員）
+ * @param {Object} details - 会員別データ
+ */
+function displaySummary(details) {
+    const members = Object.values(details.members);
+
+    console.log('\n📊 ===== 会員別の詳細データ =====');
+    console.log('🔥 連続来館日数の長い会員:');
+    members
+        .sort((a, b) => b.streaks.longestStreak.days - a.streaks.longestStreak.days)
+        .slice(0, 5)
+        .forEach(member => {
+            const { longestStreak } = member.streaks;
+            console.log(`   ${member.name}: ${longestStreak.days}日 (${longestStreak.from} 〜 ${longestStreak.to}), 来館${member.totals.visits}回`);
+        });
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateMemberDetails,
+    analyzeStreaks,
+    memberFileName
+};
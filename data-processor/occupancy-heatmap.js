@@ -0,0 +1,240 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { writeView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, insufficientDataError } = require('./record-store');
+const { calculateOccupancy } = require('./occupancy');
+const { calculateHourlyOccupancy } = require('./realtime-analysis');
+const { resolvePrivacy, describePrivacy, isSuppressed } = require('./privacy');
+const { DEFAULT_TIME_ZONE, formatDateKey, addDaysToKey } = require('./time-zone');
+const { loadCalendar, listOpenDays } = require('./calendar');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * サマリー表示で集計する既定の期間（基準日から遡る週数）
+ */
+const DEFAULT_SUMMARY_WEEKS = 8;
+
+/**
+ * public で出力する期間（基準日から遡る週数。all は全期間。ダッシュボードの期間の選択肢と同じ）
+ */
+const PUBLIC_RANGES = ['4', '8', '13', 'all'];
+
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 日別・時間別の平均同時在館人数を作成
+ * 利用のなかった日も0人の日として含める（期間内の平均を正しく求めるため）。休館日は含めない
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} options - { firstDate, lastDate, timeZone, calendar }
+ * @returns {Object} 日付 → { dayOfWeek, type: 日の種別, hours: [0時〜23時の平均同時在館人数] }
+ */
+function buildDailyHours(records, options) {
+    const { firstDate, lastDate, timeZone } = options;
+    const calendar = options.calendar || loadCalendar();
+    const { timeline } = calculateOccupancy(records, { timeZone, resolution: 60 });
+
+    const days = {};
+    listOpenDays(firstDate, lastDate, calendar).forEach(({ date, dayOfWeek, type }) => {
+        days[date] = {
+            dayOfWeek,
+            type,
+            hours: Array.from({ length: 24 }, (_, hour) => {
+                const bucket = timeline[`${date} ${String(hour).padStart(2, '0')}:00`];
+                return bucket ? bucket.average : 0;
+            })
+        };
+    });
+    return days;
+}
+
+/**
+ * 期間内の曜日×時間の平均同時在館人数を集計（日数は期間内のその曜日の営業日数）
+ * @param {Object} days - buildDailyHours の結果
+ * @param {string} from - 開始日 "2025-06-01"
+ * @param {string} to - 終了日 "2025-08-20"（この日を含む）
+ * @returns {Object} { matrix: [曜日][時] → 平均人数, dayCounts: [曜日] → 日数 }
+ */
+function buildMatrix(days, from, to) {
+    const totals = Array.from({ length: 7 }, () => Array(24).fill(0));
+    const dayCounts = Array(7).fill(0);
+
+    Object.entries(days)
+        .filter(([date]) => date >= from && date <= to)
+        .forEach(([, { dayOfWeek, hours }]) => {
+            dayCounts[dayOfWeek]++;
+            hours.forEach((value, hour) => {
+                totals[dayOfWeek][hour] += value;
+            });
+        });
+
+    const matrix = totals.map((row, dayOfWeek) =>
+        row.map(total => (dayCounts[dayOfWeek] > 0 ? Math.round(total / dayCounts[dayOfWeek] * 100) / 100 : null))
+    );
+    return { matrix, dayCounts };
+}
+
+/**
+ * 曜日×時間ヒートマップ用のデータを生成
+ * 期間の選択はダッシュボードで行うため、日別の24時間分の値を出力する
+ * @param {Array} records - 標準レコード
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @returns {Object} occupancy-heatmap.json の内容
+ */
+function generateHeatmapData(records, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+
+    const targetRecords = records.filter(record => record.checkinDate <= asOf);
+    if (targetRecords.length === 0) {
+        throw insufficientDataError('基準日時以前のレコードがありません');
+    }
+
+    const firstDate = formatDateKey(new Date(Math.min(...targetRecords.map(record => record.checkinDate.getTime()))), timeZone);
+    const lastDate = formatDateKey(asOf, timeZone);
+    const calendar = loadCalendar({ closuresPath: options.closuresPath });
+    const days = buildDailyHours(targetRecords, { firstDate, lastDate, timeZone, calendar });
+
+    return {
+        days,
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone,
+            firstDate,
+            lastDate,
+            defaultWeeks: DEFAULT_SUMMARY_WEEKS,
+            totalRecords: targetRecords.length
+        }
+    };
+}
+
+/**
+ * 出力のプライバシー設定を適用
+ * 日別・時間別の値は少人数の在館が分かるため、public では期間の選択肢ごとの曜日×時間の集計だけを出力し、
+ * 期間内にその曜日・時間に在館した人数が minCount 未満のセルは伏せる（suppressed[曜日] に時を列挙）
+ * @param {Object} heatmapData - generateHeatmapData の結果
+ * @param {Array} records - 標準レコード（generateHeatmapData と同じもの）
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectHeatmapData(heatmapData, records, privacy) {
+    const metadata = { ...heatmapData.metadata, privacy: describePrivacy(privacy) };
+    if (privacy.identifiable) {
+        return { ...heatmapData, metadata };
+    }
+
+    const { days } = heatmapData;
+    const { firstDate, lastDate, timeZone } = heatmapData.metadata;
+    const asOf = new Date(heatmapData.metadata.asOf);
+    const { hourlyOccupancy } = calculateHourlyOccupancy(records.filter(record => record.checkinDate <= asOf), timeZone);
+
+    const ranges = {};
+    PUBLIC_RANGES.forEach(range => {
+        const start = range === 'all' ? firstDate : addDaysToKey(lastDate, -Number(range) * 7 + 1);
+        const from = start < firstDate ? firstDate : start;
+        const { matrix, dayCounts } = buildMatrix(days, from, lastDate);
+
+        // 曜日×時間ごとの在館した人数（同じ人は1人として数える）
+        const visitors = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => new Set()));
+        Object.entries(days)
+            .filter(([date]) => date >= from && date <= lastDate)
+            .forEach(([date, { dayOfWeek }]) => {
+                visitors[dayOfWeek].forEach((users, hour) => {
+                    const bucket = hourlyOccupancy[`${date}-${String(hour).padStart(2, '0')}`];
+                    if (bucket) bucket.users.forEach(user => users.add(user.userKey));
+                });
+            });
+
+        const suppressed = visitors.map(row => row
+            .map((users, hour) => (isSuppressed(privacy, users.size) ? hour : null))
+            .filter(hour => hour !== null));
+        ranges[range] = {
+            from,
+            to: lastDate,
+            matrix: matrix.map((row, dayOfWeek) => row.map((value, hour) => (suppressed[dayOfWeek].includes(hour) ? null : value))),
+            dayCounts,
+            suppressed
+        };
+    });
+
+    return { ranges, metadata };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} ヒートマップ用データ（出力した内容）
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 曜日×時間ヒートマップの集計を開始...');
+
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const heatmapData = protectHeatmapData(generateHeatmapData(records, options), records, privacy);
+
+    const outputPath = await writeView(options.outDir || DEFAULT_OUT_DIR, 'heatmap', 'occupancy-heatmap.json', heatmapData, { run: runInfo });
+    console.log('📄 ヒートマップデータ保存完了:', outputPath);
+
+    displaySummary(heatmapData);
+
+    return heatmapData;
+}
+
+/**
+ * サマリーを表示（直近の既定週数の混雑する曜日・時間）
+ * @param {Object} heatmapData - ヒートマップ用データ
+ */
+function displaySummary(heatmapData) {
+    const { days, ranges, metadata } = heatmapData;
+    // public は日別の値を出力しないため、出力した期間の集計を使う
+    const summaryFrom = addDaysToKey(metadata.lastDate, -DEFAULT_SUMMARY_WEEKS * 7 + 1);
+    const { from, matrix, dayCounts } = ranges
+        ? ranges[String(DEFAULT_SUMMARY_WEEKS)]
+        : { from: summaryFrom, ...buildMatrix(days, summaryFrom, metadata.lastDate) };
+
+    const cells = [];
+    matrix.forEach((row, dayOfWeek) => {
+        row.forEach((value, hour) => {
+            if (value !== null) cells.push({ dayOfWeek, hour, value });
+        });
+    });
+
+    console.log('\n📊 ===== 曜日×時間の平均同時在館人数 =====');
+    console.log(`📅 期間: ${from} 〜 ${metadata.lastDate} (${dayCounts.reduce((sum, count) => sum + count, 0)}日)`);
+    console.log('🔥 混雑する曜日・時間:');
+    cells.sort((a, b) => b.value - a.value).slice(0, 5).forEach(({ dayOfWeek, hour, value }) => {
+        console.log(`   ${DAY_NAMES[dayOfWeek]}曜 ${hour}時台: ${value}人 (${dayCounts[dayOfWeek]}日の平均)`);
+    });
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateHeatmapData,
+    protectHeatmapData,
+    buildDailyHours,
+    buildMatrix
+};
@@ -0,0 +1,147 @@
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedDateTime, formatDateTime } = require('./time-zone');
+
+/**
+ * 在館人数の時系列の時間解像度（分）
+ */
+const RESOLUTIONS = [5, 15, 60];
+const DEFAULT_RESOLUTION = 15;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 入館・退館のイベント列を作成
+ * 同じ時刻では退館を先に処理する（10:00に退館した人と10:00に入館した人は同時に在館していない）
+ * @param {Array} records - 標準レコード（csv-loader）
+ * @returns {Array} [{ time(ms), delta(+1: 入館, -1: 退館) }] 時刻順
+ */
+function buildEvents(records) {
+    const events = [];
+    records.forEach(record => {
+        // チェックアウトがチェックイン以前の行は在館していた時間を特定できないため除く
+        if (!(record.checkoutDate > record.checkinDate)) return;
+        events.push({ time: record.checkinDate.getTime(), delta: 1 });
+        events.push({ time: record.checkoutDate.getTime(), delta: -1 });
+    });
+    return events.sort((a, b) => a.time - b.time || a.delta - b.delta);
+}
+
+/**
+ * 在館人数が一定の区間に分割（スイープライン）
+ * @param {Array} records - 標準レコード
+ * @returns {Array} [{ start(ms), end(ms), count }] 在館者がいる区間のみ
+ */
+function buildSegments(records) {
+    const segments = [];
+    let count = 0;
+    let previousTime = null;
+
+    buildEvents(records).forEach(({ time, delta }) => {
+        if (count > 0 && time > previousTime) {
+            segments.push({ start: previousTime, end: time, count });
+        }
+        count += delta;
+        previousTime = time;
+    });
+
+    return segments;
+}
+
+/**
+ * 同時在館人数を計算
+ * 1時間に1回でも在館した人数ではなく、実際に同じ時刻に在館していた人数を求める
+ * @param {Array} records - 標準レコード（csv-loader）
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - 施設タイムゾーン（日付・時間枠の区切り）
+ * @param {number} [options.resolution] - 時系列の時間解像度（分、RESOLUTIONS のいずれか）
+ * @returns {Object} {
+ *   resolution, peakOccupancy, peakAt, averageOccupancy, occupiedHours,
+ *   daily: 日付 → { peakOccupancy, peakAt, averageOccupancy, occupiedHours },
+ *   timeline: "YYYY-MM-DD HH:mm" → { peak, average }（在館者がいる時間枠のみ）
+ * }
+ */
+function calculateOccupancy(records, options = {}) {
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const resolution = options.resolution || DEFAULT_RESOLUTION;
+    if (!RESOLUTIONS.includes(resolution)) {
+        throw new Error(`時間解像度は ${RESOLUTIONS.join(' / ')} 分のいずれかで指定してください: ${resolution}`);
+    }
+
+    const pad = n => String(n).padStart(2, '0');
+    const days = {};
+    const timeline = {};
+    const total = { peak: 0, peakAt: null, personMinutes: 0, occupiedMinutes: 0 };
+
+    // 区間を時間枠の境界で分けながら集計する（日の境界も時間枠の境界に含まれる）
+    buildSegments(records).forEach(segment => {
+        let start = segment.start;
+        while (start < segment.end) {
+            const p = getZonedParts(new Date(start), timeZone);
+            const bucketMinute = Math.floor((p.hour * 60 + p.minute) / resolution) * resolution;
+            let bucketEnd = zonedDateTime(p.year, p.month, p.day, 0, bucketMinute + resolution, 0, 0, timeZone).getTime();
+            if (bucketEnd <= start) {
+                bucketEnd = start + resolution * MINUTE_MS; // 夏時間の切り替え時刻
+            }
+            const end = Math.min(segment.end, bucketEnd);
+            const minutes = (end - start) / MINUTE_MS;
+
+            const date = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+            const bucketKey = `${date} ${pad(Math.floor(bucketMinute / 60))}:${pad(bucketMinute % 60)}`;
+
+            if (!timeline[bucketKey]) {
+                timeline[bucketKey] = { peak: 0, personMinutes: 0 };
+            }
+            timeline[bucketKey].peak = Math.max(timeline[bucketKey].peak, segment.count);
+            timeline[bucketKey].personMinutes += segment.count * minutes;
+
+            if (!days[date]) {
+                days[date] = { peak: 0, peakAt: null, personMinutes: 0, occupiedMinutes: 0 };
+            }
+            [days[date], total].forEach(stats => {
+                if (segment.count > stats.peak) {
+                    stats.peak = segment.count;
+                    stats.peakAt = start;
+                }
+                stats.personMinutes += segment.count * minutes;
+                stats.occupiedMinutes += minutes;
+            });
+
+            start = end;
+        }
+    });
+
+    // 平均在館者数は在館者がいた時間で重み付けした平均
+    const summarize = stats => ({
+        peakOccupancy: stats.peak,
+        peakAt: stats.peakAt !== null ? formatDateTime(new Date(stats.peakAt), timeZone) : null,
+        averageOccupancy: stats.occupiedMinutes > 0 ? Math.round(stats.personMinutes / stats.occupiedMinutes * 10) / 10 : 0,
+        occupiedHours: Math.round(stats.occupiedMinutes / 60 * 10) / 10
+    });
+
+    const daily = {};
+    Object.keys(days).sort().forEach(date => {
+        daily[date] = summarize(days[date]);
+    });
+
+    const sortedTimeline = {};
+    Object.keys(timeline).sort().forEach(bucketKey => {
+        sortedTimeline[bucketKey] = {
+            peak: timeline[bucketKey].peak,
+            average: Math.round(timeline[bucketKey].personMinutes / resolution * 100) / 100
+        };
+    });
+
+    return {
+        resolution,
+        ...summarize(total),
+        daily,
+        timeline: sortedTimeline
+    };
+}
+
+module.exports = {
+    RESOLUTIONS,
+    DEFAULT_RESOLUTION,
+    buildEvents,
+    buildSegments,
+    calculateOccupancy
+};
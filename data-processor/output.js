@@ -0,0 +1,50 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * 既定の出力ディレクトリ（GitHub Pages用のdocs/）
+ */
+const DEFAULT_OUT_DIR = path.join(__dirname, '../docs');
+
+/**
+ * テキストファイルを書き出す（出力ディレクトリがなければ作成）
+ * 同じディレクトリの一時ファイルに書き出してから置き換えるので、書き出し中のファイルが読み込まれることはない
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {string} fileName - ファイル名（outDirからの相対パス）
+ * @param {string} text - 書き出す内容
+ * @returns {Promise<string>} 出力パス
+ */
+async function writeText(outDir, fileName, text) {
+    const outputPath = path.join(outDir, fileName);
+    const tempPath = `${outputPath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    try {
+        await fs.writeFile(tempPath, text);
+        await fs.rename(tempPath, outputPath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    return outputPath;
+}
+
+/**
+ * JSONファイルを書き出す
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {string} fileName - ファイル名（outDirからの相対パス）
+ * @param {Object} data - 書き出すデータ
+ * @param {Object} [options]
+ * @param {boolean} [options.compact] - 改行・インデントを入れずに書き出す（ダッシュボードが読み込む分割ファイル用）
+ * @param {Object} [options.run] - 記録する実行情報（run-stamp.js の createRun。data の run に入れる）
+ * @returns {Promise<string>} 出力パス
+ */
+async function writeJSON(outDir, fileName, data, options = {}) {
+    const stamped = options.run ? { ...data, run: options.run } : data;
+    return writeText(outDir, fileName, options.compact ? JSON.stringify(stamped) : JSON.stringify(stamped, null, 2));
+}
+
+module.exports = {
+    DEFAULT_OUT_DIR,
+    writeText,
+    writeJSON
+};
@@ -0,0 +1,186 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+
+/**
+ * 出力のプライバシー設定
+ * public: GitHub Pagesで公開する docs/ 向け（名前を仮名・イニシャルにし、少人数の行・時間枠は伏せる）
+ * internal: ローカルでの分析用（名前・時間別の利用者をそのまま出力する）
+ */
+const PROFILES = {
+    public: { label: '公開用', identifiable: false },
+    internal: { label: '内部用', identifiable: true }
+};
+
+/**
+ * public で名前の代わりに表示するもの
+ */
+const NAME_STYLES = {
+    pseudonym: '仮名',
+    initials: 'イニシャル'
+};
+
+/**
+ * public で伏せる件数の下限の既定値（この人数・回数未満の行・時間枠は出力しない）
+ */
+const DEFAULT_MIN_COUNT = 3;
+
+/**
+ * 出力先が公開ディレクトリ（docs/）またはその配下か
+ * @param {string} outDir - 出力ディレクトリ
+ * @returns {boolean}
+ */
+function isPublishDir(outDir) {
+    const relative = path.relative(DEFAULT_OUT_DIR, path.resolve(outDir));
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * オプションからプライバシー設定を決定
+ * 指定がなければ docs/ への出力は public、それ以外は internal
+ * docs/ に internal で書き出すには allowIdentifiable、秘密値なしで public を書き出すには allowUnsalted が必要
+ * （readOnly の場合は書き出さないので秘密値は確認しない）
+ * @param {Object} [options]
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {string} [options.privacy] - "public" / "internal"
+ * @param {string} [options.nameStyle] - public の名前の表示 "pseudonym" / "initials"
+ * @param {number} [options.minCount] - public で伏せる件数の下限
+ * @param {boolean} [options.allowIdentifiable] - docs/ への internal の書き出しを許可
+ * @param {string} [options.userKeySalt] - 利用者キー生成用の秘密値（既定: 環境変数 NIHO_USER_KEY_SALT）
+ * @param {boolean} [options.allowUnsalted] - 秘密値なしでの public の書き出しを許可
+ * @param {boolean} [options.readOnly] - 出力を書き出さずに応答だけ返す（niho serve）
+ * @returns {Object} { profile, identifiable, nameStyle, minCount }
+ */
+function resolvePrivacy(options = {}) {
+    const outDir = path.resolve(options.outDir || DEFAULT_OUT_DIR);
+    const publishing = isPublishDir(outDir);
+    const profile = options.privacy || (publishing ? 'public' : 'internal');
+    if (!PROFILES[profile]) {
+        throw new Error(`プライバシー設定が不正です（${Object.keys(PROFILES).join(' / ')}）: ${profile}`);
+    }
+    const nameStyle = options.nameStyle || 'pseudonym';
+    if (!NAME_STYLES[nameStyle]) {
+        throw new Error(`名前の表示方法が不正です（${Object.keys(NAME_STYLES).join(' / ')}）: ${nameStyle}`);
+    }
+
+    const { identifiable } = PROFILES[profile];
+    if (identifiable && publishing && !options.allowIdentifiable) {
+        throw new Error(`公開用の出力先に個人を特定できるデータは書き出せません: ${outDir}\n` +
+            '   --privacy public で出力するか、公開しない場合に限り --allow-identifiable を指定してください');
+    }
+    // 秘密値がないと利用者キー・仮名から会員番号や名前を照合できるため、public は秘密値なしでは書き出さない
+    if (!identifiable && !options.readOnly && !(options.userKeySalt || process.env.NIHO_USER_KEY_SALT)) {
+        if (!options.allowUnsalted) {
+            throw new Error('公開用の出力には環境変数 NIHO_USER_KEY_SALT（利用者キーの秘密値）が必要です\n' +
+                '   秘密値を設定するか、照合される恐れを承知のうえで --allow-unsalted を指定してください');
+        }
+        console.warn('⚠️  NIHO_USER_KEY_SALT が未設定です。利用者キー・仮名から会員番号や名前を照合される恐れがあります');
+    }
+
+    return {
+        profile,
+        identifiable,
+        nameStyle,
+        minCount: options.minCount || DEFAULT_MIN_COUNT
+    };
+}
+
+/**
+ * 出力の metadata に記録するプライバシー設定
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object} { profile, label, nameStyle?, minCount? }
+ */
+function describePrivacy(privacy) {
+    const { label } = PROFILES[privacy.profile];
+    return privacy.identifiable
+        ? { profile: privacy.profile, label }
+        : { profile: privacy.profile, label, nameStyle: privacy.nameStyle, minCount: privacy.minCount };
+}
+
+/**
+ * 仮名（利用者キーから作るので、同じ本人は実行のたびに同じ仮名になる）
+ * @param {string} userKey - 利用者キー
+ * @returns {string} "会員-" + 6桁の16進数
+ */
+function toPseudonym(userKey) {
+    return `会員-${userKey.replace(/^u_/, '').slice(0, 6)}`;
+}
+
+/**
+ * イニシャル（空白で区切った各部分の1文字目。"高橋 太郎" → "高.太."）
+ * @param {string} name - 顧客名
+ * @returns {string}
+ */
+function toInitials(name) {
+    const parts = (name || '').normalize('NFKC').trim().split(/\s+/).filter(Boolean);
+    return parts.length > 0 ? parts.map(part => `${Array.from(part)[0].toUpperCase()}.`).join('') : '?';
+}
+
+/**
+ * 出力する名前
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @param {string} userKey - 利用者キー
+ * @param {string} name - 顧客名
+ * @returns {string}
+ */
+function maskName(privacy, userKey, name) {
+    if (privacy.identifiable) {
+        return name;
+    }
+    return privacy.nameStyle === 'initials' ? toInitials(name) : toPseudonym(userKey);
+}
+
+/**
+ * 件数が少なく伏せる対象か（0件は伏せない。internal では常に false）
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @param {number} count - 人数・回数
+ * @returns {boolean}
+ */
+function isSuppressed(privacy, count) {
+    return !privacy.identifiable && count > 0 && count < privacy.minCount;
+}
+
+/**
+ * 会員ごとの行の名前を置き換え、件数の少ない行を除く
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @param {Array} rows - [{ userKey, name, ... }]
+ * @param {string} [countKey] - 伏せる判定に使う件数の項目（省略時は除かない）
+ * @returns {Array}
+ */
+function protectRows(privacy, rows, countKey) {
+    if (privacy.identifiable) {
+        return rows;
+    }
+    return rows
+        .filter(row => !countKey || !isSuppressed(privacy, row[countKey]))
+        .map(row => ({ ...row, name: maskName(privacy, row.userKey, row.name) }));
+}
+
+/**
+ * 時間別在館データから利用者の一覧を除き、在館者数の少ない時間枠を伏せる
+ * 伏せた時間枠は { count: null, totalMinutes: null, suppressed: true }
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @param {Object} hourlyOccupancy - "YYYY-MM-DD-HH" → { count, totalMinutes, users }
+ * @returns {Object}
+ */
+function protectHourly(privacy, hourlyOccupancy) {
+    if (privacy.identifiable) {
+        return hourlyOccupancy;
+    }
+    return Object.fromEntries(Object.entries(hourlyOccupancy).map(([dateHour, { count, totalMinutes }]) => [
+        dateHour,
+        isSuppressed(privacy, count) ? { count: null, totalMinutes: null, suppressed: true } : { count, totalMinutes }
+    ]));
+}
+
+module.exports = {
+    PROFILES,
+    NAME_STYLES,
+    DEFAULT_MIN_COUNT,
+    isPublishDir,
+    resolvePrivacy,
+    describePrivacy,
+    maskName,
+    isSuppressed,
+    protectRows,
+    protectHourly
+};
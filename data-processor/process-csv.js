@@ -1,209 +1,215 @@
-const fs = require('fs').promises;
-const csv = require('csv-parser');
-const createReadStream = require('fs').createReadStream;
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { DATA_DIR, writeChunkedView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { parseStayTime, parseDateTime } = require('./csv-loader');
+const { loadSourceRecords, openMonthCache } = require('./record-store');
+const { resolvePrivacy, describePrivacy, protectRows } = require('./privacy');
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedDateTime, formatYearMonth, formatDateKey } = require('./time-zone');
 
 /**
- * 滞在時間文字列を分に変換
- * @param {string} timeStr - "01:23:45" 形式
- * @returns {number} 分数
+ * 既定の入力CSVファイル
  */
-function parseStayTime(timeStr) {
-    const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-    return hours * 60 + minutes + seconds / 60;
-}
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
 
 /**
- * 日付文字列をDateオブジェクトに変換
- * @param {string} dateStr - "2024-03-29 23:33:42 +0900" 形式
- * @returns {Date}
+ * ローリング集計期間（直近Nヶ月）の月数
  */
-function parseDateTime(dateStr) {
-    return new Date(dateStr);
-}
+const ROLLING_WINDOWS = [1, 3, 6, 12];
 
 /**
- * 年月文字列を生成
- * @param {Date} date
- * @returns {string} "2024-03" 形式
+ * 集計期間の定義を生成（直近Nヶ月のローリング期間 + CSVに含まれる各月）
+ * @param {Array} records - 全レコード
+ * @param {Date} asOf - 基準日時
+ * @param {number} [maxMonths] - 月別期間を直近何ヶ月分まで生成するか（省略時は全月）
+ * @param {string} [timeZone] - 施設タイムゾーン
+ * @returns {Array} 期間定義配列
  */
-function getYearMonth(date) {
-    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+function buildPeriods(records, asOf = new Date(), maxMonths, timeZone = DEFAULT_TIME_ZONE) {
+    const now = getZonedParts(asOf, timeZone);
+    const periods = ROLLING_WINDOWS.map(months => {
+        const start = zonedDateTime(now.year, now.month - months, now.day, now.hour, now.minute, now.second, 0, timeZone);
+        return {
+            key: `last-${months}m`,
+            label: `直近${months}ヶ月`,
+            type: 'rolling',
+            months,
+            start,
+            end: asOf
+        };
+    });
+
+    // 新しい月から順に並べる
+    let yearMonths = [...new Set(records.map(record => record.yearMonth))].sort().reverse();
+    if (maxMonths) {
+        yearMonths = yearMonths.slice(0, maxMonths);
+    }
+    yearMonths.forEach(yearMonth => {
+        const [year, month] = yearMonth.split('-').map(Number);
+        periods.push({
+            key: yearMonth,
+            label: `${year}年${month}月`,
+            type: 'month',
+            months: 1,
+            start: zonedDateTime(year, month, 1, 0, 0, 0, 0, timeZone),
+            end: zonedDateTime(year, month + 1, 1, 0, 0, 0, 0, timeZone)
+        });
+    });
+
+    return periods;
 }
 
 /**
- * 期間フィルタリング（指定月数前から現在まで）
- * @param {Date} date
- * @param {number} months - 何ヶ月前まで
+ * レコードが集計期間に含まれるかを判定
+ * @param {Object} record - レコード
+ * @param {Object} period - 期間定義
  * @returns {boolean}
  */
-function isWithinPeriod(date, months) {
-    const cutoffDate = new Date();
-    cutoffDate.setMonth(cutoffDate.getMonth() - months);
-    return date >= cutoffDate;
+function isInPeriod(record, period) {
+    if (period.type === 'month') {
+        return record.yearMonth === period.key;
+    }
+    return record.checkinDate >= period.start && record.checkinDate <= period.end;
 }
 
 /**
- * 7月のデータのみかどうかを判定
- * @param {Date} date
- * @returns {boolean}
+ * CSVデータを読み込んでユーザー統計を生成
+ * @param {string} inputPath - CSVファイルパス
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {number} [options.months] - 月別期間を直近何ヶ月分まで生成するか
+ * @param {Object} [options.columns] - CSV列名の対応
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {boolean} [options.store] - 保存済みレコードを使い、変化のない月の集計を再利用する
+ * @returns {Promise<Object>} ユーザー統計データ
  */
-function isJulyOnly(date) {
-    const yearMonth = getYearMonth(date);
-    return yearMonth === '2025-07';
+async function processCSV(inputPath = DEFAULT_INPUT, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+
+    console.log('📊 CSVファイルを読み込み中...', inputPath);
+
+    const { records: allRecords } = await loadSourceRecords(inputPath, options);
+    const records = allRecords
+        .filter(record => record.checkinDate <= asOf)
+        .map(record => ({ ...record, yearMonth: formatYearMonth(record.checkinDate, timeZone) }));
+
+    console.log(`✅ ${records.length}件のレコードを処理しました`);
+
+    // 期間ごとの統計計算（月別期間はその月のデータが変わっていなければ前回の結果を再利用）
+    const monthCache = openMonthCache(options, 'user-stats');
+    const firstCheckIns = getFirstCheckIns(records, timeZone);
+    const periods = {};
+    buildPeriods(records, asOf, options.months, timeZone).forEach(period => {
+        const users = period.type === 'month'
+            ? monthCache.get(period.key, records.filter(record => isInPeriod(record, period)), { timeZone },
+                () => calculateUserStats(records, period, timeZone))
+            : calculateUserStats(records, period, timeZone);
+
+        periods[period.key] = {
+            label: period.label,
+            type: period.type,
+            months: period.months,
+            start: period.start.toISOString(),
+            end: period.end.toISOString(),
+            // 初回チェックイン日は他の月のデータにも依存するため常に最新の値にする
+            users: users.map(user => ({ ...user, firstCheckIn: firstCheckIns[user.userKey] }))
+        };
+    });
+    monthCache.save();
+
+    return {
+        periods,
+        defaultPeriod: 'last-6m',
+        metadata: {
+            totalRecords: records.length,
+            uniqueUsers: new Set(records.map(record => record.userKey)).size,
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone
+        }
+    };
 }
 
 /**
- * 8月のデータのみかどうかを判定
- * @param {Date} date
- * @returns {boolean}
+ * 各ユーザーの初回チェックイン日を取得
+ * @param {Array} records - 全レコード
+ * @param {string} [timeZone] - 施設タイムゾーン
+ * @returns {Object} 利用者キー → "YYYY-MM-DD"
  */
-function isAugustOnly(date) {
-    const yearMonth = getYearMonth(date);
-    return yearMonth === '2025-08';
+function getFirstCheckIns(records, timeZone = DEFAULT_TIME_ZONE) {
+    const firstCheckIns = {};
+    records.forEach(({ userKey, checkinDate }) => {
+        if (!firstCheckIns[userKey] || checkinDate < firstCheckIns[userKey]) {
+            firstCheckIns[userKey] = checkinDate;
+        }
+    });
+    Object.keys(firstCheckIns).forEach(userKey => {
+        firstCheckIns[userKey] = formatDateKey(firstCheckIns[userKey], timeZone);
+    });
+    return firstCheckIns;
 }
 
 /**
- * CSVデータを読み込んでユーザー統計を生成
+ * ユーザー×年月の利用回数・利用時間を集計
+ * @param {Array} records - yearMonth付きのレコード
+ * @returns {Object} 利用者キー → 年月 → { count, totalMinutes }
  */
-async function processCSV() {
-    const users = {};
-    const records = [];
-
-    console.log('📊 CSVファイルを読み込み中...');
-
-    // CSVファイルを読み込み
-    return new Promise((resolve, reject) => {
-        createReadStream('nihouse.csv')
-            .pipe(csv())
-            .on('data', (row) => {
-                // データクリーニング
-                const customerName = row['顧客名']?.trim();
-                const checkinTime = row['チェックイン日時']?.trim();
-                const stayTime = row['滞在時間']?.trim();
-
-                if (!customerName || !checkinTime || !stayTime) {
-                    console.warn('⚠️  不正なデータをスキップ:', row);
-                    return;
-                }
-
-                try {
-                    const checkinDate = parseDateTime(checkinTime);
-                    const stayMinutes = parseStayTime(stayTime);
-
-                    if (stayMinutes <= 0) {
-                        console.warn('⚠️  滞在時間が0以下のデータをスキップ:', row);
-                        return;
-                    }
-
-                    records.push({
-                        customerName,
-                        checkinDate,
-                        stayMinutes,
-                        yearMonth: getYearMonth(checkinDate)
-                    });
-                } catch (error) {
-                    console.warn('⚠️  データ解析エラー:', row, error.message);
-                }
-            })
-            .on('end', () => {
-                console.log(`✅ ${records.length}件のレコードを処理しました`);
-
-                // 統計計算
-                const sixMonthStats = calculateUserStats(records, 6);
-                const julyStats = calculateUserStats(records, 'july');
-                const augustStats = calculateUserStats(records, 'august');
-
-                const result = {
-                    sixMonthData: sixMonthStats,
-                    julyData: julyStats,
-                    augustData: augustStats,
-                    metadata: {
-                        totalRecords: records.length,
-                        uniqueUsers: Object.keys(users).length,
-                        generatedAt: new Date().toISOString(),
-                        periodSixMonths: '直近6ヶ月',
-                        periodJuly: '2025年7月',
-                        periodAugust: '2025年8月'
-                    }
-                };
-
-                resolve(result);
-            })
-            .on('error', reject);
+function aggregateUserMonths(records) {
+    const userStats = {};
+
+    records.forEach(record => {
+        const { userKey, yearMonth, stayMinutes } = record;
+
+        if (!userStats[userKey]) {
+            userStats[userKey] = {};
+        }
+
+        if (!userStats[userKey][yearMonth]) {
+            userStats[userKey][yearMonth] = {
+                count: 0,
+                totalMinutes: 0
+            };
+        }
+
+        userStats[userKey][yearMonth].count++;
+        userStats[userKey][yearMonth].totalMinutes += stayMinutes;
     });
+
+    return userStats;
 }
 
 /**
  * ユーザー統計を計算
  * @param {Array} records - 全レコード
- * @param {number|string} period - 対象期間（6なら6ヶ月間、'july'なら7月、'august'なら8月）
+ * @param {Object} period - 期間定義（buildPeriodsの要素）
+ * @param {string} [timeZone] - 施設タイムゾーン（初回チェックイン日の表記に使用）
  * @returns {Array} ユーザー統計配列
  */
-function calculateUserStats(records, period) {
-    const userStats = {};
-    const userFirstCheckIn = {};
-
-    let periodName;
-    let periodLength; // 月平均計算用の期間長
-
-    if (period === 'july') {
-        periodName = '7月';
-        periodLength = 1;
-    } else if (period === 'august') {
-        periodName = '8月';
-        periodLength = 1;
-    } else {
-        periodName = `${period}ヶ月間`;
-        periodLength = period;
-    }
+function calculateUserStats(records, period, timeZone = DEFAULT_TIME_ZONE) {
+    const userNames = {};
+    const firstCheckIns = getFirstCheckIns(records, timeZone);
 
-    console.log(`📈 ${periodName}のユーザー統計を計算中...`);
+    const periodName = period.label;
+    const periodLength = period.months; // 月平均計算用の期間長
 
-    // 全レコードから各ユーザーの最初のチェックイン日を記録
-    records.forEach(record => {
-        const { customerName, checkinDate } = record;
-        if (!userFirstCheckIn[customerName] || checkinDate < userFirstCheckIn[customerName]) {
-            userFirstCheckIn[customerName] = checkinDate;
-        }
-    });
+    console.log(`📈 ${periodName}のユーザー統計を計算中...`);
 
     // 期間内のレコードのみフィルタ
-    const filteredRecords = records.filter(record => {
-        if (period === 'july') {
-            return isJulyOnly(record.checkinDate);
-        } else if (period === 'august') {
-            return isAugustOnly(record.checkinDate);
-        } else {
-            // 6ヶ月間の場合は従来通り
-            return isWithinPeriod(record.checkinDate, period);
-        }
-    });
+    const filteredRecords = records.filter(record => isInPeriod(record, period));
 
     console.log(`📅 ${periodName}で${filteredRecords.length}件のレコードを対象`);
 
     // ユーザー×年月でグループ化
-    filteredRecords.forEach(record => {
-        const { customerName, yearMonth, stayMinutes } = record;
-
-        if (!userStats[customerName]) {
-            userStats[customerName] = {};
-        }
-
-        if (!userStats[customerName][yearMonth]) {
-            userStats[customerName][yearMonth] = {
-                count: 0,
-                totalMinutes: 0
-            };
-        }
-
-        userStats[customerName][yearMonth].count++;
-        userStats[customerName][yearMonth].totalMinutes += stayMinutes;
+    const userStats = aggregateUserMonths(filteredRecords);
+    filteredRecords.forEach(({ userKey, displayName }) => {
+        userNames[userKey] = displayName;
     });
 
     // 月平均を計算
     const result = [];
-    for (const userName in userStats) {
-        const monthlyData = userStats[userName];
+    for (const userKey in userStats) {
+        const monthlyData = userStats[userKey];
         
         let totalVisits = 0;
         let totalMinutes = 0;
@@ -219,13 +225,14 @@ function calculateUserStats(records, period) {
         const monthlyHours = totalMinutes / (60 * periodLength);
 
         result.push({
-            name: userName,
+            userKey,
+            name: userNames[userKey],
             monthlyVisits: Math.round(monthlyVisits * 10) / 10, // 小数点1桁
             monthlyHours: Math.round(monthlyHours * 10) / 10,   // 小数点1桁
             activeMonths,
             totalVisits,
             totalHours: Math.round(totalMinutes / 60 * 10) / 10,
-            firstCheckIn: userFirstCheckIn[userName].toISOString().split('T')[0] // YYYY-MM-DD形式
+            firstCheckIn: firstCheckIns[userKey] // YYYY-MM-DD形式
         });
     }
 
@@ -233,58 +240,85 @@ function calculateUserStats(records, period) {
     result.sort((a, b) => b.monthlyVisits - a.monthlyVisits);
 
     console.log(`✅ ${result.length}名のユーザー統計を生成`);
-    console.log(`📊 トップユーザー: ${result[0]?.name} (${result[0]?.monthlyVisits}回/月)`);
 
     return result;
 }
 
 /**
- * メイン実行関数
+ * 出力のプライバシー設定を適用（名前を置き換え、期間内の利用回数が少ないユーザーを除く）
+ * @param {Object} statistics - processCSV の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
  */
-async function main() {
-    try {
-        console.log('🚀 NIHO利用データ分析を開始...');
-        
-        const statistics = await processCSV();
-        
-        // JSON出力
-        const outputPath = '../docs/user-data.json';
-        await fs.writeFile(outputPath, JSON.stringify(statistics, null, 2));
-        
-        console.log('📄 分析結果をJSONに出力:', outputPath);
-        console.log('📊 統計サマリー:');
-        console.log(`   - 6ヶ月間ユーザー数: ${statistics.sixMonthData.length}名`);
-        console.log(`   - 7月ユーザー数: ${statistics.julyData.length}名`);
-        console.log(`   - 8月ユーザー数: ${statistics.augustData.length}名`);
-        console.log(`   - 総レコード数: ${statistics.metadata.totalRecords}件`);
-        
-        // トップ5ユーザーを表示
-        console.log('\n🏆 6ヶ月間 トップ5ユーザー:');
-        statistics.sixMonthData.slice(0, 5).forEach((user, index) => {
-            console.log(`   ${index + 1}. ${user.name}: ${user.monthlyVisits}回/月, ${user.monthlyHours}時間/月`);
-        });
+function protectStatistics(statistics, privacy) {
+    return {
+        ...statistics,
+        periods: Object.fromEntries(Object.entries(statistics.periods).map(([key, period]) => [
+            key,
+            { ...period, users: protectRows(privacy, period.users, 'totalVisits') }
+        ])),
+        metadata: { ...statistics.metadata, privacy: describePrivacy(privacy) }
+    };
+}
 
-        console.log('\n🏆 7月 トップ5ユーザー:');
-        statistics.julyData.slice(0, 5).forEach((user, index) => {
-            console.log(`   ${index + 1}. ${user.name}: ${user.monthlyVisits}回/月, ${user.monthlyHours}時間/月`);
-        });
+/**
+ * メイン実行関数
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {number} [options.months] - 月別期間を直近何ヶ月分まで生成するか
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} ユーザー統計データ（出力した内容）
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 NIHO利用データ分析を開始...');
+    
+    const statistics = protectStatistics(await processCSV(options.input || DEFAULT_INPUT, options), privacy);
+    
+    // JSON出力（期間ごとの分割ファイルと、期間の一覧をマニフェストに）
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const outputPaths = await writeChunkedView(outDir, 'users', Object.fromEntries(Object.entries(statistics.periods).map(([key, period]) => [
+        key,
+        { users: period.users }
+    ])), {
+        index: {
+            periods: Object.fromEntries(Object.entries(statistics.periods).map(([key, { users, ...period }]) => [key, period])),
+            defaultPeriod: statistics.defaultPeriod,
+            metadata: statistics.metadata
+        },
+        replaces: ['user-data.json'],
+        run: runInfo
+    });
+    
+    console.log(`📄 分析結果をJSONに出力: ${path.join(outDir, DATA_DIR, 'users')} (${outputPaths.length}ファイル)`);
+    console.log('📊 統計サマリー:');
+    Object.values(statistics.periods).forEach(period => {
+        console.log(`   - ${period.label}ユーザー数: ${period.users.length}名`);
+    });
+    console.log(`   - 総レコード数: ${statistics.metadata.totalRecords}件`);
+    
+    // 既定期間のトップ5ユーザーを表示
+    const defaultPeriod = statistics.periods[statistics.defaultPeriod];
+    console.log(`\n🏆 ${defaultPeriod.label} トップ5ユーザー:`);
+    defaultPeriod.users.slice(0, 5).forEach((user, index) => {
+        console.log(`   ${index + 1}. ${user.name}: ${user.monthlyVisits}回/月, ${user.monthlyHours}時間/月`);
+    });
 
-        console.log('\n🏆 8月 トップ5ユーザー:');
-        statistics.augustData.slice(0, 5).forEach((user, index) => {
-            console.log(`   ${index + 1}. ${user.name}: ${user.monthlyVisits}回/月, ${user.monthlyHours}時間/月`);
-        });
+    console.log('\n✅ 処理完了! ダッシュボードで確認してください。');
 
-        console.log('\n✅ 処理完了! ダッシュボードで確認してください。');
-        
-    } catch (error) {
-        console.error('❌ エラーが発生しました:', error);
-        process.exit(1);
-    }
+    return statistics;
 }
 
 // スクリプト実行
 if (require.main === module) {
-    main();
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
 }
 
-module.exports = { processCSV, parseStayTime, parseDateTime };
\ No newline at end of file
+module.exports = { run, processCSV, calculateUserStats, aggregateUserMonths, getFirstCheckIns, buildPeriods, isInPeriod, parseStayTime, parseDateTime };
\ No newline at end of file
@@ -1,49 +1,52 @@
 const fs = require('fs').promises;
-const csv = require('csv-parser');
-const createReadStream = require('fs').createReadStream;
+const path = require('path');
+const { DEFAULT_OUT_DIR, writeText } = require('./output');
+const { DATA_DIR, writeChunkedView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { parseDateTime, parseStayTime } = require('./csv-loader');
+const { loadSourceRecords } = require('./record-store');
+const { calculateOccupancy, DEFAULT_RESOLUTION } = require('./occupancy');
+const { resolvePrivacy, describePrivacy, isSuppressed, protectHourly } = require('./privacy');
+const {
+    DEFAULT_TIME_ZONE,
+    getZonedParts,
+    formatDateKey,
+    startOfNextHour,
+    startOfDateKey,
+    addDaysToKey,
+    getDaysInMonth
+} = require('./time-zone');
 
 /**
- * 日時文字列をDateオブジェクトに変換
- * @param {string} dateStr - "2024-03-29 23:33:42 +0900" 形式
- * @returns {Date}
+ * 既定の入力CSVファイル
  */
-function parseDateTime(dateStr) {
-    return new Date(dateStr);
-}
-
-/**
- * 滞在時間文字列を分に変換
- * @param {string} timeStr - "01:23:45" 形式
- * @returns {number} 分数
- */
-function parseStayTime(timeStr) {
-    const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-    return hours * 60 + minutes + seconds / 60;
-}
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
 
 /**
  * 時間スロットを生成（チェックイン〜チェックアウトの各時間）
  * @param {Date} checkin - チェックイン時刻
  * @param {Date} checkout - チェックアウト時刻
+ * @param {string} [timeZone] - 施設タイムゾーン（日付・時の区切り）
  * @returns {Array} 時間スロットの配列
  */
-function generateTimeSlots(checkin, checkout) {
+function generateTimeSlots(checkin, checkout, timeZone = DEFAULT_TIME_ZONE) {
     const slots = [];
     const current = new Date(checkin);
     
     // 1時間ごとにスロットを生成
     while (current < checkout) {
-        const slotEnd = new Date(current);
-        slotEnd.setHours(slotEnd.getHours() + 1, 0, 0, 0); // 次の時間の00分00秒
+        const slotEnd = startOfNextHour(current, timeZone); // 次の時間の00分00秒
         
         const actualEnd = slotEnd > checkout ? checkout : slotEnd;
         const duration = (actualEnd - current) / (1000 * 60); // 分単位
         
         if (duration > 0) {
+            const date = formatDateKey(current, timeZone); // YYYY-MM-DD
+            const hour = getZonedParts(current, timeZone).hour;
             slots.push({
-                date: current.toISOString().split('T')[0], // YYYY-MM-DD
-                hour: current.getHours(),
-                dateHour: `${current.toISOString().split('T')[0]}-${current.getHours().toString().padStart(2, '0')}`,
+                date,
+                hour,
+                dateHour: `${date}-${hour.toString().padStart(2, '0')}`,
                 duration: duration,
                 checkin: current.toISOString(),
                 checkout: actualEnd.toISOString()
@@ -58,38 +61,29 @@ function generateTimeSlots(checkin, checkout) {
 
 /**
  * 時間別在館者数を計算
- * @param {Array} records - CSVレコード
+ * @param {Array} records - 標準レコード（csv-loader）
+ * @param {string} [timeZone] - 施設タイムゾーン
  * @returns {Object} 時間別在館者数データ
  */
-function calculateHourlyOccupancy(records) {
+function calculateHourlyOccupancy(records, timeZone = DEFAULT_TIME_ZONE) {
     const hourlyOccupancy = {};
     const dailyStats = {};
     const allTimeSlots = [];
     
     console.log(`📊 ${records.length}件のレコードから時間別在館者数を計算中...`);
     
-    records.forEach((record, index) => {
+    records.forEach(record => {
         try {
-            const checkin = parseDateTime(record['チェックイン日時']);
-            const checkout = record['チェックアウト日時'] ? 
-                parseDateTime(record['チェックアウト日時']) : null;
-            const stayMinutes = parseStayTime(record['滞在時間']);
-            
-            // チェックアウト時刻がない場合は滞在時間から計算
-            if (!checkout && stayMinutes > 0) {
-                checkout = new Date(checkin.getTime() + stayMinutes * 60 * 1000);
-            }
-            
-            if (!checkout || stayMinutes <= 0) {
-                console.warn(`⚠️  スキップ: 不正な時間データ (行${index + 2})`);
-                return;
-            }
+            const { userKey, displayName, stayMinutes } = record;
+            const checkin = record.checkinDate;
+            const checkout = record.checkoutDate;
             
             // 時間スロットを生成
-            const timeSlots = generateTimeSlots(checkin, checkout);
+            const timeSlots = generateTimeSlots(checkin, checkout, timeZone);
             allTimeSlots.push(...timeSlots.map(slot => ({
                 ...slot,
-                customerName: record['顧客名'],
+                userKey,
+                customerName: displayName,
                 originalStayMinutes: stayMinutes
             })));
             
@@ -105,13 +99,14 @@ function calculateHourlyOccupancy(records) {
                 hourlyOccupancy[slot.dateHour].count++;
                 hourlyOccupancy[slot.dateHour].totalMinutes += slot.duration;
                 hourlyOccupancy[slot.dateHour].users.push({
-                    name: record['顧客名'],
+                    userKey,
+                    name: displayName,
                     duration: slot.duration
                 });
             });
             
             // 日別統計
-            const date = checkin.toISOString().split('T')[0];
+            const date = formatDateKey(checkin, timeZone);
             if (!dailyStats[date]) {
                 dailyStats[date] = {
                     totalHours: 0,
@@ -121,10 +116,10 @@ function calculateHourlyOccupancy(records) {
             }
             dailyStats[date].totalHours += stayMinutes / 60;
             dailyStats[date].totalSessions++;
-            dailyStats[date].uniqueUsers.add(record['顧客名']);
+            dailyStats[date].uniqueUsers.add(userKey);
             
         } catch (error) {
-            console.warn(`⚠️  データ解析エラー (行${index + 2}):`, error.message);
+            console.warn(`⚠️  データ解析エラー (行${record.rowNumber}):`, error.message);
         }
     });
     
@@ -143,85 +138,215 @@ function calculateHourlyOccupancy(records) {
 }
 
 /**
- * 同期間比較データを生成
- * @param {Array} records - 全CSVレコード
+ * 比較のプリセット
+ * ranges(asOfKey) は基準日（施設タイムゾーンの日付キー）から比較期間・基準期間を返す（いずれも両端の日付を含む）
+ */
+const COMPARISON_PRESETS = {
+    'previous-month': {
+        label: '前月同期間',
+        currentLabel: '当月',
+        previousLabel: '前月',
+        ranges: asOfKey => {
+            const [year, month, day] = asOfKey.split('-').map(Number);
+            const previousYear = month === 1 ? year - 1 : year;
+            const previousMonth = month === 1 ? 12 : month - 1;
+            return {
+                current: monthToDate(year, month, day),
+                previous: monthToDate(previousYear, previousMonth, day)
+            };
+        }
+    },
+    'previous-year': {
+        label: '前年同期',
+        currentLabel: '当月',
+        previousLabel: '前年同月',
+        ranges: asOfKey => {
+            const [year, month, day] = asOfKey.split('-').map(Number);
+            return {
+                current: monthToDate(year, month, day),
+                previous: monthToDate(year - 1, month, day)
+            };
+        }
+    },
+    'same-weekdays': {
+        label: '前月同曜日（4週前）',
+        currentLabel: '当月',
+        previousLabel: '4週前',
+        ranges: asOfKey => {
+            const [year, month, day] = asOfKey.split('-').map(Number);
+            const current = monthToDate(year, month, day);
+            return {
+                current,
+                previous: { start: addDaysToKey(current.start, -28), end: addDaysToKey(current.end, -28) }
+            };
+        }
+    },
+    'trailing-4-weeks': {
+        label: '直近4週と前の4週',
+        currentLabel: '直近4週',
+        previousLabel: '前の4週',
+        ranges: asOfKey => ({
+            current: { start: addDaysToKey(asOfKey, -27), end: asOfKey },
+            previous: { start: addDaysToKey(asOfKey, -55), end: addDaysToKey(asOfKey, -28) }
+        })
+    }
+};
+
+/**
+ * 既定の比較プリセット
+ */
+const DEFAULT_COMPARISON = 'previous-month';
+
+/**
+ * 月初から指定日までの期間（その月に指定日がなければ月末まで）
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {Object} { start, end } 日付キー
+ */
+function monthToDate(year, month, day) {
+    const pad = n => String(n).padStart(2, '0');
+    const lastDay = Math.min(day, getDaysInMonth(year, month));
+    return { start: `${year}-${pad(month)}-01`, end: `${year}-${pad(month)}-${pad(lastDay)}` };
+}
+
+/**
+ * 期間の日数（両端を含む）
+ * @param {Object} range - { start, end } 日付キー
+ * @returns {number}
+ */
+function countDays(range) {
+    return Math.round((new Date(`${range.end}T00:00:00Z`) - new Date(`${range.start}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * 比較する2つの期間を決定
+ * @param {Date} asOf - 基準日時
+ * @param {string} timeZone - 施設タイムゾーン
+ * @param {Object} [options]
+ * @param {string} [options.compare] - 比較プリセット（COMPARISON_PRESETS のキー）
+ * @param {Object} [options.range] - 任意の比較期間 { start, end }（指定時はプリセットより優先）
+ * @param {Object} [options.baseline] - 任意の基準期間 { start, end }（省略時は比較期間の直前の同じ日数）
+ * @returns {Object} { compare, label, current: { start, end, label }, previous: { start, end, label } }
+ */
+function resolveComparisonRanges(asOf, timeZone, options = {}) {
+    if (options.range) {
+        const { range } = options;
+        if (range.start > range.end) {
+            throw new Error(`比較期間の開始日が終了日より後です: ${range.start}..${range.end}`);
+        }
+        const days = countDays(range);
+        const baseline = options.baseline || { start: addDaysToKey(range.start, -days), end: addDaysToKey(range.start, -1) };
+        if (baseline.start > baseline.end) {
+            throw new Error(`基準期間の開始日が終了日より後です: ${baseline.start}..${baseline.end}`);
+        }
+        return {
+            compare: 'custom',
+            label: '任意の期間',
+            current: { ...range, label: '比較期間' },
+            previous: { ...baseline, label: '基準期間' }
+        };
+    }
+
+    const compare = options.compare || DEFAULT_COMPARISON;
+    const preset = COMPARISON_PRESETS[compare];
+    if (!preset) {
+        throw new Error(`不明な比較プリセットです: ${compare} (${Object.keys(COMPARISON_PRESETS).join(' / ')})`);
+    }
+    const { current, previous } = preset.ranges(formatDateKey(asOf, timeZone));
+    return {
+        compare,
+        label: preset.label,
+        current: { ...current, label: preset.currentLabel },
+        previous: { ...previous, label: preset.previousLabel }
+    };
+}
+
+/**
+ * 期間比較データを生成
+ * 出力のキー名は互換性のため currentMonth（比較期間）/ previousMonth（基準期間）のまま
+ * @param {Array} records - 全標準レコード
+ * @param {Date} [asOf] - 基準日時（プリセットの期間の基準日）
+ * @param {string} [timeZone] - 施設タイムゾーン（月・日の区切り）
+ * @param {Object} [options] - 比較する期間（resolveComparisonRanges）と resolution（同時在館人数の時間解像度・分）
  * @returns {Object} 比較分析データ
  */
-function generateComparisonData(records) {
-    const currentDate = new Date();
-    const currentMonth = currentDate.getMonth() + 1; // 1-12
-    const currentYear = currentDate.getFullYear();
-    const currentDay = currentDate.getDate();
-    
-    // 当月データ (1日〜現在日まで)
-    const currentMonthStart = new Date(currentYear, currentMonth - 1, 1);
-    const currentMonthEnd = new Date(currentYear, currentMonth - 1, currentDay, 23, 59, 59);
+function generateComparisonData(records, asOf = new Date(), timeZone = DEFAULT_TIME_ZONE, options = {}) {
+    const ranges = resolveComparisonRanges(asOf, timeZone, options);
     
-    // 前月同期間データ (1日〜同じ日数まで)
-    const previousMonth = currentMonth === 1 ? 12 : currentMonth - 1;
-    const previousYear = currentMonth === 1 ? currentYear - 1 : currentYear;
-    const previousMonthStart = new Date(previousYear, previousMonth - 1, 1);
-    const previousMonthEnd = new Date(previousYear, previousMonth - 1, currentDay, 23, 59, 59);
+    const currentPeriod = `${ranges.current.start} to ${ranges.current.end}`;
+    const previousPeriod = `${ranges.previous.start} to ${ranges.previous.end}`;
     
-    console.log(`📅 比較期間:`);
-    console.log(`   当月: ${currentMonthStart.toISOString().split('T')[0]} 〜 ${currentMonthEnd.toISOString().split('T')[0]}`);
-    console.log(`   前月: ${previousMonthStart.toISOString().split('T')[0]} 〜 ${previousMonthEnd.toISOString().split('T')[0]}`);
+    console.log(`📅 比較期間 (${ranges.label}):`);
+    console.log(`   ${ranges.current.label}: ${currentPeriod.replace(' to ', ' 〜 ')}`);
+    console.log(`   ${ranges.previous.label}: ${previousPeriod.replace(' to ', ' 〜 ')}`);
     
-    // データフィルタリング
-    const currentMonthRecords = records.filter(record => {
-        const checkin = parseDateTime(record['チェックイン日時']);
-        return checkin >= currentMonthStart && checkin <= currentMonthEnd;
-    });
-    
-    const previousMonthRecords = records.filter(record => {
-        const checkin = parseDateTime(record['チェックイン日時']);
-        return checkin >= previousMonthStart && checkin <= previousMonthEnd;
-    });
-    
-    console.log(`📊 データ件数: 当月${currentMonthRecords.length}件, 前月${previousMonthRecords.length}件`);
-    
-    // 各月の時間別データを生成
-    const currentMonthData = calculateHourlyOccupancy(currentMonthRecords);
-    const previousMonthData = calculateHourlyOccupancy(previousMonthRecords);
+    // 各期間の時間別データ・同時在館人数（分単位）・総合統計を計算
+    const resolution = options.resolution || DEFAULT_RESOLUTION;
+    const currentMonth = analyzePeriod(records, ranges.current, timeZone, resolution);
+    const previousMonth = analyzePeriod(records, ranges.previous, timeZone, resolution);
     
-    // 総合統計を計算
-    const currentTotalStats = calculateTotalStats(currentMonthData, currentMonthRecords);
-    const previousTotalStats = calculateTotalStats(previousMonthData, previousMonthRecords);
+    console.log(`📊 データ件数: ${ranges.current.label}${currentMonth.records}件, ${ranges.previous.label}${previousMonth.records}件`);
     
-    // 変化率を計算
-    const comparison = calculateComparison(currentTotalStats, previousTotalStats);
+    // 変化量・変化率を計算
+    const comparison = calculateComparison(currentMonth.totalStats, previousMonth.totalStats);
     
     return {
         metadata: {
             generatedAt: new Date().toISOString(),
-            currentPeriod: `${currentYear}-${currentMonth.toString().padStart(2, '0')}-01 to ${currentYear}-${currentMonth.toString().padStart(2, '0')}-${currentDay.toString().padStart(2, '0')}`,
-            previousPeriod: `${previousYear}-${previousMonth.toString().padStart(2, '0')}-01 to ${previousYear}-${previousMonth.toString().padStart(2, '0')}-${currentDay.toString().padStart(2, '0')}`,
-            comparisonDays: currentDay
-        },
-        currentMonth: {
-            period: `${currentYear}-${currentMonth.toString().padStart(2, '0')}`,
-            records: currentMonthRecords.length,
-            ...currentMonthData,
-            totalStats: currentTotalStats
-        },
-        previousMonth: {
-            period: `${previousYear}-${previousMonth.toString().padStart(2, '0')}`,
-            records: previousMonthRecords.length,
-            ...previousMonthData,
-            totalStats: previousTotalStats
+            asOf: asOf.toISOString(),
+            timeZone,
+            compare: ranges.compare,
+            compareLabel: ranges.label,
+            currentLabel: ranges.current.label,
+            previousLabel: ranges.previous.label,
+            currentPeriod,
+            previousPeriod,
+            comparisonDays: countDays(ranges.current),
+            previousDays: countDays(ranges.previous),
+            resolution
         },
+        currentMonth,
+        previousMonth,
         comparison
     };
 }
 
+/**
+ * 期間のデータを集計（比較する2期間のそれぞれ）
+ * @param {Array} records - 全標準レコード
+ * @param {Object} range - { start, end } 日付キー（両端を含む）
+ * @param {string} timeZone - 施設タイムゾーン
+ * @param {number} [resolution] - 同時在館人数の時間解像度（分）
+ * @returns {Object} { period, records, hourlyOccupancy, dailyStats, allTimeSlots, occupancy, totalStats }
+ */
+function analyzePeriod(records, range, timeZone, resolution = DEFAULT_RESOLUTION) {
+    // データフィルタリング（終了日の翌日0時まで）
+    const rangeStart = startOfDateKey(range.start, timeZone);
+    const rangeEnd = startOfDateKey(addDaysToKey(range.end, 1), timeZone);
+    const periodRecords = records.filter(record => record.checkinDate >= rangeStart && record.checkinDate < rangeEnd);
+    
+    const periodData = calculateHourlyOccupancy(periodRecords, timeZone);
+    const occupancy = calculateOccupancy(periodRecords, { timeZone, resolution });
+    
+    return {
+        period: `${range.start} to ${range.end}`,
+        records: periodRecords.length,
+        ...periodData,
+        occupancy,
+        totalStats: calculateTotalStats(periodData, periodRecords, occupancy)
+    };
+}
+
 /**
  * 総合統計を計算
  * @param {Object} monthData - 月別データ
  * @param {Array} records - レコード
+ * @param {Object} occupancy - 同時在館人数（occupancy.js の calculateOccupancy）
  * @returns {Object} 総合統計
  */
-function calculateTotalStats(monthData, records) {
-    const { hourlyOccupancy, dailyStats, allTimeSlots } = monthData;
+function calculateTotalStats(monthData, records, occupancy) {
+    const { dailyStats } = monthData;
     
     // 総利用時間
     const totalHours = Object.values(dailyStats).reduce((sum, day) => sum + day.totalHours, 0);
@@ -231,145 +356,347 @@ function calculateTotalStats(monthData, records) {
     const manHours = records.length;
     
     // ユニークユーザー数
-    const uniqueUsers = new Set(records.map(r => r['顧客名'])).size;
+    const uniqueUsers = new Set(records.map(r => r.userKey)).size;
     
     // 総セッション数
     const totalSessions = records.length;
     
-    // ピーク時在館者数
-    const peakOccupancy = Math.max(...Object.values(hourlyOccupancy).map(h => h.count), 0);
-    
-    // 平均在館者数 (全時間スロットの平均)
-    const averageOccupancy = Object.keys(hourlyOccupancy).length > 0 ?
-        Object.values(hourlyOccupancy).reduce((sum, h) => sum + h.count, 0) / Object.keys(hourlyOccupancy).length : 0;
-    
     return {
         totalHours: Math.round(totalHours * 10) / 10,
         manHours: Math.round(manHours * 10) / 10,
         uniqueUsers,
         totalSessions,
-        peakOccupancy,
-        averageOccupancy: Math.round(averageOccupancy * 10) / 10,
+        // ピーク時在館者数（実際に同時に在館していた最大人数）とその日時
+        peakOccupancy: occupancy.peakOccupancy,
+        peakAt: occupancy.peakAt,
+        // 平均在館者数（在館者がいた時間で重み付け）
+        averageOccupancy: occupancy.averageOccupancy,
         activeDays: Object.keys(dailyStats).length
     };
 }
 
 /**
- * 変化率を計算
- * @param {Object} current - 当月統計
- * @param {Object} previous - 前月統計
- * @returns {Object} 比較結果
+ * 変化量・変化率を計算
+ * @param {Object} current - 比較期間の統計
+ * @param {Object} previous - 基準期間の統計
+ * @returns {Object} 指標ごとの { absolute: 差, percent: 変化率(%)。基準期間が0の場合は null }
  */
 function calculateComparison(current, previous) {
-    const calculateChange = (curr, prev) => {
-        if (prev === 0) return curr > 0 ? '+∞%' : '0%';
-        const change = ((curr - prev) / prev) * 100;
-        return `${change >= 0 ? '+' : ''}${Math.round(change * 10) / 10}%`;
-    };
-    
-    const calculateDifference = (curr, prev) => {
-        const diff = curr - prev;
-        return `${diff >= 0 ? '+' : ''}${diff}`;
-    };
+    const calculateChange = (curr, prev) => ({
+        absolute: Math.round((curr - prev) * 10) / 10,
+        percent: prev === 0 ? null : Math.round((curr - prev) / prev * 1000) / 10
+    });
     
     return {
         totalHoursChange: calculateChange(current.totalHours, previous.totalHours),
         manHoursChange: calculateChange(current.manHours, previous.manHours),
-        uniqueUsersChange: calculateDifference(current.uniqueUsers, previous.uniqueUsers),
-        totalSessionsChange: calculateDifference(current.totalSessions, previous.totalSessions),
-        peakOccupancyChange: calculateDifference(current.peakOccupancy, previous.peakOccupancy),
+        uniqueUsersChange: calculateChange(current.uniqueUsers, previous.uniqueUsers),
+        totalSessionsChange: calculateChange(current.totalSessions, previous.totalSessions),
+        peakOccupancyChange: calculateChange(current.peakOccupancy, previous.peakOccupancy),
         averageOccupancyChange: calculateChange(current.averageOccupancy, previous.averageOccupancy)
     };
 }
 
+/**
+ * 変化率を表示用の文字列に変換
+ * @param {Object} change - { absolute, percent }
+ * @returns {string} "+12.5%"（基準期間が0の場合は "比較不可"）
+ */
+function formatPercentChange(change) {
+    if (change.percent === null) return '比較不可';
+    return `${change.percent >= 0 ? '+' : ''}${change.percent}%`;
+}
+
+/**
+ * 変化量を表示用の文字列に変換
+ * @param {Object} change - { absolute, percent }
+ * @returns {string} "+3"
+ */
+function formatDifference(change) {
+    return `${change.absolute >= 0 ? '+' : ''}${change.absolute}`;
+}
+
 /**
  * CSVデータを読み込み
  * @param {string} csvPath - CSVファイルパス
- * @returns {Promise<Array>} レコード配列
+ * @param {Object} [options] - csv-loaderのオプション（列名の対応など）
+ * @returns {Promise<Array>} 標準レコード配列
+ */
+async function loadCSVData(csvPath = DEFAULT_INPUT, options = {}) {
+    const { records } = await loadSourceRecords(csvPath, options);
+    return records;
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.compare] - 比較プリセット
+ * @param {Object} [options.range] - 任意の比較期間 { start, end }
+ * @param {Object} [options.baseline] - 任意の基準期間 { start, end }
+ * @param {number} [options.resolution] - 同時在館人数の時間解像度（分）
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} 比較分析データ（出力した内容）
  */
-async function loadCSVData(csvPath = 'nihouse.csv') {
-    const records = [];
+async function run(options = {}) {
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 リアルタイム比較分析を開始...');
     
-    return new Promise((resolve, reject) => {
-        createReadStream(csvPath)
-            .pipe(csv())
-            .on('data', (row) => {
-                // 必要なフィールドが存在するかチェック
-                if (row['顧客名'] && row['チェックイン日時'] && row['滞在時間']) {
-                    records.push(row);
-                }
-            })
-            .on('end', () => {
-                console.log(`✅ CSVデータ読み込み完了: ${records.length}件`);
-                resolve(records);
-            })
-            .on('error', reject);
+    // CSVデータ読み込み
+    const records = await loadCSVData(options.input || DEFAULT_INPUT, options);
+    
+    // 比較データ生成
+    const analysisData = protectAnalysisData(generateComparisonData(records, options.asOf || new Date(), options.timeZone || DEFAULT_TIME_ZONE, {
+        compare: options.compare,
+        range: options.range,
+        baseline: options.baseline,
+        resolution: options.resolution
+    }), privacy);
+    
+    // 結果を分割ファイルに保存（metadata はマニフェストにも載せる）
+    const outputPaths = await writeChunkedView(outDir, 'realtime', splitAnalysisData(analysisData), {
+        index: { metadata: analysisData.metadata },
+        replaces: ['realtime-analysis.json', 'daily-stats.json', 'time-slots-detail.json'],
+        run: runInfo
     });
+    console.log(`📄 メインデータ保存完了: ${path.join(outDir, DATA_DIR, 'realtime')} (${outputPaths.length}ファイル)`);
+    
+    // 中間データも保存
+    await saveIntermediateData(analysisData, outDir, privacy);
+    
+    // サマリー表示
+    displaySummary(analysisData);
+    
+    console.log('\n✅ リアルタイム比較分析完了!');
+
+    return analysisData;
 }
 
 /**
- * メイン処理
+ * 出力のプライバシー設定を適用
+ * public では時間別在館データの利用者一覧とタイムスロット詳細（利用者ごとの在館時刻）を除き、
+ * 在館者数の少ない時間枠・同時在館人数の推移の点と、利用者の少ない日の日別統計を伏せる
+ * @param {Object} analysisData - generateComparisonData の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
  */
-async function main() {
-    try {
-        console.log('🚀 リアルタイム比較分析を開始...');
-        
-        // CSVデータ読み込み
-        const records = await loadCSVData();
-        
-        // 比較データ生成
-        const analysisData = generateComparisonData(records);
-        
-        // 結果をJSONファイルに保存
-        await fs.writeFile('../docs/realtime-analysis.json', JSON.stringify(analysisData, null, 2));
-        console.log('📄 メインデータ保存完了: ../docs/realtime-analysis.json');
-        
-        // 中間データも保存
-        await saveIntermediateData(analysisData);
-        
-        // サマリー表示
-        displaySummary(analysisData);
-        
-        console.log('\n✅ リアルタイム比較分析完了!');
-        
-    } catch (error) {
-        console.error('❌ エラーが発生しました:', error);
-        process.exit(1);
+function protectAnalysisData(analysisData, privacy) {
+    return {
+        ...analysisData,
+        metadata: { ...analysisData.metadata, privacy: describePrivacy(privacy) },
+        currentMonth: protectPeriod(analysisData.currentMonth, privacy),
+        previousMonth: protectPeriod(analysisData.previousMonth, privacy)
+    };
+}
+
+/**
+ * 期間のデータ（analyzePeriod の結果）に出力のプライバシー設定を適用
+ * @param {Object} periodData - analyzePeriod の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectPeriod(periodData, privacy) {
+    if (privacy.identifiable) {
+        return periodData;
+    }
+    const { allTimeSlots, ...publicData } = periodData;
+    const occupancy = protectOccupancy(periodData.occupancy, privacy);
+    return {
+        ...publicData,
+        hourlyOccupancy: protectHourly(privacy, periodData.hourlyOccupancy),
+        dailyStats: protectDailyStats(periodData.dailyStats, privacy),
+        occupancy,
+        totalStats: { ...periodData.totalStats, peakAt: occupancy.peakAt }
+    };
+}
+
+/**
+ * 日別統計のうち利用者の少ない日を伏せる（{ totalHours: null, totalSessions: null, uniqueUsers: null, suppressed: true }）
+ * @param {Object} dailyStats - calculateHourlyOccupancy の dailyStats
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectDailyStats(dailyStats, privacy) {
+    return Object.fromEntries(Object.entries(dailyStats).map(([date, stats]) => [
+        date,
+        isSuppressed(privacy, stats.uniqueUsers)
+            ? { totalHours: null, totalSessions: null, uniqueUsers: null, suppressed: true }
+            : stats
+    ]));
+}
+
+/**
+ * 同時在館人数の推移のうち在館者数の少ない点を伏せる（{ peak: null, average: null, suppressed: true }）
+ * 日別の値もピーク在館者数の少ない日は伏せ、ピーク時刻（その時刻に誰がいたか分かる）はピーク在館者数が少なければ出力しない
+ * @param {Object} occupancy - occupancy.js の calculateOccupancy の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectOccupancy(occupancy, privacy) {
+    if (privacy.identifiable) {
+        return occupancy;
     }
+    return {
+        ...occupancy,
+        peakAt: isSuppressed(privacy, occupancy.peakOccupancy) ? null : occupancy.peakAt,
+        daily: Object.fromEntries(Object.entries(occupancy.daily).map(([date, day]) => [
+            date,
+            isSuppressed(privacy, day.peakOccupancy)
+                ? { peakOccupancy: null, peakAt: null, averageOccupancy: null, occupiedHours: null, suppressed: true }
+                : day
+        ])),
+        timeline: Object.fromEntries(Object.entries(occupancy.timeline).map(([time, point]) => [
+            time,
+            isSuppressed(privacy, point.peak) ? { peak: null, average: null, suppressed: true } : point
+        ]))
+    };
+}
+
+/**
+ * 時間別在館データの分割ファイルの項目（hours の各値はこの順の配列。ファイルサイズを抑えるため）
+ * users は [利用者キー, 在館時間（分）] の配列で、名前は users に1回だけ載せる。public では users の列はない
+ */
+const HOURLY_FIELDS = ['count', 'totalMinutes', 'users'];
+
+/**
+ * タイムスロット詳細の分割ファイルの項目（slots の各行はこの順の配列）
+ * start はその時の何分からいたか（チェックイン・チェックアウトの時刻は start と duration から分かる）
+ */
+const TIME_SLOT_FIELDS = ['dateHour', 'userKey', 'start', 'duration'];
+
+/**
+ * 分割ファイルに書き出す分数の丸め（時刻は秒単位なので、小数2桁なら分単位に丸めた表示は変わらない）
+ * @param {number} minutes
+ * @returns {number}
+ */
+function roundMinutes(minutes) {
+    return Math.round(minutes * 100) / 100;
+}
+
+/**
+ * 時間別在館データを分割ファイルの形にする（伏せた時間枠の count・totalMinutes は null）
+ * @param {Object} hourlyOccupancy - "YYYY-MM-DD-HH" → { count, totalMinutes, users? }
+ * @returns {Object} { fields, hours, users }
+ */
+function compactHourly(hourlyOccupancy) {
+    const entries = Object.entries(hourlyOccupancy);
+    const withUsers = entries.some(([, hour]) => hour.users);
+    const users = {};
+    const hours = Object.fromEntries(entries.map(([dateHour, hour]) => {
+        const row = [hour.count, hour.totalMinutes === null ? null : roundMinutes(hour.totalMinutes)];
+        if (withUsers) {
+            row.push(hour.users.map(user => {
+                users[user.userKey] = user.name;
+                return [user.userKey, roundMinutes(user.duration)];
+            }));
+        }
+        return [dateHour, row];
+    }));
+    return { fields: withUsers ? HOURLY_FIELDS : HOURLY_FIELDS.slice(0, 2), hours, users };
+}
+
+/**
+ * 同時在館人数の推移を分割ファイルの形にする（伏せた点は [null, null]）
+ * @param {Object} occupancy - calculateOccupancy の結果
+ * @returns {Object} { resolution, fields, points: "YYYY-MM-DD HH:mm" → [peak, average] }
+ */
+function compactTimeline(occupancy) {
+    return {
+        resolution: occupancy.resolution,
+        fields: ['peak', 'average'],
+        points: Object.fromEntries(Object.entries(occupancy.timeline).map(([time, point]) => [time, [point.peak, point.average]]))
+    };
+}
+
+/**
+ * タイムスロット詳細を分割ファイルの形にする（日付・時・ISO形式の時刻の重複を除く）
+ * @param {Array} allTimeSlots - calculateHourlyOccupancy の allTimeSlots
+ * @param {string} timeZone - 施設タイムゾーン
+ * @returns {Object} { fields, slots, users }
+ */
+function compactTimeSlots(allTimeSlots, timeZone) {
+    const users = {};
+    const slots = allTimeSlots.map(slot => {
+        const { minute, second } = getZonedParts(new Date(slot.checkin), timeZone);
+        users[slot.userKey] = slot.customerName;
+        return [slot.dateHour, slot.userKey, roundMinutes(minute + second / 60), roundMinutes(slot.duration)];
+    });
+    return { fields: TIME_SLOT_FIELDS, slots, users };
+}
+
+/**
+ * 分析データをダッシュボードが読み込む分割ファイルに分ける
+ * summary: 比較・日別統計・同時在館人数の集計（推移を除く）、hourly-*: 時間別在館データ、
+ * timeline-*: 同時在館人数の推移、time-slots-*: タイムスロット詳細（public では出力しない）
+ * @param {Object} analysisData - protectAnalysisData の結果
+ * @returns {Object} 分割ファイルの名前 → 内容
+ */
+function splitAnalysisData(analysisData) {
+    const { comparison, metadata } = analysisData;
+    const chunks = {
+        summary: {
+            currentMonth: summarizePeriod(analysisData.currentMonth),
+            previousMonth: summarizePeriod(analysisData.previousMonth),
+            comparison,
+            metadata
+        }
+    };
+    [['current', analysisData.currentMonth], ['previous', analysisData.previousMonth]].forEach(([name, monthData]) => {
+        chunks[`hourly-${name}`] = compactHourly(monthData.hourlyOccupancy);
+        chunks[`timeline-${name}`] = compactTimeline(monthData.occupancy);
+        if (monthData.allTimeSlots) {
+            chunks[`time-slots-${name}`] = compactTimeSlots(monthData.allTimeSlots, metadata.timeZone);
+        }
+    });
+    return chunks;
+}
+
+/**
+ * 期間のデータから集計値だけを取り出す（時間別在館データ・タイムスロット詳細・同時在館人数の推移を除く）
+ * @param {Object} periodData - analyzePeriod の結果
+ * @returns {Object} { period, records, dailyStats, occupancy（timeline を除く）, totalStats }
+ */
+function summarizePeriod({ hourlyOccupancy, allTimeSlots, occupancy, ...periodData }) {
+    const { timeline, ...occupancySummary } = occupancy;
+    return { ...periodData, occupancy: occupancySummary };
 }
 
 /**
- * 中間データを保存
+ * 中間データのうち利用者を特定できるもの（public では出力せず、前回の出力も削除する）
+ */
+const IDENTIFIABLE_FILES = ['current-month-hourly.csv', 'previous-month-hourly.csv'];
+
+/**
+ * 中間データ（時間別の利用者のCSV）を保存
+ * 日別統計・タイムスロット詳細は分割ファイル（summary・time-slots-*）に含める
  * @param {Object} analysisData - 分析データ
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {Object} privacy - resolvePrivacy の結果
  */
-async function saveIntermediateData(analysisData) {
+async function saveIntermediateData(analysisData, outDir, privacy) {
     try {
+        if (!privacy.identifiable) {
+            await Promise.all(IDENTIFIABLE_FILES.map(file => fs.unlink(path.join(outDir, file)).catch(() => {})));
+            console.log(`🔒 ${analysisData.metadata.privacy.label}のため時間別の利用者・タイムスロット詳細は出力しません`);
+            return;
+        }
+
         // 時間別在館者数データ (CSV形式)
         const currentHourlyCSV = generateHourlyCSV(analysisData.currentMonth.hourlyOccupancy, 'current');
         const previousHourlyCSV = generateHourlyCSV(analysisData.previousMonth.hourlyOccupancy, 'previous');
         
-        await fs.writeFile('../docs/current-month-hourly.csv', currentHourlyCSV);
-        await fs.writeFile('../docs/previous-month-hourly.csv', previousHourlyCSV);
-        
-        // 日別統計データ (JSON形式)
-        await fs.writeFile('../docs/daily-stats.json', JSON.stringify({
-            current: analysisData.currentMonth.dailyStats,
-            previous: analysisData.previousMonth.dailyStats,
-            metadata: analysisData.metadata
-        }, null, 2));
-        
-        // タイムスロット詳細データ (JSON形式)
-        await fs.writeFile('../docs/time-slots-detail.json', JSON.stringify({
-            current: analysisData.currentMonth.allTimeSlots,
-            previous: analysisData.previousMonth.allTimeSlots,
-            metadata: analysisData.metadata
-        }, null, 2));
+        await writeText(outDir, 'current-month-hourly.csv', currentHourlyCSV);
+        await writeText(outDir, 'previous-month-hourly.csv', previousHourlyCSV);
         
         console.log('📁 中間データ保存完了:');
         console.log('   - current-month-hourly.csv (当月時間別)');
         console.log('   - previous-month-hourly.csv (前月時間別)');
-        console.log('   - daily-stats.json (日別統計)');
-        console.log('   - time-slots-detail.json (タイムスロット詳細)');
         
     } catch (error) {
         console.error('❌ 中間データ保存エラー:', error);
@@ -409,25 +736,41 @@ function displaySummary(analysisData) {
     const { currentMonth, previousMonth, comparison, metadata } = analysisData;
     
     console.log('\n📊 ===== リアルタイム比較分析結果 =====');
-    console.log(`📅 比較期間: ${metadata.comparisonDays}日間`);
-    console.log(`   当月: ${metadata.currentPeriod}`);
-    console.log(`   前月: ${metadata.previousPeriod}`);
+    console.log(`📅 比較: ${metadata.compareLabel} (${metadata.comparisonDays}日間 vs ${metadata.previousDays}日間)`);
+    console.log(`   ${metadata.currentLabel}: ${metadata.currentPeriod}`);
+    console.log(`   ${metadata.previousLabel}: ${metadata.previousPeriod}`);
     
     console.log('\n📈 総合指標比較:');
-    console.log(`   延べ利用人数: ${currentMonth.totalStats.manHours} vs ${previousMonth.totalStats.manHours} (${comparison.manHoursChange})`);
-    console.log(`   総利用時間: ${currentMonth.totalStats.totalHours}h vs ${previousMonth.totalStats.totalHours}h (${comparison.totalHoursChange})`);
-    console.log(`   ピーク在館者数: ${currentMonth.totalStats.peakOccupancy}人 vs ${previousMonth.totalStats.peakOccupancy}人 (${comparison.peakOccupancyChange}人)`);
-    console.log(`   平均在館者数: ${currentMonth.totalStats.averageOccupancy}人 vs ${previousMonth.totalStats.averageOccupancy}人 (${comparison.averageOccupancyChange})`);
-    console.log(`   ユニークユーザー: ${currentMonth.totalStats.uniqueUsers}人 vs ${previousMonth.totalStats.uniqueUsers}人 (${comparison.uniqueUsersChange}人)`);
+    console.log(`   延べ利用人数: ${currentMonth.totalStats.manHours} vs ${previousMonth.totalStats.manHours} (${formatPercentChange(comparison.manHoursChange)})`);
+    console.log(`   総利用時間: ${currentMonth.totalStats.totalHours}h vs ${previousMonth.totalStats.totalHours}h (${formatPercentChange(comparison.totalHoursChange)})`);
+    console.log(`   ピーク在館者数: ${currentMonth.totalStats.peakOccupancy}人 (${currentMonth.totalStats.peakAt || '-'}) vs ${previousMonth.totalStats.peakOccupancy}人 (${previousMonth.totalStats.peakAt || '-'}) (${formatDifference(comparison.peakOccupancyChange)}人)`);
+    console.log(`   平均在館者数: ${currentMonth.totalStats.averageOccupancy}人 vs ${previousMonth.totalStats.averageOccupancy}人 (${formatPercentChange(comparison.averageOccupancyChange)})`);
+    console.log(`   ユニークユーザー: ${currentMonth.totalStats.uniqueUsers}人 vs ${previousMonth.totalStats.uniqueUsers}人 (${formatDifference(comparison.uniqueUsersChange)}人)`);
 }
 
 // スクリプト実行
 if (require.main === module) {
-    main();
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
 }
 
 module.exports = {
+    run,
+    loadCSVData,
     generateComparisonData,
+    analyzePeriod,
+    protectAnalysisData,
+    protectPeriod,
+    protectDailyStats,
+    protectOccupancy,
+    summarizePeriod,
+    compactTimeline,
+    splitAnalysisData,
+    resolveComparisonRanges,
+    calculateComparison,
+    COMPARISON_PRESETS,
     calculateHourlyOccupancy,
     parseDateTime,
     parseStayTime,
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadRecords } = require('./csv-loader');
+const { resolveIdentities, normalizeName, normalizeMemberId } = require('./identity');
+
+/**
+ * 既定の保存先ディレクトリ（個人情報を含むためGit管理外）
+ */
+const DEFAULT_STORE_DIR = path.join(__dirname, 'store');
+
+const RECORDS_FILE = 'records.ndjson';
+const REJECTED_FILE = 'rejected.ndjson';
+const CACHE_DIR = 'cache';
+
+/**
+ * 月別集計キャッシュの形式バージョン（集計ロジックを変えたら上げる）
+ */
+const CACHE_VERSION = 4;
+
+/**
+ * 重複判定キーを生成（会員番号 + チェックイン日時。会員番号がなければ正規化した名前）
+ * @param {Object} record - 標準レコード
+ * @returns {string}
+ */
+function getRecordKey(record) {
+    const member = normalizeMemberId(record.memberId) || `name:${normalizeName(record.customerName)}`;
+    return `${member}|${record.checkinDate.toISOString()}`;
+}
+
+/**
+ * NDJSONファイルを読み込み
+ * @param {string} filePath
+ * @returns {Array} 各行のオブジェクト（ファイルがなければ空配列）
+ */
+function readNDJSON(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * NDJSONファイルに追記
+ * @param {string} filePath
+ * @param {Array} rows - 追記するオブジェクト
+ */
+function appendNDJSON(filePath, rows) {
+    if (rows.length === 0) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+}
+
+/**
+ * CSVファイルを保存済みレコードに取り込む
+ * すでに保存されている利用（会員 + チェックイン日時が同じ）は追加しない
+ * @param {Array<string>} files - 取り込むCSVファイル
+ * @param {Object} [options]
+ * @param {string} [options.storeDir] - 保存先ディレクトリ
+ * @param {Object} [options.columns] - 列名の対応（csv-loader）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @returns {Promise<Object>} { added, duplicates, rejected, total }
+ */
+async function importFiles(files, options = {}) {
+    const storeDir = options.storeDir || DEFAULT_STORE_DIR;
+    const recordsPath = path.join(storeDir, RECORDS_FILE);
+    const rejectedPath = path.join(storeDir, REJECTED_FILE);
+
+    const knownKeys = new Set(readNDJSON(recordsPath).map(row => row.key));
+    const knownRejected = new Set(readNDJSON(rejectedPath).map(row => JSON.stringify(row.values)));
+    const summary = { added: 0, duplicates: 0, rejected: 0, total: 0 };
+
+    for (const file of files) {
+        console.log(`📥 取り込み中: ${file}`);
+        const { records, rejected } = await loadRecords(file, options);
+        const source = path.basename(file);
+        const importedAt = new Date().toISOString();
+
+        const newRows = [];
+        records.forEach(record => {
+            const key = getRecordKey(record);
+            if (knownKeys.has(key)) {
+                summary.duplicates++;
+                return;
+            }
+            knownKeys.add(key);
+            newRows.push({
+                key,
+                customerName: record.customerName,
+                memberId: record.memberId,
+                checkin: record.checkinDate.toISOString(),
+                checkout: record.checkoutDate.toISOString(),
+                stayMinutes: record.stayMinutes,
+                source,
+                importedAt
+            });
+        });
+
+        const newRejected = rejected
+            .filter(row => !knownRejected.has(JSON.stringify(row.values)))
+            .map(row => {
+                knownRejected.add(JSON.stringify(row.values));
+                return {
+                    reason: row.reason,
+                    field: row.field,
+                    checkin: row.checkinDate ? row.checkinDate.toISOString() : null,
+                    values: row.values,
+                    source,
+                    rowNumber: row.rowNumber,
+                    importedAt
+                };
+            });
+
+        appendNDJSON(recordsPath, newRows);
+        appendNDJSON(rejectedPath, newRejected);
+
+        summary.added += newRows.length;
+        summary.rejected += newRejected.length;
+        console.log(`   ➕ 新規 ${newRows.length}件 / 重複 ${records.length - newRows.length}件 / 除外 ${newRejected.length}件`);
+    }
+
+    summary.total = knownKeys.size;
+    console.log(`✅ 取り込み完了: 新規 ${summary.added}件 (保存済み合計 ${summary.total}件)`);
+    return summary;
+}
+
+/**
+ * 保存済みレコードを標準レコードとして読み込み（csv-loaderのloadRecordsと同じ形式）
+ * rowNumber は保存ファイル上の行番号、source は取り込み元ファイル名
+ * @param {Object} [options]
+ * @param {string} [options.storeDir] - 保存先ディレクトリ
+ * @param {string} [options.aliasesPath] - 別名定義ファイルのパス（identity.js）
+ * @returns {Promise<Object>} { records, rejected, users }
+ */
+async function loadStoredRecords(options = {}) {
+    const storeDir = options.storeDir || DEFAULT_STORE_DIR;
+    const recordsPath = path.join(storeDir, RECORDS_FILE);
+    if (!fs.existsSync(recordsPath)) {
+        throw new Error(`保存済みレコードがありません。先に niho import を実行してください: ${recordsPath}`);
+    }
+
+    const records = readNDJSON(recordsPath).map((row, index) => ({
+        customerName: row.customerName,
+        memberId: row.memberId,
+        checkinDate: new Date(row.checkin),
+        checkoutDate: new Date(row.checkout),
+        stayMinutes: row.stayMinutes,
+        rowNumber: index + 1,
+        source: row.source
+    }));
+    const rejected = readNDJSON(path.join(storeDir, REJECTED_FILE)).map(row => ({
+        rowNumber: row.rowNumber,
+        reason: row.reason,
+        field: row.field,
+        checkinDate: row.checkin ? new Date(row.checkin) : null,
+        values: row.values,
+        source: row.source
+    }));
+
+    console.log(`✅ 保存済みレコード読み込み完了: ${records.length}件 (除外 ${rejected.length}件)`);
+
+    const identity = resolveIdentities(records, options);
+    return { records: identity.records, rejected, users: identity.users };
+}
+
+/**
+ * 入力元（CSVファイルまたは保存済みレコード）からレコードを読み込み
+ * @param {string} filePath - CSVファイルパス（options.store指定時は使わない）
+ * @param {Object} [options]
+ * @param {boolean} [options.store] - 保存済みレコードを使う
+ * @returns {Promise<Object>} { records, rejected, users }
+ */
+function loadSourceRecords(filePath, options = {}) {
+    return options.store ? loadStoredRecords(options) : loadRecords(filePath, options);
+}
+
+/**
+ * 集計できるレコードがないことを表すエラー（niho all・niho watch はその処理を飛ばして続ける）
+ * @param {string} message - エラーメッセージ
+ * @returns {Error}
+ */
+function insufficientDataError(message) {
+    return Object.assign(new Error(message), { insufficientData: true });
+}
+
+/**
+ * 月のレコードの内容からハッシュを計算（同じ内容なら同じ値）
+ * @param {Array} monthRecords - その月のレコード
+ * @param {Object} params - 集計条件（タイムゾーンなど）
+ * @returns {string}
+ */
+function hashMonthRecords(monthRecords, params) {
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify({ version: CACHE_VERSION, params }));
+    monthRecords
+        .map(record => [
+            getRecordKey(record),
+            record.checkoutDate.toISOString(),
+            record.stayMinutes,
+            record.userKey,
+            record.displayName
+        ].join('|'))
+        .sort()
+        .forEach(line => hash.update(line + '\n'));
+    return hash.digest('hex');
+}
+
+/**
+ * 月別集計キャッシュを開く
+ * 月のデータが前回と同じであれば前回の集計結果を再利用する。
+ * options.store が指定されていない場合はキャッシュせず毎回集計する
+ * @param {Object} options - { store, storeDir }
+ * @param {string} namespace - 集計の種類（キャッシュファイル名）
+ * @returns {Object} { get(yearMonth, monthRecords, params, compute), save() }
+ */
+function openMonthCache(options, namespace) {
+    if (!options.store) {
+        return {
+            get: (yearMonth, monthRecords, params, compute) => compute(),
+            save: () => {}
+        };
+    }
+
+    const cachePath = path.join(options.storeDir || DEFAULT_STORE_DIR, CACHE_DIR, `${namespace}.json`);
+    const entries = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, 'utf8')) : {};
+    let reused = 0;
+    let computed = 0;
+
+    return {
+        get(yearMonth, monthRecords, params, compute) {
+            const hash = hashMonthRecords(monthRecords, params);
+            if (entries[yearMonth] && entries[yearMonth].hash === hash) {
+                reused++;
+                return entries[yearMonth].value;
+            }
+            computed++;
+            const value = compute();
+            entries[yearMonth] = { hash, value };
+            return value;
+        },
+        save() {
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+            fs.writeFileSync(cachePath, JSON.stringify(entries));
+            console.log(`♻️  月別集計キャッシュ (${namespace}): 再利用 ${reused}ヶ月 / 再計算 ${computed}ヶ月`);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STORE_DIR,
+    RECORDS_FILE,
+    getRecordKey,
+    importFiles,
+    loadStoredRecords,
+    loadSourceRecords,
+    insufficientDataError,
+    openMonthCache
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_STORE_DIR, RECORDS_FILE } = require('./record-store');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * ファイルの内容のハッシュ（SHA-256）を計算
+ * @param {string} filePath - ファイルパス
+ * @returns {Promise<string|null>} 16進数のハッシュ（ファイルがなければ null）
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', error => (error.code === 'ENOENT' ? resolve(null) : reject(error)));
+    });
+}
+
+/**
+ * 入力元のファイル（CSVファイルまたは保存済みレコード）
+ * @param {Object} options - { input, store, storeDir }
+ * @returns {string}
+ */
+function getSourcePath(options) {
+    return options.store
+        ? path.join(options.storeDir || DEFAULT_STORE_DIR, RECORDS_FILE)
+        : options.input || DEFAULT_INPUT;
+}
+
+/**
+ * 出力に記録する実行情報を作成
+ * niho all・niho watch の1回の処理で出力したファイルには同じ実行情報を記録するので、
+ * ダッシュボードで別々の実行の出力が混ざっていないか確認できる
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {boolean} [options.store] - 保存済みレコードを使う
+ * @param {string} [options.storeDir] - 保存済みレコードの場所
+ * @returns {Promise<Object>} { id, source, sourceHash, startedAt }
+ */
+async function createRun(options = {}) {
+    const startedAt = new Date();
+    const sourcePath = getSourcePath(options);
+    return {
+        // 例: 20250820T153012-1a2b3c（開始日時（UTC）と重複を避ける乱数）
+        id: `${startedAt.toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`,
+        source: options.store ? 'store' : path.basename(sourcePath),
+        sourceHash: await hashFile(sourcePath),
+        startedAt: startedAt.toISOString()
+    };
+}
+
+module.exports = {
+    hashFile,
+    getSourcePath,
+    createRun
+};
@@ -0,0 +1,663 @@
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { readManifest } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { openMonthCache } = require('./record-store');
+const { buildPeriods, calculateUserStats, getFirstCheckIns, isInPeriod } = require('./process-csv');
+const {
+    COMPARISON_PRESETS,
+    generateComparisonData,
+    analyzePeriod,
+    protectAnalysisData,
+    protectPeriod,
+    protectOccupancy,
+    summarizePeriod,
+    compactTimeline,
+    splitAnalysisData
+} = require('./realtime-analysis');
+const { loadCSV, analyzeDateRange, compareMultipleMonths, describeAnalysis, protectTimeAnalysis, getMonthRange } = require('./time-analysis');
+const { RESOLUTIONS, DEFAULT_RESOLUTION, calculateOccupancy } = require('./occupancy');
+const { resolvePrivacy, describePrivacy, protectRows } = require('./privacy');
+const { OUT_OF_HOURS, OUT_OF_HOURS_LABEL, loadTimeSlots, findSlot } = require('./time-slots');
+const { loadCalendar } = require('./calendar');
+const { DEFAULT_TIME_ZONE, getZonedParts, formatDateKey, startOfDateKey, addDaysToKey, daysBetweenKeys } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 既定の待ち受けポート・アドレス（既定ではこのPCからのみ接続できる）
+ */
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * APIのパスの接頭辞（それ以外のパスは出力ディレクトリのファイルを返す）
+ */
+const API_PREFIX = '/api/';
+
+/**
+ * 比較分析の結果を保持する件数（ダッシュボードは同じ条件で summary・hourly-* を続けて取得する）
+ */
+const COMPARISON_CACHE_SIZE = 20;
+
+/**
+ * 出力ディレクトリのファイルの Content-Type
+ */
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * リクエストの誤り（statusCode のステータスで { error } を返す）
+ * @param {string} message - エラーメッセージ
+ * @param {number} [statusCode] - HTTPステータス
+ * @returns {Error}
+ */
+function requestError(message, statusCode = 400) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * 利用データを読み込み、APIが使う集計条件をまとめる（起動時に1回だけ実行）
+ * options.store の場合は users・time と同じく保存済みレコードを読み込み、月別集計キャッシュも同じものを使う
+ * @param {Object} options - run のオプション
+ * @returns {Promise<Object>} APIのコンテキスト
+ */
+async function loadContext(options) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const timeSlots = loadTimeSlots(options.timeSlotsPath);
+    const run = await createRun(options);
+
+    // チェックイン時刻の時間帯はカスタム期間の絞り込みに使う（session-data.js と同じ）
+    // loadCSV は loadSourceRecords で入力CSVまたは保存済みレコードを読み込む
+    const records = (await loadCSV(options.input || DEFAULT_INPUT, options))
+        .filter(record => record.checkinDate <= asOf)
+        .map(record => {
+            const { hour, minute } = getZonedParts(record.checkinDate, timeZone);
+            return { ...record, slot: findSlot(timeSlots, hour * 60 + minute) };
+        });
+    if (records.length === 0) {
+        throw new Error('基準日時以前のレコードがありません');
+    }
+
+    return {
+        outDir: options.outDir || DEFAULT_OUT_DIR,
+        privacy: options.privacy,
+        asOf,
+        timeZone,
+        timeSlots,
+        calendar: loadCalendar({ closuresPath: options.closuresPath }),
+        records,
+        firstDate: records.reduce((min, record) => (record.date < min ? record.date : min), records[0].date),
+        lastDate: formatDateKey(asOf, timeZone),
+        months: [...new Set(records.map(record => record.yearMonth))].sort(),
+        periods: buildPeriods(records, asOf, undefined, timeZone),
+        firstCheckIns: getFirstCheckIns(records, timeZone),
+        // 絞り込みのない月の集計は出力と同じキャッシュから返す（保存済みレコードを使わない場合は毎回集計。ファイルには保存しない）
+        monthCaches: {
+            users: openMonthCache(options, 'user-stats'),
+            time: openMonthCache(options, 'time-analysis')
+        },
+        loadedAt: new Date().toISOString(),
+        run,
+        comparisons: new Map()
+    };
+}
+
+/**
+ * 日付のクエリパラメータ
+ * @param {URLSearchParams} params - クエリパラメータ
+ * @param {string} name - パラメータ名
+ * @param {string} fallback - 省略時の値
+ * @returns {string} "2025-08-01" 形式
+ */
+function parseDateParam(params, name, fallback) {
+    const value = params.get(name);
+    if (!value) {
+        return fallback;
+    }
+    if (!DATE_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+        throw requestError(`${name} は YYYY-MM-DD で指定してください: ${value}`);
+    }
+    return value;
+}
+
+/**
+ * カンマ区切りのクエリパラメータ
+ * @param {URLSearchParams} params - クエリパラメータ
+ * @param {string} name - パラメータ名
+ * @param {Array<string>} allowed - 指定できる値
+ * @returns {Array<string>|null} 省略時は null（空文字列は空の配列 = どれも選ばない）
+ */
+function parseListParam(params, name, allowed) {
+    if (!params.has(name)) {
+        return null;
+    }
+    const values = params.get(name).split(',').filter(Boolean);
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (invalid.length > 0) {
+        throw requestError(`${name} に指定できない値があります: ${invalid.join(', ')} (${allowed.join(' / ')})`);
+    }
+    return values;
+}
+
+/**
+ * 0以上の数値のクエリパラメータ
+ * @param {URLSearchParams} params - クエリパラメータ
+ * @param {string} name - パラメータ名
+ * @returns {number} 省略時は0
+ */
+function parseNumberParam(params, name) {
+    if (!params.get(name)) {
+        return 0;
+    }
+    const value = Number(params.get(name));
+    if (!(value >= 0)) {
+        throw requestError(`${name} は0以上の数値で指定してください: ${params.get(name)}`);
+    }
+    return value;
+}
+
+/**
+ * 期間 "YYYY-MM-DD..YYYY-MM-DD" のクエリパラメータ（CLIの --range / --baseline と同じ形式）
+ * @param {URLSearchParams} params - クエリパラメータ
+ * @param {string} name - パラメータ名
+ * @returns {Object|undefined} { start, end }
+ */
+function parseRangeParam(params, name) {
+    if (!params.get(name)) {
+        return undefined;
+    }
+    const [start, end, ...rest] = params.get(name).split('..');
+    if (rest.length > 0 || !DATE_PATTERN.test(start) || !DATE_PATTERN.test(end || '')) {
+        throw requestError(`${name} は YYYY-MM-DD..YYYY-MM-DD で指定してください: ${params.get(name)}`);
+    }
+    if (start > end) {
+        throw requestError(`${name} の開始日が終了日より後です: ${params.get(name)}`);
+    }
+    return { start, end };
+}
+
+/**
+ * 同時在館人数の時間解像度のクエリパラメータ
+ * @param {URLSearchParams} params - クエリパラメータ
+ * @returns {number} 分
+ */
+function parseResolutionParam(params) {
+    if (!params.get('resolution')) {
+        return DEFAULT_RESOLUTION;
+    }
+    const resolution = Number(params.get('resolution'));
+    if (!RESOLUTIONS.includes(resolution)) {
+        throw requestError(`resolution は ${RESOLUTIONS.join(' / ')} のいずれかで指定してください: ${params.get('resolution')}`);
+    }
+    return resolution;
+}
+
+/**
+ * 共通の絞り込み条件（期間・チェックイン曜日・チェックイン時間帯）
+ * @param {Object} context - loadContext の結果
+ * @param {URLSearchParams} params - from, to（既定: データの最初の日〜基準日）, days（0:日曜日 〜 6:土曜日）, slots（時間帯キー）
+ * @returns {Object} { from, to, days, slots }（days・slots は省略時 null）
+ */
+function parseFilters(context, params) {
+    const from = parseDateParam(params, 'from', context.firstDate);
+    const to = parseDateParam(params, 'to', context.lastDate);
+    if (from > to) {
+        throw requestError(`from が to より後です: ${from} 〜 ${to}`);
+    }
+    const days = parseListParam(params, 'days', ['0', '1', '2', '3', '4', '5', '6']);
+    return {
+        from,
+        to,
+        days: days && days.map(Number),
+        slots: parseListParam(params, 'slots', [...context.timeSlots.slots.map(slot => slot.key), OUT_OF_HOURS])
+    };
+}
+
+/**
+ * 絞り込み条件に合うレコード（from・to を省略した条件は期間で絞り込まない）
+ * @param {Object} context - loadContext の結果
+ * @param {Object} filters - { from, to, days, slots }
+ * @returns {Array}
+ */
+function selectRecords(context, { from, to, days, slots }) {
+    return context.records.filter(record =>
+        (!from || record.date >= from) &&
+        (!to || record.date <= to) &&
+        (!days || days.includes(record.dayOfWeek)) &&
+        (!slots || slots.includes(record.slot)));
+}
+
+/**
+ * GET /api/meta: 読み込んだデータと指定できるパラメータの値
+ * @param {Object} context - loadContext の結果
+ * @returns {Object}
+ */
+function getMeta(context) {
+    return {
+        loadedAt: context.loadedAt,
+        run: context.run,
+        asOf: context.asOf.toISOString(),
+        timeZone: context.timeZone,
+        firstDate: context.firstDate,
+        lastDate: context.lastDate,
+        totalRecords: context.records.length,
+        months: context.months,
+        periods: context.periods.map(period => period.key),
+        timeSlots: { ...context.timeSlots.labels, [OUT_OF_HOURS]: OUT_OF_HOURS_LABEL },
+        resolutions: RESOLUTIONS,
+        comparePresets: Object.fromEntries(Object.entries(COMPARISON_PRESETS).map(([key, preset]) => [key, preset.label])),
+        privacy: describePrivacy(context.privacy)
+    };
+}
+
+/**
+ * GET /api/users: 会員ごとの統計（data/users/<期間>.json と同じ users）
+ * period を指定すると users と同じ集計期間、省略すると from〜to をカスタム期間として集計する
+ * （カスタム期間の月平均は期間の日数を平均的な1ヶ月の日数で割った月数で計算。ダッシュボードのカスタム期間と同じ）
+ * @param {Object} context - loadContext の結果
+ * @param {URLSearchParams} params - period, from, to, days, slots, minVisits, minHours（月平均の下限）
+ * @returns {Object} { period, users }
+ */
+function getUsers(context, params) {
+    const filters = parseFilters(context, params);
+    const { timeZone } = context;
+    let period;
+    let records;
+    if (params.get('period')) {
+        period = context.periods.find(item => item.key === params.get('period'));
+        if (!period) {
+            throw requestError(`不明な期間です: ${params.get('period')} (${context.periods.map(item => item.key).join(' / ')})`);
+        }
+        records = selectRecords(context, { days: filters.days, slots: filters.slots });
+    } else {
+        period = {
+            key: 'custom',
+            label: 'カスタム期間',
+            type: 'custom',
+            months: (daysBetweenKeys(filters.from, filters.to) + 1) / 30.4375,
+            start: startOfDateKey(filters.from, timeZone),
+            end: new Date(startOfDateKey(addDaysToKey(filters.to, 1), timeZone).getTime() - 1)
+        };
+        records = selectRecords(context, filters);
+    }
+
+    // 初回チェックイン日は絞り込み条件によらず全期間で求める
+    const minVisits = parseNumberParam(params, 'minVisits');
+    const minHours = parseNumberParam(params, 'minHours');
+    const compute = () => calculateUserStats(records, period, timeZone);
+    const users = (period.type === 'month' && !filters.days && !filters.slots
+        ? context.monthCaches.users.get(period.key, records.filter(record => isInPeriod(record, period)), { timeZone }, compute)
+        : compute())
+        .map(user => ({ ...user, firstCheckIn: context.firstCheckIns[user.userKey] }))
+        .filter(user => user.monthlyVisits >= minVisits && user.monthlyHours >= minHours);
+
+    return {
+        period: period.type === 'custom'
+            ? { label: period.label, type: period.type, months: period.months, from: filters.from, to: filters.to }
+            : { label: period.label, type: period.type, months: period.months, start: period.start.toISOString(), end: period.end.toISOString() },
+        users: protectRows(context.privacy, users, 'totalVisits')
+    };
+}
+
+/**
+ * GET /api/summary: 期間の総合統計・日別統計（data/realtime/summary.json の currentMonth と同じ形）
+ * @param {Object} context - loadContext の結果
+ * @param {URLSearchParams} params - from, to, days, slots, resolution
+ * @returns {Object} { period, records, dailyStats, occupancy, totalStats }
+ */
+function getSummary(context, params) {
+    const { from, to, days, slots } = parseFilters(context, params);
+    const periodData = analyzePeriod(selectRecords(context, { days, slots }), { start: from, end: to }, context.timeZone, parseResolutionParam(params));
+    return summarizePeriod(protectPeriod(periodData, context.privacy));
+}
+
+/**
+ * GET /api/occupancy: 同時在館人数の集計と推移（推移は data/realtime/timeline-*.json と同じ形）
+ * @param {Object} context - loadContext の結果
+ * @param {URLSearchParams} params - from, to, days, slots, resolution
+ * @returns {Object} { from, to, resolution, peakOccupancy, peakAt, averageOccupancy, occupiedHours, daily, fields, points }
+ */
+function getOccupancy(context, params) {
+    const filters = parseFilters(context, params);
+    const occupancy = protectOccupancy(calculateOccupancy(selectRecords(context, filters), {
+        timeZone: context.timeZone,
+        resolution: parseResolutionParam(params)
+    }), context.privacy);
+    const { timeline, ...summary } = occupancy;
+    return { from: filters.from, to: filters.to, ...summary, ...compactTimeline(occupancy) };
+}
+
+/**
+ * GET /api/time: 時間帯別・曜日別・日の種別ごとの分析（data/time/<年月>.json と同じ形）
+ * month を指定するとその月（time と同じ集計）、省略すると from〜to を集計する
+ * @param {Object} context - loadContext の結果
+ * @param {URLSearchParams} params - month, from, to, days, slots
+ * @returns {Object} { timeSlots, dayOfWeek, dayTypes, calendar, metadata }
+ */
+function getTimeAnalysis(context, params) {
+    const filters = parseFilters(context, params);
+    const month = params.get('month');
+    if (month && !context.months.includes(month)) {
+        throw requestError(`データのない月です: ${month} (${context.months.join(' / ')})`);
+    }
+    const { from, to } = month ? getMonthRange(month, context.firstDate, context.lastDate) : filters;
+
+    if (month && !filters.days && !filters.slots) {
+        return protectTimeAnalysis(compareMultipleMonths(context.records, [month], {
+            timeZone: context.timeZone,
+            timeSlots: context.timeSlots,
+            calendar: context.calendar,
+            firstDate: context.firstDate,
+            lastDate: context.lastDate
+        }, context.monthCaches.time)[month], context.privacy);
+    }
+    const analysis = protectTimeAnalysis(analyzeDateRange(selectRecords(context, { slots: filters.slots }), from, to, {
+        timeZone: context.timeZone,
+        timeSlots: context.timeSlots,
+        calendar: context.calendar,
+        days: filters.days
+    }), context.privacy);
+    return month ? { ...analysis, metadata: { month, totalRecords: analysis.metadata.totalRecords } } : analysis;
+}
+
+/**
+ * GET /api/compare: 2期間の比較（data/realtime/<part>.json と同じ形）
+ * 期間は compare（比較プリセット）または range・baseline（CLIの --range / --baseline と同じ）で指定する
+ * @param {Object} context - loadContext の結果
+ * @param {URLSearchParams} params - part（既定: summary）, compare, range, baseline, resolution, days, slots
+ * @returns {Object}
+ */
+function getComparison(context, params) {
+    const compare = params.get('compare') || undefined;
+    if (compare && !COMPARISON_PRESETS[compare]) {
+        throw requestError(`compare は ${Object.keys(COMPARISON_PRESETS).join(' / ')} のいずれかで指定してください: ${compare}`);
+    }
+    const range = parseRangeParam(params, 'range');
+    const baseline = parseRangeParam(params, 'baseline');
+    if (baseline && !range) {
+        throw requestError('baseline は range と一緒に指定してください');
+    }
+    const { days, slots } = parseFilters(context, params);
+    const resolution = parseResolutionParam(params);
+
+    // 同じ条件の分割ファイル（part）は1回の比較分析から返す
+    const key = JSON.stringify({ compare, range, baseline, resolution, days, slots });
+    let chunks = context.comparisons.get(key);
+    if (!chunks) {
+        const analysisData = generateComparisonData(selectRecords(context, { days, slots }), context.asOf, context.timeZone, {
+            compare,
+            range,
+            baseline,
+            resolution
+        });
+        chunks = splitAnalysisData(protectAnalysisData(analysisData, context.privacy));
+        context.comparisons.set(key, chunks);
+        if (context.comparisons.size > COMPARISON_CACHE_SIZE) {
+            context.comparisons.delete(context.comparisons.keys().next().value);
+        }
+    }
+
+    const part = params.get('part') || 'summary';
+    if (!chunks[part]) {
+        throw requestError(`part は ${Object.keys(chunks).join(' / ')} のいずれかで指定してください: ${part}`);
+    }
+    return chunks[part];
+}
+
+/**
+ * GET /api/manifest: API経由で表示するためのマニフェスト（manifest.json と同じ形）
+ * users・realtime・time の分割ファイルをAPIのURLに置き換え、ほかのビューは出力ディレクトリのファイルのまま
+ * users の期間と time の月はデータのあるすべての月にする
+ * @param {Object} context - loadContext の結果
+ * @returns {Promise<Object>}
+ */
+async function getManifest(context) {
+    const manifest = await readManifest(context.outDir);
+    const apiPath = (route, query) => `api/${route}?${new URLSearchParams(query)}`;
+    const metadata = {
+        generatedAt: context.loadedAt,
+        asOf: context.asOf.toISOString(),
+        timeZone: context.timeZone,
+        privacy: describePrivacy(context.privacy)
+    };
+    const realtime = getComparison(context, new URLSearchParams());
+    // 出力と同じ入力を読み込んでいる場合は、APIで集計するビューも出力と同じ実行として扱う（ダッシュボードの実行の確認用）
+    const outputRun = manifest.views.users && manifest.views.users.run;
+    const run = outputRun && outputRun.sourceHash === context.run.sourceHash ? outputRun : context.run;
+
+    return {
+        generatedAt: context.loadedAt,
+        source: 'api',
+        views: {
+            ...manifest.views,
+            users: {
+                periods: Object.fromEntries(context.periods.map(period => [period.key, {
+                    label: period.label,
+                    type: period.type,
+                    months: period.months,
+                    start: period.start.toISOString(),
+                    end: period.end.toISOString()
+                }])),
+                defaultPeriod: 'last-6m',
+                metadata: {
+                    ...metadata,
+                    totalRecords: context.records.length,
+                    uniqueUsers: new Set(context.records.map(record => record.userKey)).size
+                },
+                chunks: Object.fromEntries(context.periods.map(period => [period.key, apiPath('users', { period: period.key })])),
+                run,
+                updatedAt: context.loadedAt
+            },
+            realtime: {
+                metadata: realtime.metadata,
+                chunks: Object.fromEntries(['summary', 'hourly-current', 'hourly-previous', 'timeline-current', 'timeline-previous']
+                    .map(part => [part, apiPath('compare', { part })])),
+                run,
+                updatedAt: context.loadedAt
+            },
+            time: {
+                metadata: {
+                    ...describeAnalysis(context.records, context.months, context.timeSlots, context.asOf, context.timeZone),
+                    generatedAt: context.loadedAt,
+                    privacy: describePrivacy(context.privacy)
+                },
+                chunks: Object.fromEntries(context.months.map(month => [month, apiPath('time', { month })])),
+                run,
+                updatedAt: context.loadedAt
+            },
+            // 期間・曜日・時間帯の絞り込みの選択肢（カスタム期間は /api/users で集計する）
+            sessions: {
+                ...manifest.views.sessions,
+                metadata: {
+                    ...metadata,
+                    firstDate: context.firstDate,
+                    lastDate: context.lastDate,
+                    totalSessions: context.records.length,
+                    timeSlots: { ...context.timeSlots.labels, [OUT_OF_HOURS]: OUT_OF_HOURS_LABEL }
+                },
+                run,
+                updatedAt: context.loadedAt
+            }
+        }
+    };
+}
+
+/**
+ * APIのルート（/api/<名前>）
+ */
+const ROUTES = {
+    meta: getMeta,
+    manifest: getManifest,
+    users: getUsers,
+    summary: getSummary,
+    occupancy: getOccupancy,
+    time: getTimeAnalysis,
+    compare: getComparison
+};
+
+/**
+ * JSONを返す
+ * @param {http.ServerResponse} response
+ * @param {number} statusCode - HTTPステータス
+ * @param {Object} data - 返すデータ
+ * @param {boolean} [headOnly] - HEAD リクエスト（本文を返さない）
+ */
+function sendJSON(response, statusCode, data, headOnly = false) {
+    const body = JSON.stringify(data);
+    response.writeHead(statusCode, {
+        'Content-Type': CONTENT_TYPES['.json'],
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    });
+    response.end(headOnly ? undefined : body);
+}
+
+/**
+ * 出力ディレクトリのファイルを返す（ダッシュボードと、API経由で表示しないビューのデータ）
+ * @param {string} outDir - 出力ディレクトリ
+ * @param {string} pathname - URLのパス
+ * @param {http.ServerResponse} response
+ * @param {boolean} headOnly - HEAD リクエスト
+ */
+async function sendFile(outDir, pathname, response, headOnly) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        throw requestError(`パスが不正です: ${pathname}`);
+    }
+    const filePath = path.resolve(outDir, path.normalize(decoded).replace(/^[/\\]+/, ''));
+    const relativePath = path.relative(outDir, filePath);
+    if (relativePath === '..' || relativePath.startsWith('..' + path.sep) || path.isAbsolute(relativePath)) {
+        throw requestError(`ファイルが見つかりません: ${pathname}`, 404);
+    }
+
+    const body = await fs.readFile(filePath).catch(() => {
+        throw requestError(`ファイルが見つかりません: ${pathname}`, 404);
+    });
+    response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': body.length,
+        'Cache-Control': 'no-cache'
+    });
+    response.end(headOnly ? undefined : body);
+}
+
+/**
+ * リクエストを処理
+ * @param {Object} context - loadContext の結果
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+async function handleRequest(context, request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        throw requestError(`${request.method} には対応していません（GET / HEAD のみ）`, 405);
+    }
+    const headOnly = request.method === 'HEAD';
+    const url = new URL(request.url, 'http://localhost');
+
+    if (!url.pathname.startsWith(API_PREFIX)) {
+        await sendFile(path.resolve(context.outDir), url.pathname, response, headOnly);
+        return;
+    }
+    const route = ROUTES[url.pathname.slice(API_PREFIX.length)];
+    if (!route) {
+        throw requestError(`不明なAPIです: ${url.pathname} (${Object.keys(ROUTES).map(name => API_PREFIX + name).join(' / ')})`, 404);
+    }
+    sendJSON(response, 200, await route(context, url.searchParams), headOnly);
+}
+
+/**
+ * HTTPサーバーを作成
+ * @param {Object} context - loadContext の結果
+ * @returns {http.Server}
+ */
+function createServer(context) {
+    return http.createServer((request, response) => {
+        const startedAt = Date.now();
+        handleRequest(context, request, response)
+            .catch(error => {
+                const statusCode = error.statusCode || 500;
+                if (statusCode === 500) {
+                    console.error('❌ APIでエラーが発生しました:', error);
+                }
+                sendJSON(response, statusCode, { error: error.message }, request.method === 'HEAD');
+            })
+            .finally(() => {
+                console.log(`📨 ${request.method} ${request.url} → ${response.statusCode} (${Date.now() - startedAt}ms)`);
+            });
+    });
+}
+
+/**
+ * メイン処理（利用データを読み込んでAPIサーバーを起動）
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {boolean} [options.store] - 入力CSVの代わりに保存済みレコードを使う
+ * @param {string} [options.storeDir] - 保存済みレコードの場所
+ * @param {string} [options.outDir] - ダッシュボードと出力済みのデータを返すディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.timeSlotsPath] - 時間帯・営業時間の定義ファイル
+ * @param {string} [options.closuresPath] - 休館日・イベント日の定義ファイル
+ * @param {number} [options.port] - 待ち受けポート
+ * @param {string} [options.host] - 待ち受けアドレス
+ * @param {Object} [options.privacy] - APIの応答のプライバシー設定（省略時は出力先から決定。出力済みのデータと揃える）
+ * @returns {Promise<http.Server>} 起動したサーバー
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy({ ...options, readOnly: true });
+    console.log('🚀 APIサーバーを起動...');
+
+    const context = await loadContext({ ...options, privacy });
+    console.log(`✅ ${context.records.length}件のレコードを読み込みました (${context.firstDate} 〜 ${context.lastDate})`);
+
+    const server = createServer(context);
+    const port = options.port === undefined ? DEFAULT_PORT : options.port;
+    const host = options.host || DEFAULT_HOST;
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const url = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`;
+    console.log(`🌐 ダッシュボード（API経由）: ${url}/?data=api`);
+    console.log(`🔌 API: ${Object.keys(ROUTES).map(name => API_PREFIX + name).join(' ')}`);
+    console.log('   Ctrl+C で停止');
+
+    return server;
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    createServer,
+    loadContext,
+    ROUTES,
+    DEFAULT_PORT,
+    DEFAULT_HOST
+};
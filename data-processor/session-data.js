@@ -0,0 +1,130 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { writeView, removeView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, insufficientDataError } = require('./record-store');
+const { resolvePrivacy, describePrivacy } = require('./privacy');
+const { OUT_OF_HOURS, OUT_OF_HOURS_LABEL, loadTimeSlots, findSlot } = require('./time-slots');
+const { DEFAULT_TIME_ZONE, getZonedParts, formatDateKey } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 出力ファイル（出力ディレクトリからの相対パス）
+ */
+const OUTPUT_FILE = 'sessions.json';
+
+/**
+ * 利用1回分の項目（sessions の各行はこの順の配列。ファイルサイズを抑えるため）
+ * checkin は0時からの分数、slot はチェックイン時刻の時間帯
+ */
+const FIELDS = ['userKey', 'date', 'dayOfWeek', 'checkin', 'stayMinutes', 'slot'];
+
+/**
+ * ダッシュボードの絞り込み用の利用データを生成
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.timeSlotsPath] - 時間帯・営業時間の定義ファイル
+ * @returns {Object} sessions.json の内容
+ */
+function generateSessionData(records, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const timeSlots = loadTimeSlots(options.timeSlotsPath);
+
+    const targetRecords = records
+        .filter(record => record.checkinDate <= asOf)
+        .sort((a, b) => a.checkinDate - b.checkinDate);
+    if (targetRecords.length === 0) {
+        throw insufficientDataError('基準日時以前のレコードがありません');
+    }
+
+    const users = {};
+    const sessions = targetRecords.map(record => {
+        const { hour, minute, dayOfWeek } = getZonedParts(record.checkinDate, timeZone);
+        const checkin = hour * 60 + minute;
+        users[record.userKey] = record.displayName;
+        return [
+            record.userKey,
+            formatDateKey(record.checkinDate, timeZone),
+            dayOfWeek,
+            checkin,
+            Math.round(record.stayMinutes),
+            findSlot(timeSlots, checkin)
+        ];
+    });
+
+    return {
+        fields: FIELDS,
+        sessions,
+        users,
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone,
+            firstDate: sessions[0][1],
+            lastDate: formatDateKey(asOf, timeZone),
+            totalSessions: sessions.length,
+            timeSlots: { ...timeSlots.labels, [OUT_OF_HOURS]: OUT_OF_HOURS_LABEL }
+        }
+    };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {string} [options.timeSlotsPath] - 時間帯・営業時間の定義ファイル
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object|null>} 利用データ（出力した内容。public では出力しないので null）
+ */
+async function run(options = {}) {
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 絞り込み用の利用データの生成を開始...');
+
+    // 利用1回ごとのデータからは仮名でも個人の来館の履歴が分かるため、public では出力せず前回の出力も削除する
+    // （ダッシュボードのカスタム期間は niho serve のAPI経由か internal の出力で使う）
+    if (!privacy.identifiable) {
+        await removeView(outDir, 'sessions', OUTPUT_FILE);
+        console.log(`🔒 ${describePrivacy(privacy).label}のため絞り込み用の利用データは出力しません`);
+        return null;
+    }
+
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const generated = generateSessionData(records, options);
+    const sessionData = { ...generated, metadata: { ...generated.metadata, privacy: describePrivacy(privacy) } };
+
+    // 絞り込みの選択肢は metadata から作るので、マニフェストにも載せる（利用データはカスタム期間を集計するときに読み込む）
+    // 利用データは件数に比例して大きくなるので、分割ファイルと同じく改行・インデントなしで書き出す
+    const { metadata } = sessionData;
+    const outputPath = await writeView(outDir, 'sessions', OUTPUT_FILE, sessionData, { index: { metadata }, run: runInfo, compact: true });
+    console.log('📄 利用データ保存完了:', outputPath);
+    console.log(`📊 ${metadata.totalSessions}件 / ${Object.keys(sessionData.users).length}名 (${metadata.firstDate} 〜 ${metadata.lastDate})`);
+
+    return sessionData;
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateSessionData,
+    FIELDS
+};
@@ -0,0 +1,267 @@
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { DATA_DIR, writeChunkedView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, insufficientDataError, openMonthCache } = require('./record-store');
+const { buildPeriods, isInPeriod } = require('./process-csv');
+const { resolvePrivacy, describePrivacy, maskName, isSuppressed } = require('./privacy');
+const { OUT_OF_HOURS, OUT_OF_HOURS_LABEL, loadTimeSlots, findSlot } = require('./time-slots');
+const { DEFAULT_TIME_ZONE, getZonedParts, formatYearMonth } = require('./time-zone');
+
+/**
+ * 既定の入力CSVファイル
+ */
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+
+/**
+ * 滞在時間の区分（分、max未満）
+ * 料金プラン（時間料金・1日料金）の検討に合わせた区切り
+ */
+const BINS = [
+    { key: 'under1h', label: '1時間未満', max: 60 },
+    { key: '1to3h', label: '1〜3時間', max: 180 },
+    { key: '3to6h', label: '3〜6時間', max: 360 },
+    { key: '6hPlus', label: '6時間以上', max: Infinity }
+];
+
+/**
+ * 出力する分位点
+ */
+const QUANTILES = {
+    p25: 0.25,
+    median: 0.5,
+    p75: 0.75,
+    p90: 0.9
+};
+
+const DAY_NAMES = ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'];
+
+/**
+ * 分位点（昇順の値の線形補間）
+ * @param {Array<number>} sorted - 昇順に並べた値
+ * @param {number} q - 0〜1
+ * @returns {number}
+ */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 滞在時間の分布
+ * @param {Array<number>} minutes - 滞在時間（分）
+ * @returns {Object} { count, mean, p25, median, p75, p90（いずれも分）, histogram: BINS ごとの件数 }
+ */
+function describeDistribution(minutes) {
+    const histogram = BINS.map(() => 0);
+    minutes.forEach(value => {
+        histogram[BINS.findIndex(bin => value < bin.max)]++;
+    });
+    if (minutes.length === 0) {
+        return { count: 0, mean: null, ...Object.fromEntries(Object.keys(QUANTILES).map(key => [key, null])), histogram };
+    }
+
+    const sorted = minutes.slice().sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        ...Object.fromEntries(Object.entries(QUANTILES).map(([key, q]) => [key, Math.round(quantile(sorted, q))])),
+        histogram
+    };
+}
+
+/**
+ * 期間の滞在時間の分布（全体・チェックイン時間帯別・チェックイン曜日別・会員別）
+ * @param {Array} records - 期間内のレコード
+ * @param {Object} timeSlots - loadTimeSlots の結果
+ * @param {string} timeZone - 施設タイムゾーン
+ * @returns {Object} { overall, byTimeSlot, byDayOfWeek, members }
+ */
+function analyzeStays(records, timeSlots, timeZone) {
+    const slotKeys = [...timeSlots.slots.map(slot => slot.key), OUT_OF_HOURS];
+    const bySlot = Object.fromEntries(slotKeys.map(key => [key, []]));
+    const byDay = Array.from({ length: 7 }, () => []);
+    const byMember = {};
+    const names = {};
+
+    records.forEach(record => {
+        const parts = getZonedParts(record.checkinDate, timeZone);
+        bySlot[findSlot(timeSlots, parts.hour * 60 + parts.minute)].push(record.stayMinutes);
+        byDay[parts.dayOfWeek].push(record.stayMinutes);
+        (byMember[record.userKey] = byMember[record.userKey] || []).push(record.stayMinutes);
+        names[record.userKey] = record.displayName;
+    });
+
+    const members = {};
+    Object.keys(byMember).forEach(userKey => {
+        members[userKey] = { name: names[userKey], ...describeDistribution(byMember[userKey]) };
+    });
+
+    return {
+        overall: describeDistribution(records.map(record => record.stayMinutes)),
+        byTimeSlot: Object.fromEntries(slotKeys.map(key => [key, describeDistribution(bySlot[key])])),
+        byDayOfWeek: byDay.map(describeDistribution),
+        members
+    };
+}
+
+/**
+ * 滞在時間の分布データを生成
+ * 期間は users と同じ（直近1/3/6/12ヶ月と各月）
+ * @param {Array} records - 標準レコード（csv-loader / record-store）
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - 基準日時（これより後のレコードは対象外）
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {number} [options.months] - 月別期間を直近何ヶ月分まで生成するか
+ * @param {string} [options.timeSlotsPath] - 時間帯・営業時間の定義ファイル
+ * @param {boolean} [options.store] - 変化のない月の集計を再利用する
+ * @returns {Object} { periods, defaultPeriod, metadata }
+ */
+function generateStayDistribution(records, options = {}) {
+    const asOf = options.asOf || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const timeSlots = loadTimeSlots(options.timeSlotsPath);
+
+    const targetRecords = records
+        .filter(record => record.checkinDate <= asOf)
+        .map(record => ({ ...record, yearMonth: formatYearMonth(record.checkinDate, timeZone) }));
+    if (targetRecords.length === 0) {
+        throw insufficientDataError('基準日時以前のレコードがありません');
+    }
+
+    const monthCache = openMonthCache(options, 'stay-distribution');
+    const periods = {};
+    buildPeriods(targetRecords, asOf, options.months, timeZone).forEach(period => {
+        const periodRecords = targetRecords.filter(record => isInPeriod(record, period));
+        const stays = period.type === 'month'
+            ? monthCache.get(period.key, periodRecords, { timeZone, timeSlots }, () => analyzeStays(periodRecords, timeSlots, timeZone))
+            : analyzeStays(periodRecords, timeSlots, timeZone);
+
+        periods[period.key] = {
+            label: period.label,
+            type: period.type,
+            start: period.start.toISOString(),
+            end: period.end.toISOString(),
+            ...stays
+        };
+    });
+    monthCache.save();
+
+    return {
+        periods,
+        defaultPeriod: 'last-6m',
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            asOf: asOf.toISOString(),
+            timeZone,
+            totalRecords: targetRecords.length,
+            bins: BINS.map(({ key, label }) => ({ key, label })),
+            quantiles: Object.keys(QUANTILES),
+            timeSlots: { ...timeSlots.labels, [OUT_OF_HOURS]: OUT_OF_HOURS_LABEL },
+            dayNames: DAY_NAMES
+        }
+    };
+}
+
+/**
+ * 出力のプライバシー設定を適用（会員別の名前を置き換え、期間内の利用回数が少ない会員を除く）
+ * @param {Object} stayData - generateStayDistribution の結果
+ * @param {Object} privacy - resolvePrivacy の結果
+ * @returns {Object}
+ */
+function protectStayData(stayData, privacy) {
+    return {
+        ...stayData,
+        periods: Object.fromEntries(Object.entries(stayData.periods).map(([key, period]) => [key, {
+            ...period,
+            members: Object.fromEntries(Object.entries(period.members)
+                .filter(([, member]) => !isSuppressed(privacy, member.count))
+                .map(([userKey, member]) => [userKey, { ...member, name: maskName(privacy, userKey, member.name) }]))
+        }])),
+        metadata: { ...stayData.metadata, privacy: describePrivacy(privacy) }
+    };
+}
+
+/**
+ * メイン処理
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ * @param {number} [options.months] - 月別期間を直近何ヶ月分まで生成するか
+ * @param {string} [options.timeSlotsPath] - 時間帯・営業時間の定義ファイル
+ * @param {Object} [options.privacy] - 出力のプライバシー設定（省略時は出力先から決定）
+ * @param {Object} [options.run] - 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+ * @returns {Promise<Object>} 滞在時間の分布データ（出力した内容）
+ */
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    const runInfo = options.run || await createRun(options);
+    console.log('🚀 滞在時間の分布の集計を開始...');
+
+    const { records } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const stayData = protectStayData(generateStayDistribution(records, options), privacy);
+
+    // 期間ごとの分割ファイルと、期間の一覧をマニフェストに
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const periodKeys = ['label', 'type', 'start', 'end'];
+    const outputPaths = await writeChunkedView(outDir, 'stays', Object.fromEntries(Object.entries(stayData.periods).map(([key, period]) => [
+        key,
+        Object.fromEntries(Object.entries(period).filter(([name]) => !periodKeys.includes(name)))
+    ])), {
+        index: {
+            periods: Object.fromEntries(Object.entries(stayData.periods).map(([key, period]) => [
+                key,
+                Object.fromEntries(periodKeys.map(name => [name, period[name]]))
+            ])),
+            defaultPeriod: stayData.defaultPeriod,
+            metadata: stayData.metadata
+        },
+        replaces: ['stay-distribution.json'],
+        run: runInfo
+    });
+    console.log(`📄 滞在時間の分布データ保存完了: ${path.join(outDir, DATA_DIR, 'stays')} (${outputPaths.length}ファイル)`);
+
+    displaySummary(stayData);
+
+    return stayData;
+}
+
+/**
+ * サマリーを表示（既定期間の全体・時間帯別の分布）
+ * @param {Object} stayData - 滞在時間の分布データ
+ */
+function displaySummary(stayData) {
+    const period = stayData.periods[stayData.defaultPeriod];
+    const { bins, timeSlots } = stayData.metadata;
+    const format = dist => (dist.count === 0
+        ? '利用なし'
+        : `中央値${dist.median}分 (p25 ${dist.p25}分 / p75 ${dist.p75}分 / p90 ${dist.p90}分, ${dist.count}回)`);
+
+    console.log(`\n📊 ===== 滞在時間の分布 (${period.label}) =====`);
+    console.log(`⏱️  全体: ${format(period.overall)}`);
+    console.log(`   ${bins.map((bin, i) => `${bin.label} ${Math.round(period.overall.histogram[i] / period.overall.count * 100)}%`).join(' / ')}`);
+    console.log('🕐 チェックイン時間帯別:');
+    Object.entries(period.byTimeSlot).forEach(([slot, dist]) => {
+        console.log(`   ${timeSlots[slot]}: ${format(dist)}`);
+    });
+}
+
+// スクリプト実行
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ エラーが発生しました:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run,
+    generateStayDistribution,
+    describeDistribution,
+    quantile,
+    BINS
+};
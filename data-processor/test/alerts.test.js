@@ -0,0 +1,161 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveIdentities } = require('../identity');
+const { resolvePrivacy } = require('../privacy');
+const { loadAlertConfig, registerNotifier, generateAlertData, deliverAlerts } = require('../alerts');
+
+const AS_OF = new Date('2025-08-20T12:00:00+09:00');
+
+/**
+ * 架空の利用者の標準レコードを作成（csv-loader の出力に利用者の同定結果を付与したもの）
+ * @param {Array} visits - [名前, 会員番号, チェックイン日時（+09:00）, 滞在時間（分）]
+ * @returns {Array}
+ */
+function createRecords(visits) {
+    const records = visits.map(([customerName, memberId, checkin, stayMinutes], index) => {
+        const checkinDate = new Date(`${checkin}+09:00`);
+        return {
+            customerName,
+            memberId,
+            checkinDate,
+            checkoutDate: new Date(checkinDate.getTime() + stayMinutes * 60 * 1000),
+            stayMinutes,
+            rowNumber: index + 2
+        };
+    });
+    return resolveIdentities(records, { aliases: [], userKeySalt: 'test' }).records;
+}
+
+/**
+ * 基準期間（7月1〜20日）は毎日3名、比較期間（8月1〜20日）は毎日昼に1名だけ来館し、
+ * 8月10日の夜に4名が同時に在館する。常連の検証太郎は7月25日を最後に来館していない
+ */
+function createScenario() {
+    const pad = n => String(n).padStart(2, '0');
+    const visits = [];
+    for (let day = 1; day <= 20; day++) {
+        visits.push(['検証太郎', 'T001', `2025-07-${pad(day)}T10:00:00`, 120]);
+        visits.push(['検証花子', 'T002', `2025-07-${pad(day)}T13:00:00`, 60]);
+        visits.push(['検証次郎', 'T003', `2025-07-${pad(day)}T18:00:00`, 90]);
+        visits.push(['検証花子', 'T002', `2025-08-${pad(day)}T13:00:00`, 60]);
+    }
+    for (let day = 21; day <= 25; day++) {
+        visits.push(['検証太郎', 'T001', `2025-07-${pad(day)}T10:00:00`, 120]);
+    }
+    for (let day = 1; day <= 30; day++) {
+        visits.push(['検証太郎', 'T001', `2025-06-${pad(day)}T10:00:00`, 120]);
+    }
+    ['検証次郎', '検証三郎', '検証四郎', '検証五郎'].forEach((name, index) => {
+        visits.push([name, `T00${index + 3}`, '2025-08-10T19:00:00', 120]);
+    });
+    return createRecords(visits);
+}
+
+/**
+ * アラートの定義ファイルを一時ディレクトリに書き出して読み込む
+ * @param {Object} config - 定義ファイルの内容
+ * @returns {Object} loadAlertConfig の結果
+ */
+function loadConfig(config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'niho-alerts-'));
+    try {
+        const filePath = path.join(dir, 'alerts.json');
+        fs.writeFileSync(filePath, JSON.stringify(config));
+        return loadAlertConfig(filePath);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const RULES = [
+    { id: 'sessions-drop', type: 'change', metric: 'totalSessions', direction: 'down', percent: 20 },
+    { id: 'sessions-rise', type: 'change', metric: 'totalSessions', direction: 'up', percent: 20 },
+    { id: 'over-capacity', type: 'capacity', capacity: 3, severity: 'critical' },
+    { id: 'under-capacity', type: 'capacity', capacity: 4 },
+    { id: 'regulars-absent', type: 'inactiveMember', minMonthlyVisits: 8, inactiveDays: 21, period: 'last-3m', severity: 'notice' },
+    { id: 'regulars-recent', type: 'inactiveMember', minMonthlyVisits: 8, inactiveDays: 30, period: 'last-3m' }
+];
+
+test('change ルールは比較期間の減少率が閾値を超えたときだけ発生する', () => {
+    const alertData = generateAlertData(createScenario(), loadConfig({ rules: RULES, notifiers: [] }), { asOf: AS_OF });
+    const drop = alertData.alerts.find(alert => alert.ruleId === 'sessions-drop');
+
+    // 7月1〜20日: 60回 / 8月1〜20日: 基準日時（20日の正午）までの19回 + 4回
+    assert.equal(drop.value, -61.7);
+    assert.equal(drop.threshold, -20);
+    assert.deepEqual(drop.details, {
+        metric: 'totalSessions',
+        currentPeriod: alertData.metadata.currentPeriod,
+        previousPeriod: alertData.metadata.previousPeriod
+    });
+    assert.equal(alertData.rules.find(rule => rule.id === 'sessions-rise').triggered, false);
+});
+
+test('capacity ルールはピーク時在館者数が定員を超えたときだけ発生する', () => {
+    const alertData = generateAlertData(createScenario(), loadConfig({ rules: RULES, notifiers: [] }), { asOf: AS_OF });
+    const capacity = alertData.alerts.find(alert => alert.ruleId === 'over-capacity');
+
+    assert.equal(capacity.value, 4);
+    assert.equal(capacity.threshold, 3);
+    assert.equal(capacity.severity, 'critical');
+    assert.match(capacity.details.peakAt, /^2025-08-10/);
+    assert.equal(alertData.rules.find(rule => rule.id === 'under-capacity').triggered, false);
+    // 重大度の重い順に並ぶ
+    assert.equal(alertData.alerts[0].ruleId, 'over-capacity');
+});
+
+test('inactiveMember ルールは常連が指定日数以上来館していないときだけ発生する', () => {
+    const alertData = generateAlertData(createScenario(), loadConfig({ rules: RULES, notifiers: [] }), { asOf: AS_OF });
+    const absent = alertData.alerts.find(alert => alert.ruleId === 'regulars-absent');
+
+    assert.equal(absent.value, 1);
+    assert.equal(absent.details.period, 'last-3m');
+    assert.equal(absent.details.members.length, 1);
+    assert.equal(absent.details.members[0].name, '検証太郎');
+    assert.equal(absent.details.members[0].lastVisit, '2025-07-25');
+    assert.equal(absent.details.members[0].daysSinceLastVisit, 26);
+    assert.equal(alertData.rules.find(rule => rule.id === 'regulars-recent').triggered, false);
+});
+
+test('登録した通知先に重大度が minSeverity 以上のアラートを送る', async () => {
+    const received = [];
+    registerNotifier('stub', config => ({
+        name: `stub (${config.label})`,
+        notify: async (alerts, alertData, privacy) => {
+            received.push({ label: config.label, alerts, asOf: alertData.metadata.asOf, privacy });
+        }
+    }));
+    registerNotifier('failing', () => ({
+        name: 'failing',
+        notify: async () => {
+            throw new Error('送信できません');
+        }
+    }));
+
+    const config = loadConfig({
+        rules: RULES,
+        notifiers: [
+            { type: 'stub', label: 'all' },
+            { type: 'stub', label: 'critical', minSeverity: 'critical' },
+            { type: 'failing' }
+        ]
+    });
+    const alertData = generateAlertData(createScenario(), config, { asOf: AS_OF });
+    const privacy = resolvePrivacy({ privacy: 'public', userKeySalt: 'test' });
+    const results = await deliverAlerts(alertData, config.notifiers, privacy);
+
+    assert.deepEqual(results, [
+        { name: 'stub (all)', sent: 3 },
+        { name: 'stub (critical)', sent: 1 },
+        { name: 'failing', sent: 0, error: '送信できません' }
+    ]);
+    assert.deepEqual(received.map(({ label, alerts }) => [label, alerts.map(alert => alert.ruleId)]), [
+        ['all', ['over-capacity', 'sessions-drop', 'regulars-absent']],
+        ['critical', ['over-capacity']]
+    ]);
+    assert.equal(received[0].asOf, AS_OF.toISOString());
+    assert.equal(received[0].privacy, privacy);
+});
@@ -1,79 +1,18 @@
-const fs = require('fs').promises;
 const path = require('path');
-const csv = require('csv-parser');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { DATA_DIR, writeChunkedView } = require('./manifest');
+const { createRun } = require('./run-stamp');
+const { loadSourceRecords, openMonthCache } = require('./record-store');
+const { DEFAULT_TIME_ZONE, getZonedParts, formatDateKey, getDaysInMonth } = require('./time-zone');
+const { OUT_OF_HOURS, OUT_OF_HOURS_LABEL, loadTimeSlots, apportionSession, formatClock } = require('./time-slots');
+const { DAY_TYPES, loadCalendar, listOpenDays, describePeriod } = require('./calendar');
+const { resolvePrivacy, describePrivacy, isSuppressed } = require('./privacy');
 
-// 日時文字列をDateオブジェクトに変換
-function parseDateTime(dateStr) {
-    try {
-        if (!dateStr) return null;
-        
-        // "2024-03-29 23:33:42 +0900" 形式に対応
-        // タイムゾーン情報を除去して処理
-        const cleanDateStr = dateStr.replace(/\s*\+\d{4}$/, '');
-        
-        // ISO 8601形式に変換を試す
-        if (cleanDateStr.includes('-')) {
-            // "2024-03-29 23:33:42" 形式
-            return new Date(cleanDateStr);
-        } else {
-            // "2025/8/1 9:15:50" 形式（従来対応）
-            const [datePart, timePart] = cleanDateStr.split(' ');
-            const [year, month, day] = datePart.split('/').map(Number);
-            
-            if (!timePart) {
-                return new Date(year, month - 1, day);
-            }
-            
-            const [hour, minute, second] = timePart.split(':').map(Number);
-            return new Date(year, month - 1, day, hour, minute, second);
-        }
-    } catch (error) {
-        console.error('日時解析エラー:', dateStr, error);
-        return null;
-    }
-}
-
-// 滞在時間を分に変換
-function parseStayTime(timeStr) {
-    try {
-        if (!timeStr || timeStr === '0' || timeStr === '') return 0;
-        
-        const parts = timeStr.split(':');
-        if (parts.length === 3) {
-            const [hours, minutes, seconds] = parts.map(Number);
-            return hours * 60 + minutes + seconds / 60;
-        } else if (parts.length === 2) {
-            const [hours, minutes] = parts.map(Number);
-            return hours * 60 + minutes;
-        } else {
-            return parseFloat(timeStr) || 0;
-        }
-    } catch (error) {
-        console.error('滞在時間解析エラー:', timeStr, error);
-        return 0;
-    }
-}
+// 既定の入力CSVファイル
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
 
-// 年月文字列を取得
-function getYearMonth(date) {
-    if (!date) return null;
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    return `${year}-${month}`;
-}
-
-// 時間帯を判定
-function getTimeSlot(hour) {
-    if (hour >= 8 && hour < 12) return 'morning';   // 朝（8-12時）
-    if (hour >= 12 && hour < 18) return 'afternoon'; // 昼（12-18時）
-    if (hour >= 18 && hour < 23) return 'evening';   // 夜（18-23時）
-    return 'other'; // その他の時間帯
-}
-
-// 曜日を取得（0:日曜日 〜 6:土曜日）
-function getDayOfWeek(date) {
-    return date.getDay();
-}
+// 既定の分析対象月数（最新から何ヶ月分を分析するか）
+const DEFAULT_MONTHS = 3;
 
 // 曜日名を取得
 function getDayName(dayIndex) {
@@ -81,157 +20,230 @@ function getDayName(dayIndex) {
     return dayNames[dayIndex];
 }
 
-// CSVファイルを読み込む
-async function loadCSV(filePath) {
-    const records = [];
+// CSVファイルを読み込み、時間帯・曜日分析用の項目を付与する
+// 日付・月・時・曜日はすべて施設タイムゾーンで求める
+// options: csv-loaderのオプション（列名の対応、timeZoneなど）
+async function loadCSV(filePath, options = {}) {
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const { records } = await loadSourceRecords(filePath, options);
     
-    return new Promise((resolve, reject) => {
-        const stream = require('fs').createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (row) => {
-                // データをクリーニング
-                const cleanedRow = {};
-                Object.keys(row).forEach(key => {
-                    const cleanKey = key.trim();
-                    cleanedRow[cleanKey] = row[key] ? row[key].trim() : '';
-                });
-                
-                const checkinDate = parseDateTime(cleanedRow['チェックイン日時']);
-                const stayTime = parseStayTime(cleanedRow['滞在時間']);
-                
-                if (checkinDate && stayTime > 0) {
-                    records.push({
-                        checkinDate,
-                        stayTime,
-                        userId: cleanedRow['会員番号'] || cleanedRow['ユーザーID'] || cleanedRow['メンバーID'] || '',
-                        yearMonth: getYearMonth(checkinDate),
-                        hour: checkinDate.getHours(),
-                        dayOfWeek: getDayOfWeek(checkinDate),
-                        timeSlot: getTimeSlot(checkinDate.getHours())
-                    });
-                }
-            })
-            .on('end', () => {
-                console.log(`CSVファイル読み込み完了: ${records.length}件のレコード`);
-                resolve(records);
-            })
-            .on('error', reject);
+    return records.map(record => {
+        const { year, month, day, hour, dayOfWeek } = getZonedParts(record.checkinDate, timeZone);
+        const yearMonth = `${year}-${String(month).padStart(2, '0')}`;
+        return {
+            ...record,
+            stayTime: record.stayMinutes,
+            yearMonth,
+            date: `${yearMonth}-${String(day).padStart(2, '0')}`,
+            hour,
+            dayOfWeek // 0:日曜日 〜 6:土曜日
+        };
     });
 }
 
+// 月の集計期間（データの最初の日〜基準日の範囲に限る）
+// firstDate, lastDate: "2025-06-03" 形式
+function getMonthRange(targetMonth, firstDate, lastDate) {
+    const [year, month] = targetMonth.split('-').map(Number);
+    const monthStart = `${targetMonth}-01`;
+    const monthEnd = `${targetMonth}-${String(getDaysInMonth(year, month)).padStart(2, '0')}`;
+    return {
+        from: firstDate > monthStart ? firstDate : monthStart,
+        to: lastDate < monthEnd ? lastDate : monthEnd
+    };
+}
+
+// 対象月のレコード（targetMonth が null の場合はすべて）
+function filterMonth(records, targetMonth) {
+    return targetMonth ? records.filter(r => r.yearMonth === targetMonth) : records;
+}
+
 // 時間帯別分析を実行
-function analyzeTimeSlots(records, targetMonth) {
-    const monthRecords = records.filter(r => r.yearMonth === targetMonth);
+// 1回の利用を重なっているすべての時間帯に按分する（9-20時の利用は朝・昼・夜それぞれに数える）
+// 営業時間外の利用は outOfHours として別に集計する
+// 1日あたりの平均は営業日数（休館日を除き、利用のなかった日を含む）で割る
+// targetMonth: 対象月（null の場合は records のすべてを対象とする）
+// timeSlots: time-slots.jsのloadTimeSlotsの結果
+// openDays: calendar.jsのlistOpenDaysの結果（省略時は利用のあった日）
+function analyzeTimeSlots(records, targetMonth, timeSlots = loadTimeSlots(), timeZone = DEFAULT_TIME_ZONE, openDays = null) {
+    const monthRecords = filterMonth(records, targetMonth);
+    const slotKeys = [...timeSlots.slots.map(slot => slot.key), OUT_OF_HOURS];
     
     // 時間帯別の統計
-    const timeSlotStats = {
-        morning: { sessions: [], users: new Set(), totalHours: 0 },
-        afternoon: { sessions: [], users: new Set(), totalHours: 0 },
-        evening: { sessions: [], users: new Set(), totalHours: 0 }
-    };
+    const timeSlotStats = {};
+    slotKeys.forEach(slot => {
+        timeSlotStats[slot] = { sessions: 0, users: new Set(), totalMinutes: 0 };
+    });
     
-    // 日別の時間帯別在館者数を記録
+    // 日別の時間帯別在館者数と利用者を記録
     const dailyOccupancy = {};
+    const dailyUsers = {};
     
     monthRecords.forEach(record => {
-        const { timeSlot, userId, stayTime, checkinDate } = record;
+        const countedSlots = new Set(); // 同じ利用は同じ時間帯に1回だけ数える
         
-        if (timeSlot !== 'other') {
-            timeSlotStats[timeSlot].sessions.push(record);
-            timeSlotStats[timeSlot].users.add(userId);
-            timeSlotStats[timeSlot].totalHours += stayTime / 60;
+        apportionSession(record, timeSlots, timeZone).forEach(({ slot, date, minutes }) => {
+            const stats = timeSlotStats[slot];
+            stats.totalMinutes += minutes;
+            stats.users.add(record.userKey);
+            if (!countedSlots.has(slot)) {
+                stats.sessions++;
+                countedSlots.add(slot);
+            }
             
             // 日別記録
-            const dateKey = checkinDate.toISOString().split('T')[0];
-            if (!dailyOccupancy[dateKey]) {
-                dailyOccupancy[dateKey] = { morning: 0, afternoon: 0, evening: 0 };
+            if (!dailyOccupancy[date]) {
+                dailyOccupancy[date] = Object.fromEntries(slotKeys.map(key => [key, 0]));
+                dailyUsers[date] = Object.fromEntries(slotKeys.map(key => [key, new Set()]));
             }
-            dailyOccupancy[dateKey][timeSlot]++;
-        }
+            dailyOccupancy[date][slot]++;
+            dailyUsers[date][slot].add(record.userKey);
+        });
     });
     
     // 平均値を計算
-    const daysInMonth = Object.keys(dailyOccupancy).length;
-    const averages = {};
-    
-    Object.keys(timeSlotStats).forEach(slot => {
+    const dates = openDays ? openDays.map(day => day.date) : Object.keys(dailyOccupancy);
+    const daysInMonth = dates.length;
+    const summarize = slot => {
         const stats = timeSlotStats[slot];
-        const dailyTotals = Object.values(dailyOccupancy).map(day => day[slot] || 0);
+        const totalHours = stats.totalMinutes / 60;
+        const dailyTotals = dates.map(date => (dailyOccupancy[date] ? dailyOccupancy[date][slot] : 0));
         const averageOccupancy = daysInMonth > 0 ? dailyTotals.reduce((sum, val) => sum + val, 0) / daysInMonth : 0;
         
-        averages[slot] = {
+        return {
             averageOccupancy: Math.round(averageOccupancy * 10) / 10,
-            totalSessions: stats.sessions.length,
+            totalSessions: stats.sessions,
             uniqueUsers: stats.users.size,
-            totalHours: Math.round(stats.totalHours * 10) / 10,
-            averageSessionLength: stats.sessions.length > 0 ? Math.round((stats.totalHours / stats.sessions.length) * 10) / 10 : 0
+            totalHours: Math.round(totalHours * 10) / 10,
+            // その時間帯に滞在した平均時間
+            averageSessionLength: stats.sessions > 0 ? Math.round((totalHours / stats.sessions) * 10) / 10 : 0
         };
+    };
+    
+    const averages = {};
+    timeSlots.slots.forEach(({ key }) => {
+        averages[key] = summarize(key);
     });
     
     return {
         timeSlotAverages: averages,
+        outOfHours: summarize(OUT_OF_HOURS),
         dailyOccupancy,
+        // 日別の時間帯別ユニーク利用者数（public で伏せる日・時間帯の判定に使う）
+        dailyUniqueUsers: Object.fromEntries(Object.entries(dailyUsers).map(([date, slots]) => [
+            date,
+            Object.fromEntries(Object.entries(slots).map(([slot, users]) => [slot, users.size]))
+        ])),
         daysAnalyzed: daysInMonth,
         totalRecords: monthRecords.length
     };
 }
 
+// 日ごとの利用を集計し、日のまとまりごとの平均を求める
+// 平均は対象の日数（利用のなかった日を含む）で割る
+function summarizeDays(records, days) {
+    const stats = { sessions: 0, users: new Set(), totalHours: 0 };
+    const dates = new Set(days.map(day => day.date));
+    
+    records.filter(r => dates.has(r.date)).forEach(record => {
+        stats.sessions++;
+        stats.users.add(record.userKey);
+        stats.totalHours += record.stayTime / 60;
+    });
+    
+    const daysCount = dates.size;
+    return {
+        averageOccupancy: daysCount > 0 ? Math.round((stats.sessions / daysCount) * 10) / 10 : 0,
+        totalSessions: stats.sessions,
+        uniqueUsers: stats.users.size,
+        totalHours: Math.round(stats.totalHours * 10) / 10,
+        daysAnalyzed: daysCount,
+        averageSessionLength: stats.sessions > 0 ? Math.round((stats.totalHours / stats.sessions) * 10) / 10 : 0
+    };
+}
+
 // 曜日別分析を実行
-function analyzeDayOfWeek(records, targetMonth) {
-    const monthRecords = records.filter(r => r.yearMonth === targetMonth);
+// 祝日・イベント日は曜日の傾向から外し、日の種別（analyzeDayTypes）で集計する
+// openDays: calendar.jsのlistOpenDaysの結果
+function analyzeDayOfWeek(records, targetMonth, openDays) {
+    const monthRecords = filterMonth(records, targetMonth);
+    const regularDays = openDays.filter(day => day.type === 'weekday' || day.type === 'weekend');
     
     // 曜日別の統計（0:日曜日 〜 6:土曜日）
-    const dayStats = {};
-    for (let i = 0; i < 7; i++) {
-        dayStats[i] = { sessions: [], users: new Set(), totalHours: 0, dates: new Set() };
+    const averages = {};
+    for (let day = 0; day < 7; day++) {
+        averages[day] = {
+            dayName: getDayName(day),
+            ...summarizeDays(monthRecords, regularDays.filter(openDay => openDay.dayOfWeek === day))
+        };
     }
     
-    monthRecords.forEach(record => {
-        const { dayOfWeek, userId, stayTime, checkinDate } = record;
-        const dateKey = checkinDate.toISOString().split('T')[0];
-        
-        dayStats[dayOfWeek].sessions.push(record);
-        dayStats[dayOfWeek].users.add(userId);
-        dayStats[dayOfWeek].totalHours += stayTime / 60;
-        dayStats[dayOfWeek].dates.add(dateKey);
-    });
+    return averages;
+}
+
+// 日の種別（平日・土日・祝日・イベント日）ごとの分析を実行
+// openDays: calendar.jsのlistOpenDaysの結果
+function analyzeDayTypes(records, targetMonth, openDays) {
+    const monthRecords = filterMonth(records, targetMonth);
     
-    // 平均値を計算
     const averages = {};
-    Object.keys(dayStats).forEach(day => {
-        const stats = dayStats[day];
-        const daysCount = stats.dates.size; // その曜日が何日あったか
-        
-        averages[day] = {
-            dayName: getDayName(parseInt(day)),
-            averageOccupancy: daysCount > 0 ? Math.round((stats.sessions.length / daysCount) * 10) / 10 : 0,
-            totalSessions: stats.sessions.length,
-            uniqueUsers: stats.users.size,
-            totalHours: Math.round(stats.totalHours * 10) / 10,
-            daysAnalyzed: daysCount,
-            averageSessionLength: stats.sessions.length > 0 ? Math.round((stats.totalHours / stats.sessions.length) * 10) / 10 : 0
+    Object.entries(DAY_TYPES).forEach(([type, label]) => {
+        averages[type] = {
+            label,
+            ...summarizeDays(monthRecords, openDays.filter(day => day.type === type))
         };
     });
     
     return averages;
 }
 
+// 期間内のレコードを時間帯別・曜日別・日の種別ごとに分析する
+// openDays: calendar.jsのlistOpenDaysの結果（平均はこの日数で割る）
+function analyzeOpenDays(records, openDays, timeSlots, timeZone) {
+    return {
+        timeSlots: analyzeTimeSlots(records, null, timeSlots, timeZone, openDays),
+        dayOfWeek: analyzeDayOfWeek(records, null, openDays),
+        dayTypes: analyzeDayTypes(records, null, openDays)
+    };
+}
+
 // 複数月の比較分析を実行
-function compareMultipleMonths(records, months) {
+// params: 集計条件 { timeZone, timeSlots, calendar, firstDate, lastDate }
+//   firstDate・lastDate は集計する日の範囲（省略時はレコードの最初・最後の日）
+// monthCache: record-storeの月別集計キャッシュ（省略時は毎回集計）
+function compareMultipleMonths(records, months, params = {}, monthCache = null) {
+    const timeZone = params.timeZone || DEFAULT_TIME_ZONE;
+    const slotDefinitions = params.timeSlots || loadTimeSlots();
+    const calendar = params.calendar || loadCalendar();
+    const recordDates = records.map(r => r.date).sort();
+    const firstDate = params.firstDate || recordDates[0];
+    const lastDate = params.lastDate || recordDates[recordDates.length - 1];
+    
     const comparison = {};
     
     months.forEach(month => {
         console.log(`${month}の分析を開始...`);
         
-        const timeSlotAnalysis = analyzeTimeSlots(records, month);
-        const dayOfWeekAnalysis = analyzeDayOfWeek(records, month);
+        const monthRecords = records.filter(r => r.yearMonth === month);
+        const { from, to } = getMonthRange(month, firstDate, lastDate);
+        const openDays = listOpenDays(from, to, calendar);
+        const analyze = () => analyzeOpenDays(monthRecords, openDays, slotDefinitions, timeZone);
+        const cacheParams = { timeZone, timeSlots: slotDefinitions, openDays };
+        const { timeSlots, dayOfWeek, dayTypes } = monthCache ? monthCache.get(month, monthRecords, cacheParams, analyze) : analyze();
         
         comparison[month] = {
-            timeSlots: timeSlotAnalysis,
-            dayOfWeek: dayOfWeekAnalysis,
+            timeSlots,
+            dayOfWeek,
+            dayTypes,
+            calendar: {
+                from,
+                to,
+                openDays: openDays.length,
+                ...describePeriod(from, to, calendar)
+            },
             metadata: {
                 month: month,
-                totalRecords: records.filter(r => r.yearMonth === month).length
+                totalRecords: monthRecords.length
             }
         };
         
@@ -241,80 +253,186 @@ function compareMultipleMonths(records, months) {
     return comparison;
 }
 
-// メイン処理
-async function main() {
-    try {
-        console.log('時間帯別・曜日別分析を開始...');
-        
-        // CSVファイルを読み込み
-        const csvPath = path.join(__dirname, 'niho-use-08.csv');
-        const records = await loadCSV(csvPath);
-        
-        if (records.length === 0) {
-            console.error('有効なレコードが見つかりません');
-            return;
+// 任意の期間の時間帯別・曜日別分析を実行（compareMultipleMonths の各月と同じ形。metadata には月の代わりに期間を入れる）
+// from, to: "2025-08-01" 形式（両端を含む）
+// params: 集計条件 { timeZone, timeSlots, calendar, days }
+//   days: 対象の曜日の配列（0:日曜日 〜 6:土曜日。省略時はすべての曜日。営業日もその曜日だけを数える）
+function analyzeDateRange(records, from, to, params = {}) {
+    const calendar = params.calendar || loadCalendar();
+    const inDays = dayOfWeek => !params.days || params.days.includes(dayOfWeek);
+    const rangeRecords = records.filter(r => r.date >= from && r.date <= to && inDays(r.dayOfWeek));
+    const openDays = listOpenDays(from, to, calendar).filter(day => inDays(day.dayOfWeek));
+    
+    return {
+        ...analyzeOpenDays(rangeRecords, openDays, params.timeSlots || loadTimeSlots(), params.timeZone || DEFAULT_TIME_ZONE),
+        calendar: {
+            from,
+            to,
+            openDays: openDays.length,
+            ...describePeriod(from, to, calendar)
+        },
+        metadata: {
+            from,
+            to,
+            totalRecords: rangeRecords.length
         }
+    };
+}
+
+// 時間帯・曜日・日の種別ごとの集計のうち、利用者の少ないものを伏せる（件数・時間を null にして suppressed: true）
+function protectSummary(stats, privacy) {
+    return isSuppressed(privacy, stats.uniqueUsers)
+        ? { ...stats, averageOccupancy: null, totalSessions: null, uniqueUsers: null, totalHours: null, averageSessionLength: null, suppressed: true }
+        : stats;
+}
+
+// 月（または期間）の分析結果に出力のプライバシー設定を適用
+// public では利用者の少ない集計と、日別の時間帯別在館者数のうち利用者の少ない日・時間帯を伏せ（null）、日別の利用者数は出力しない
+// analysis: compareMultipleMonths の月の結果または analyzeDateRange の結果
+// privacy: privacy.jsのresolvePrivacyの結果
+function protectTimeAnalysis(analysis, privacy) {
+    if (privacy.identifiable) {
+        return analysis;
+    }
+    const protectAll = summaries => Object.fromEntries(Object.entries(summaries).map(([key, stats]) => [key, protectSummary(stats, privacy)]));
+    const { dailyOccupancy, dailyUniqueUsers, ...timeSlots } = analysis.timeSlots;
+    return {
+        ...analysis,
+        timeSlots: {
+            ...timeSlots,
+            timeSlotAverages: protectAll(timeSlots.timeSlotAverages),
+            outOfHours: protectSummary(timeSlots.outOfHours, privacy),
+            dailyOccupancy: Object.fromEntries(Object.entries(dailyOccupancy).map(([date, slots]) => [
+                date,
+                Object.fromEntries(Object.entries(slots).map(([slot, count]) => [
+                    slot,
+                    isSuppressed(privacy, dailyUniqueUsers[date][slot]) ? null : count
+                ]))
+            ]))
+        },
+        dayOfWeek: protectAll(analysis.dayOfWeek),
+        dayTypes: protectAll(analysis.dayTypes)
+    };
+}
+
+// 出力の metadata（分析対象月と、時間帯・営業時間・日の種別の表示名）
+// timeSlots: time-slots.jsのloadTimeSlotsの結果
+function describeAnalysis(records, targetMonths, timeSlots, asOf, timeZone) {
+    return {
+        generatedAt: new Date().toISOString(),
+        asOf: asOf.toISOString(),
+        timeZone,
+        totalRecords: records.length,
+        analysisMonths: targetMonths,
+        timeSlots: timeSlots.labels,
+        openingHours: `${formatClock(timeSlots.openingHours.open)}-${formatClock(timeSlots.openingHours.close)}`,
+        outOfHoursLabel: OUT_OF_HOURS_LABEL,
+        dayTypes: DAY_TYPES
+    };
+}
+
+// メイン処理
+// options: { input, outDir, asOf, months, timeZone, timeSlotsPath, closuresPath, privacy, run }
+//   privacy: 出力のプライバシー設定（省略時は出力先から決定）
+//   run: 出力に記録する実行情報（省略時は作成。run-stamp.js の createRun）
+async function run(options = {}) {
+    const privacy = options.privacy || resolvePrivacy(options);
+    console.log('時間帯別・曜日別分析を開始...');
+    
+    // CSVファイルを読み込み（基準日時より後のレコードは対象外）
+    const csvPath = options.input || DEFAULT_INPUT;
+    const runInfo = options.run || await createRun(options);
+    const asOf = options.asOf || new Date();
+    const records = (await loadCSV(csvPath, options)).filter(r => r.checkinDate <= asOf);
+    
+    if (records.length === 0) {
+        console.error('有効なレコードが見つかりません');
+        return null;
+    }
+    
+    // 利用可能な月を取得
+    const availableMonths = [...new Set(records.map(r => r.yearMonth))].sort();
+    console.log('利用可能な月:', availableMonths);
+    
+    // 最新の数ヶ月を分析対象とする
+    const targetMonths = availableMonths.slice(-(options.months || DEFAULT_MONTHS));
+    console.log('分析対象月:', targetMonths);
+    
+    // 時間帯・営業時間の定義と、祝日・休館日・イベント日のカレンダーを読み込み
+    const timeSlots = loadTimeSlots(options.timeSlotsPath);
+    const calendar = loadCalendar({ closuresPath: options.closuresPath });
+    
+    // 複数月比較分析を実行（データの最初の日から基準日までを集計する）
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const firstDate = records.reduce((min, r) => (r.date < min ? r.date : min), records[0].date);
+    const monthCache = openMonthCache(options, 'time-analysis');
+    const comparison = compareMultipleMonths(records, targetMonths, {
+        timeZone,
+        timeSlots,
+        calendar,
+        firstDate,
+        lastDate: formatDateKey(asOf, timeZone)
+    }, monthCache);
+    monthCache.save();
+    
+    // 結果をJSONファイルに保存
+    const result = {
+        comparison,
+        metadata: { ...describeAnalysis(records, targetMonths, timeSlots, asOf, timeZone), privacy: describePrivacy(privacy) }
+    };
+    // 月ごとの分割ファイルに保存し、metadata はマニフェストに載せる
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const protectedComparison = Object.fromEntries(Object.entries(comparison).map(([month, data]) => [month, protectTimeAnalysis(data, privacy)]));
+    const outputPaths = await writeChunkedView(outDir, 'time', protectedComparison, {
+        index: { metadata: result.metadata },
+        replaces: ['time-analysis.json'],
+        run: runInfo
+    });
+    
+    console.log('時間帯別・曜日別分析完了');
+    console.log(`結果を保存: ${path.join(outDir, DATA_DIR, 'time')} (${outputPaths.length}ファイル)`);
+    
+    // 結果の概要を表示
+    targetMonths.forEach(month => {
+        console.log(`\n=== ${month} ===`);
+        const data = comparison[month];
         
-        // 利用可能な月を取得
-        const availableMonths = [...new Set(records.map(r => r.yearMonth))].sort();
-        console.log('利用可能な月:', availableMonths);
-        
-        // 最新の3ヶ月を分析対象とする
-        const targetMonths = availableMonths.slice(-3);
-        console.log('分析対象月:', targetMonths);
-        
-        // 複数月比較分析を実行
-        const comparison = compareMultipleMonths(records, targetMonths);
-        
-        // 結果をJSONファイルに保存
-        const outputPath = path.join(__dirname, '../docs/time-analysis.json');
-        await fs.writeFile(outputPath, JSON.stringify({
-            comparison,
-            metadata: {
-                generatedAt: new Date().toISOString(),
-                totalRecords: records.length,
-                analysisMonths: targetMonths,
-                timeSlots: {
-                    morning: '朝（8-12時）',
-                    afternoon: '昼（12-18時）',
-                    evening: '夜（18-23時）'
-                }
-            }
-        }, null, 2));
-        
-        console.log('時間帯別・曜日別分析完了');
-        console.log(`結果を保存: ${outputPath}`);
-        
-        // 結果の概要を表示
-        targetMonths.forEach(month => {
-            console.log(`\n=== ${month} ===`);
-            const data = comparison[month];
-            
-            console.log('時間帯別平均利用人数:');
-            Object.entries(data.timeSlots.timeSlotAverages).forEach(([slot, stats]) => {
-                const slotName = slot === 'morning' ? '朝' : slot === 'afternoon' ? '昼' : '夜';
-                console.log(`  ${slotName}: ${stats.averageOccupancy}人/日`);
-            });
-            
-            console.log('曜日別平均利用人数:');
-            Object.entries(data.dayOfWeek).forEach(([day, stats]) => {
-                console.log(`  ${stats.dayName}: ${stats.averageOccupancy}人/日`);
-            });
+        console.log('時間帯別平均利用人数:');
+        Object.entries(data.timeSlots.timeSlotAverages).forEach(([slot, stats]) => {
+            console.log(`  ${timeSlots.labels[slot]}: ${stats.averageOccupancy}人/日 (${stats.totalHours}時間)`);
         });
+        const { outOfHours } = data.timeSlots;
+        console.log(`  ${OUT_OF_HOURS_LABEL}: ${outOfHours.totalSessions}回 (${outOfHours.totalHours}時間)`);
         
-    } catch (error) {
-        console.error('分析中にエラーが発生しました:', error);
-    }
+        console.log(`曜日別平均利用人数（祝日・イベント日を除く、営業日${data.calendar.openDays}日）:`);
+        Object.entries(data.dayOfWeek).forEach(([day, stats]) => {
+            console.log(`  ${stats.dayName}: ${stats.averageOccupancy}人/日 (${stats.daysAnalyzed}日)`);
+        });
+        console.log('日の種別ごとの平均利用人数:');
+        Object.values(data.dayTypes).forEach(stats => {
+            console.log(`  ${stats.label}: ${stats.averageOccupancy}人/日 (${stats.daysAnalyzed}日)`);
+        });
+    });
+
+    return result;
 }
 
-// スクリプトが直接実行された場合のみmain関数を呼び出し
+// スクリプトが直接実行された場合のみrun関数を呼び出し
 if (require.main === module) {
-    main();
+    run().catch(error => {
+        console.error('分析中にエラーが発生しました:', error);
+    });
 }
 
 module.exports = {
+    run,
     analyzeTimeSlots,
     analyzeDayOfWeek,
+    analyzeDayTypes,
     compareMultipleMonths,
+    analyzeDateRange,
+    describeAnalysis,
+    protectTimeAnalysis,
+    getMonthRange,
     loadCSV
 };
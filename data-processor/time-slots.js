@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TIME_ZONE, formatDateKey, startOfDateKey, addDaysToKey, zonedDateTime } = require('./time-zone');
+
+/**
+ * 既定の時間帯・営業時間の定義ファイル
+ */
+const DEFAULT_TIME_SLOTS_PATH = path.join(__dirname, 'config', 'time-slots.json');
+
+/**
+ * 営業時間外の集計キーと表示名
+ */
+const OUT_OF_HOURS = 'outOfHours';
+const OUT_OF_HOURS_LABEL = '営業時間外';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * "HH:mm" を0時からの分数に変換
+ * @param {string} value - "08:00"（終了時刻は "24:00" まで）
+ * @param {string} name - 項目名（エラー表示用）
+ * @returns {number}
+ */
+function parseClock(value, name) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    if (!match || Number(match[2]) >= 60 || minutes > 24 * 60) {
+        throw new Error(`${name} の時刻が不正です（HH:mm で指定してください）: ${value}`);
+    }
+    return minutes;
+}
+
+/**
+ * 時間帯・営業時間の定義を読み込み
+ * 形式: {
+ *   "openingHours": { "open": "08:00", "close": "23:00" },
+ *   "slots": [{ "key": "morning", "label": "朝", "start": "08:00", "end": "12:00" }, ...]
+ * }
+ * 時間帯は営業時間を隙間・重なりなく区切ること（営業時間外の利用は別に集計する）
+ * @param {string} [filePath] - 定義ファイルのパス（省略時は既定のファイル）
+ * @returns {Object} { openingHours: { open, close }, slots: [{ key, label, start, end }]（時刻は0時からの分数）, labels: キー → 表示名 }
+ */
+function loadTimeSlots(filePath) {
+    const slotsPath = filePath || DEFAULT_TIME_SLOTS_PATH;
+    if (!fs.existsSync(slotsPath)) {
+        throw new Error(`時間帯の定義ファイルが見つかりません: ${slotsPath}`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(slotsPath, 'utf8'));
+    const openingHours = {
+        open: parseClock(config.openingHours && config.openingHours.open, 'openingHours.open'),
+        close: parseClock(config.openingHours && config.openingHours.close, 'openingHours.close')
+    };
+    if (openingHours.open >= openingHours.close) {
+        throw new Error('営業時間の終了は開始より後にしてください（日をまたぐ営業時間には未対応）');
+    }
+
+    const slots = (config.slots || []).map((slot, index) => {
+        if (!slot.key || slot.key === OUT_OF_HOURS) {
+            throw new Error(`slots[${index}].key が不正です: ${slot.key}`);
+        }
+        return {
+            key: slot.key,
+            label: slot.label || slot.key,
+            start: parseClock(slot.start, `slots[${index}].start`),
+            end: parseClock(slot.end, `slots[${index}].end`)
+        };
+    }).sort((a, b) => a.start - b.start);
+
+    // 時間帯が営業時間をちょうど区切っているか
+    let cursor = openingHours.open;
+    slots.forEach(slot => {
+        if (slot.start !== cursor || slot.end <= slot.start) {
+            throw new Error(`時間帯 ${slot.key} が営業時間を隙間・重なりなく区切っていません`);
+        }
+        cursor = slot.end;
+    });
+    if (slots.length === 0 || cursor !== openingHours.close) {
+        throw new Error('時間帯の定義が営業時間の終了まで届いていません');
+    }
+
+    const labels = {};
+    slots.forEach(slot => {
+        labels[slot.key] = `${slot.label}（${formatClock(slot.start)}-${formatClock(slot.end)}）`;
+    });
+
+    return { openingHours, slots, labels };
+}
+
+/**
+ * 0時からの分数を "H:mm" に変換
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatClock(minutes) {
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 時刻の属する時間帯
+ * @param {Object} timeSlots - loadTimeSlots の結果
+ * @param {number} minutes - 0時からの分数
+ * @returns {string} 時間帯キー（営業時間外は "outOfHours"）
+ */
+function findSlot(timeSlots, minutes) {
+    const slot = timeSlots.slots.find(item => minutes >= item.start && minutes < item.end);
+    return slot ? slot.key : OUT_OF_HOURS;
+}
+
+/**
+ * 利用を時間帯ごとに按分
+ * 日をまたぐ利用は各日の時間帯に分ける。チェックアウトがチェックイン以前の行は滞在時間で終了時刻を補う
+ * @param {Object} record - 標準レコード
+ * @param {Object} timeSlots - loadTimeSlots の結果
+ * @param {string} [timeZone] - 施設タイムゾーン
+ * @returns {Array} [{ slot: 時間帯キーまたは "outOfHours", date, minutes }]
+ */
+function apportionSession(record, timeSlots, timeZone = DEFAULT_TIME_ZONE) {
+    const start = record.checkinDate.getTime();
+    const end = record.checkoutDate > record.checkinDate
+        ? record.checkoutDate.getTime()
+        : start + record.stayMinutes * MINUTE_MS;
+    const parts = [];
+
+    const lastDate = formatDateKey(new Date(end - 1), timeZone);
+    for (let date = formatDateKey(new Date(start), timeZone); date <= lastDate; date = addDaysToKey(date, 1)) {
+        const dayStart = startOfDateKey(date, timeZone).getTime();
+        const dayEnd = startOfDateKey(addDaysToKey(date, 1), timeZone).getTime();
+        const [year, month, day] = date.split('-').map(Number);
+        const at = minutes => zonedDateTime(year, month, day, 0, minutes, 0, 0, timeZone).getTime();
+        const overlap = (from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from)) / MINUTE_MS;
+
+        let inHours = 0;
+        timeSlots.slots.forEach(slot => {
+            const minutes = overlap(at(slot.start), at(slot.end));
+            if (minutes > 0) {
+                parts.push({ slot: slot.key, date, minutes });
+                inHours += minutes;
+            }
+        });
+
+        const outside = overlap(dayStart, dayEnd) - inHours;
+        if (outside > 0) {
+            parts.push({ slot: OUT_OF_HOURS, date, minutes: outside });
+        }
+    }
+
+    return parts;
+}
+
+module.exports = {
+    DEFAULT_TIME_SLOTS_PATH,
+    OUT_OF_HOURS,
+    OUT_OF_HOURS_LABEL,
+    loadTimeSlots,
+    formatClock,
+    findSlot,
+    apportionSession
+};
@@ -0,0 +1,231 @@
+/**
+ * 施設タイムゾーンでの日付・時刻計算
+ * 日付・時間・曜日・月の集計キーはすべて施設のタイムゾーンで求め、
+ * 実行環境のTZ設定に結果が左右されないようにする
+ */
+
+/**
+ * 既定の施設タイムゾーン（NIHO kamakura）
+ */
+const DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Intl.DateTimeFormatの生成は重いのでタイムゾーンごとに使い回す
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * タイムゾーン名が有効かを検証
+ * @param {string} timeZone - IANAタイムゾーン名（例: "Asia/Tokyo"）
+ * @returns {string} 検証済みのタイムゾーン名
+ */
+function assertTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+    } catch (error) {
+        throw new Error(`タイムゾーンが不正です: ${timeZone}`);
+    }
+    return timeZone;
+}
+
+/**
+ * 指定タイムゾーンでの日時の各要素を取得
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {Object} { year, month(1-12), day, hour, minute, second, dayOfWeek(0:日曜日〜6:土曜日) }
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        dayOfWeek: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * 指定タイムゾーンのUTCからの時差（分）を取得
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {number} 時差（分）。日本時間なら540
+ */
+function getTimeZoneOffset(date, timeZone = DEFAULT_TIME_ZONE) {
+    const p = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / (60 * 1000));
+}
+
+/**
+ * 指定タイムゾーンの日時（壁時計の時刻）をDateオブジェクトに変換
+ * 月・日などの範囲外の値は Date.UTC と同様に繰り上げ・繰り下げる
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} [day]
+ * @param {number} [hour]
+ * @param {number} [minute]
+ * @param {number} [second]
+ * @param {number} [millisecond]
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function zonedDateTime(year, month, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0, timeZone = DEFAULT_TIME_ZONE) {
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    // 時差は時刻によって変わりうる（夏時間）ため、求めた時刻で時差を再計算する
+    const guess = getTimeZoneOffset(new Date(asUTC), timeZone);
+    const offset = getTimeZoneOffset(new Date(asUTC - guess * 60 * 1000), timeZone);
+    return new Date(asUTC - offset * 60 * 1000);
+}
+
+/**
+ * 日付キーを生成
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string} "2025-08-01" 形式
+ */
+function formatDateKey(date, timeZone = DEFAULT_TIME_ZONE) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * 年月キーを生成
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string} "2025-08" 形式
+ */
+function formatYearMonth(date, timeZone = DEFAULT_TIME_ZONE) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}`;
+}
+
+/**
+ * 日時を表示用の文字列に変換
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string} "2025-08-01 09:15" 形式
+ */
+function formatDateTime(date, timeZone = DEFAULT_TIME_ZONE) {
+    const p = getZonedParts(date, timeZone);
+    const pad = n => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * 時（0-23）を取得
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+function getZonedHour(date, timeZone = DEFAULT_TIME_ZONE) {
+    return getZonedParts(date, timeZone).hour;
+}
+
+/**
+ * 曜日（0:日曜日 〜 6:土曜日）を取得
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+function getZonedDayOfWeek(date, timeZone = DEFAULT_TIME_ZONE) {
+    return getZonedParts(date, timeZone).dayOfWeek;
+}
+
+/**
+ * 次の「時」の境界（XX:00:00）を取得
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function startOfNextHour(date, timeZone = DEFAULT_TIME_ZONE) {
+    const p = getZonedParts(date, timeZone);
+    return zonedDateTime(p.year, p.month, p.day, p.hour + 1, 0, 0, 0, timeZone);
+}
+
+/**
+ * 指定日（施設タイムゾーン）の開始時刻を取得
+ * @param {string} dateKey - "2025-08-01" 形式
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function startOfDateKey(dateKey, timeZone = DEFAULT_TIME_ZONE) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return zonedDateTime(year, month, day, 0, 0, 0, 0, timeZone);
+}
+
+/**
+ * 日付キーに日数を加算
+ * @param {string} dateKey - "2025-08-01" 形式
+ * @param {number} days
+ * @returns {string} "2025-08-02" 形式
+ */
+function addDaysToKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * 日付キーの間の日数
+ * @param {string} from - "2025-08-01" 形式
+ * @param {string} to - "2025-08-03" 形式
+ * @returns {number} to - from の日数（例: 2）
+ */
+function daysBetweenKeys(from, to) {
+    const toUTC = key => {
+        const [year, month, day] = key.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUTC(to) - toUTC(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * 月の日数を取得
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    assertTimeZone,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedDateTime,
+    formatDateKey,
+    formatYearMonth,
+    formatDateTime,
+    getZonedHour,
+    getZonedDayOfWeek,
+    startOfNextHour,
+    startOfDateKey,
+    addDaysToKey,
+    daysBetweenKeys,
+    getDaysInMonth
+};
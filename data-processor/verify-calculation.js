@@ -1,97 +1,84 @@
-const fs = require('fs').promises;
-const csv = require('csv-parser');
-const createReadStream = require('fs').createReadStream;
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { readChunk } = require('./manifest');
+const { loadSourceRecords } = require('./record-store');
+const { normalizeName } = require('./identity');
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedDateTime, formatYearMonth } = require('./time-zone');
 
 /**
- * 検算用スクリプト：上岡洋一郎さんのデータで手動計算検証
+ * 検算用スクリプト：指定ユーザーのデータで手動計算検証
  */
 
-function parseStayTime(timeStr) {
-    const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-    return hours * 60 + minutes + seconds / 60;
-}
-
-function parseDateTime(dateStr) {
-    return new Date(dateStr);
-}
-
-function getYearMonth(date) {
-    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-}
+const DEFAULT_INPUT = path.join(__dirname, 'nihouse.csv');
+const DEFAULT_USER = '森聖子';
 
-function isWithinPeriod(date, months) {
-    const cutoffDate = new Date();
-    cutoffDate.setMonth(cutoffDate.getMonth() - months);
+function isWithinPeriod(date, months, asOf = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+    const now = getZonedParts(asOf, timeZone);
+    const cutoffDate = zonedDateTime(now.year, now.month - months, now.day, now.hour, now.minute, now.second, 0, timeZone);
     return date >= cutoffDate;
 }
 
-function isJulyOnly(date) {
-    const yearMonth = getYearMonth(date);
-    return yearMonth === '2025-07';
+function isJulyOnly(record) {
+    return record.yearMonth === '2025-07';
 }
 
-async function verifyCalculation() {
-    const targetUser = '森聖子';
-    const userRecords = [];
+/**
+ * @param {Object} [options]
+ * @param {string} [options.input] - 入力CSVファイルパス
+ * @param {string} [options.outDir] - 比較対象のユーザー統計（niho users の出力）があるディレクトリ
+ * @param {string} [options.user] - 検証対象ユーザー名
+ * @param {Date} [options.asOf] - 基準日時
+ * @param {number} [options.months] - 検証するローリング期間の月数
+ * @param {string} [options.timeZone] - 施設タイムゾーン
+ */
+async function verifyCalculation(options = {}) {
+    const targetUser = options.user || DEFAULT_USER;
+    const context = {
+        targetUser,
+        asOf: options.asOf || new Date(),
+        timeZone: options.timeZone || DEFAULT_TIME_ZONE,
+        outDir: options.outDir || DEFAULT_OUT_DIR
+    };
+    const months = options.months || 6;
     
     console.log(`🔍 ${targetUser}さんのデータを検証します...\n`);
 
-    // CSVデータを読み込み、対象ユーザーのみ抽出
-    return new Promise((resolve, reject) => {
-        createReadStream('nihouse.csv')
-            .pipe(csv())
-            .on('data', (row) => {
-                const customerName = row['顧客名']?.trim();
-                const checkinTime = row['チェックイン日時']?.trim();
-                const stayTime = row['滞在時間']?.trim();
-
-                if (customerName === targetUser && checkinTime && stayTime) {
-                    try {
-                        const checkinDate = parseDateTime(checkinTime);
-                        const stayMinutes = parseStayTime(stayTime);
-
-                        if (stayMinutes > 0) {
-                            userRecords.push({
-                                customerName,
-                                checkinDate,
-                                stayMinutes,
-                                stayTime: stayTime,
-                                yearMonth: getYearMonth(checkinDate)
-                            });
-                        }
-                    } catch (error) {
-                        console.warn('データ解析エラー:', row);
-                    }
-                }
-            })
-            .on('end', () => {
-                console.log(`📊 ${targetUser}さんの有効レコード数: ${userRecords.length}件\n`);
-                
-                // 6ヶ月間の検証
-                console.log('=== 6ヶ月間の計算検証 ===');
-                verifyPeriod(userRecords, 6);
-                
-                console.log('\n=== 1ヶ月間の計算検証 ===');
-                verifyPeriod(userRecords, 1);
-                
-                console.log('\n=== 時間変換の例 ===');
-                showTimeConversionExamples(userRecords);
-                
-                resolve();
-            })
-            .on('error', reject);
-    });
+    // CSVデータを読み込み、対象ユーザーを同定（表記ゆれのある名前でも同じ利用者キーにまとまる）
+    const { records, users } = await loadSourceRecords(options.input || DEFAULT_INPUT, options);
+    const userKeys = Object.values(users)
+        .filter(user => user.names.some(name => normalizeName(name) === normalizeName(targetUser)))
+        .map(user => user.userKey);
+    if (userKeys.length > 1) {
+        console.log(`⚠️  同名の利用者が${userKeys.length}名います。最初の利用者 (${userKeys[0]}) を検証します\n`);
+    }
+    context.userKey = userKeys[0];
+
+    const userRecords = records
+        .filter(record => record.userKey === context.userKey && record.checkinDate <= context.asOf)
+        .map(record => ({ ...record, yearMonth: formatYearMonth(record.checkinDate, context.timeZone) }));
+
+    console.log(`📊 ${targetUser}さんの有効レコード数: ${userRecords.length}件\n`);
+    
+    // ローリング期間の検証
+    console.log(`=== ${months}ヶ月間の計算検証 ===`);
+    await verifyPeriod(userRecords, months, context);
+    
+    console.log('\n=== 1ヶ月間の計算検証 ===');
+    await verifyPeriod(userRecords, 1, context);
+    
+    console.log('\n=== 時間変換の例 ===');
+    showTimeConversionExamples(userRecords);
 }
 
-function verifyPeriod(allRecords, months) {
+async function verifyPeriod(allRecords, months, context) {
     // 期間フィルタリング
     const filteredRecords = allRecords.filter(record => {
         if (months === 1) {
             // 1ヶ月間の場合は7月のデータのみ
-            return isJulyOnly(record.checkinDate);
+            return isJulyOnly(record);
         } else {
             // 6ヶ月間の場合は従来通り
-            return isWithinPeriod(record.checkinDate, months);
+            return isWithinPeriod(record.checkinDate, months, context.asOf, context.timeZone);
         }
     });
     
@@ -150,7 +137,7 @@ function verifyPeriod(allRecords, months) {
     console.log(`  月平均利用時間: ${totalMinutes.toFixed(1)} ÷ (60 × ${months}) = ${monthlyHours}時間/月`);
     
     // JSONファイルの結果と比較
-    compareWithJSON(months, {
+    await compareWithJSON(months, context, {
         monthlyVisits,
         monthlyHours,
         totalVisits,
@@ -168,17 +155,17 @@ function showTimeConversionExamples(records) {
         const minutes = Math.floor(record.stayMinutes % 60);
         const seconds = Math.round((record.stayMinutes % 1) * 60);
         
-        console.log(`  ${index + 1}. "${record.stayTime}" → ${record.stayMinutes.toFixed(2)}分 (${hours}時間${minutes}分${seconds}秒)`);
+        console.log(`  ${index + 1}. 行${record.rowNumber} → ${record.stayMinutes.toFixed(2)}分 (${hours}時間${minutes}分${seconds}秒)`);
     });
 }
 
-async function compareWithJSON(months, calculated) {
+async function compareWithJSON(months, context, calculated) {
     try {
-        const jsonData = JSON.parse(await fs.readFile('../docs/user-data.json', 'utf8'));
-        const dataKey = months === 6 ? 'sixMonthData' : 'oneMonthData';
-        const userData = jsonData[dataKey];
+        // ローリング期間は直近Nヶ月、1ヶ月間は7月単月と比較
+        const periodKey = months === 1 ? '2025-07' : `last-${months}m`;
+        const userData = (await readChunk(context.outDir, 'users', periodKey)).users;
         
-        const targetUser = userData.find(user => user.name === '上岡洋一郎');
+        const targetUser = userData.find(user => user.userKey === context.userKey);
         
         if (targetUser) {
             console.log('\n📋 JSONファイルとの比較:');
@@ -195,7 +182,88 @@ async function compareWithJSON(months, calculated) {
     }
 }
 
+/**
+ * タイムゾーン境界の検証用データ（架空の利用者）
+ * 深夜0時・月末をまたぐ利用と、タイムゾーン表記のない日時を含む
+ */
+const TIME_ZONE_FIXTURE = path.join(__dirname, 'fixtures', 'timezone-boundaries.csv');
+
+/**
+ * 検証用データの期待値（Asia/Tokyo基準。実行環境のTZに関係なく一致すること）
+ */
+const TIME_ZONE_EXPECTED = {
+    checkins: ['2025-07-31T14:30:00.000Z', '2025-07-31T23:30:00.000Z', '2025-08-31T13:00:00.000Z'],
+    timeFields: [
+        { yearMonth: '2025-07', date: '2025-07-31', hour: 23, dayOfWeek: 4 },
+        { yearMonth: '2025-08', date: '2025-08-01', hour: 8, dayOfWeek: 5 },
+        { yearMonth: '2025-08', date: '2025-08-31', hour: 22, dayOfWeek: 0 }
+    ],
+    hourlyMinutes: {
+        '2025-07-31-23': 30,
+        '2025-08-01-00': 60,
+        '2025-08-01-01': 15,
+        '2025-08-01-08': 30,
+        '2025-08-01-09': 60,
+        '2025-08-31-22': 60,
+        '2025-08-31-23': 60,
+        '2025-09-01-00': 30
+    },
+    dailySessions: { '2025-07-31': 1, '2025-08-01': 1, '2025-08-31': 1 },
+    monthlyUsers: { '2025-07': ['検証太郎'], '2025-08': ['検証次郎', '検証花子'] },
+    firstCheckIn: { '検証太郎': '2025-07-31' }
+};
+
+/**
+ * タイムゾーン境界の回帰検証
+ * @returns {Promise<number>} 不一致の件数
+ */
+async function verifyTimeZoneFixtures() {
+    const { loadCSV } = require('./time-analysis');
+    const { calculateHourlyOccupancy } = require('./realtime-analysis');
+    const { processCSV } = require('./process-csv');
+
+    let failures = 0;
+    const check = (label, actual, expected) => {
+        const ok = JSON.stringify(actual) === JSON.stringify(expected);
+        if (!ok) failures++;
+        console.log(`  ${ok ? '✅' : '❌'} ${label}: ${JSON.stringify(actual)}${ok ? '' : ` (期待値: ${JSON.stringify(expected)})`}`);
+    };
+
+    console.log(`🔍 タイムゾーン境界の検証 (実行環境TZ: ${process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone})\n`);
+
+    const records = await loadCSV(TIME_ZONE_FIXTURE);
+    check('チェックイン日時', records.map(r => r.checkinDate.toISOString()), TIME_ZONE_EXPECTED.checkins);
+    check('年月・日付・時・曜日', records.map(({ yearMonth, date, hour, dayOfWeek }) => ({ yearMonth, date, hour, dayOfWeek })), TIME_ZONE_EXPECTED.timeFields);
+
+    const { hourlyOccupancy, dailyStats } = calculateHourlyOccupancy(records);
+    const hourlyMinutes = {};
+    Object.keys(hourlyOccupancy).sort().forEach(dateHour => {
+        hourlyMinutes[dateHour] = Math.round(hourlyOccupancy[dateHour].totalMinutes);
+    });
+    check('時間別利用時間(分)', hourlyMinutes, TIME_ZONE_EXPECTED.hourlyMinutes);
+
+    const dailySessions = {};
+    Object.keys(dailyStats).sort().forEach(date => {
+        dailySessions[date] = dailyStats[date].totalSessions;
+    });
+    check('日別セッション数', dailySessions, TIME_ZONE_EXPECTED.dailySessions);
+
+    const statistics = await processCSV(TIME_ZONE_FIXTURE, { asOf: new Date('2025-09-30T00:00:00Z') });
+    Object.entries(TIME_ZONE_EXPECTED.monthlyUsers).forEach(([yearMonth, names]) => {
+        check(`${yearMonth}の利用者`, statistics.periods[yearMonth].users.map(u => u.name).sort(), names);
+    });
+    Object.entries(TIME_ZONE_EXPECTED.firstCheckIn).forEach(([name, date]) => {
+        const user = statistics.periods['2025-07'].users.find(u => u.name === name);
+        check(`${name}の初回チェックイン日`, user && user.firstCheckIn, date);
+    });
+
+    console.log(failures === 0 ? '\n✅ すべて一致しました' : `\n❌ ${failures}件の不一致があります`);
+    return failures;
+}
+
 // スクリプト実行
 if (require.main === module) {
     verifyCalculation().catch(console.error);
-}
\ No newline at end of file
+}
+
+module.exports = { verifyCalculation, verifyTimeZoneFixtures };
\ No newline at end of file
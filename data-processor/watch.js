@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OUT_DIR } = require('./output');
+const { readManifest } = require('./manifest');
+const { importFiles, loadSourceRecords } = require('./record-store');
+const { hashFile, getSourcePath } = require('./run-stamp');
+
+/**
+ * 既定の受け取りディレクトリ（CSVエクスポートを置く場所。個人情報を含むためGit管理外）
+ */
+const DEFAULT_INBOX_DIR = path.join(__dirname, 'inbox');
+
+/**
+ * 最後の変更から処理を始めるまでの待ち時間（ミリ秒。コピー中のファイルを読み込まないため）
+ */
+const SETTLE_MS = 2000;
+
+/**
+ * 監視対象のファイルか（隠しファイル・一時ファイルを除くCSV）
+ * @param {string} fileName - ファイル名
+ * @returns {boolean}
+ */
+function isInboxCSV(fileName) {
+    return Boolean(fileName) && !fileName.startsWith('.') && fileName.toLowerCase().endsWith('.csv');
+}
+
+/**
+ * 受け取りディレクトリのCSVを更新日時の古い順に取得
+ * @param {string} inboxDir - 受け取りディレクトリ
+ * @returns {Array<string>} ファイルパス
+ */
+function listInbox(inboxDir) {
+    return fs.readdirSync(inboxDir)
+        .filter(isInboxCSV)
+        .map(fileName => path.join(inboxDir, fileName))
+        .map(filePath => ({ filePath, mtimeMs: fs.statSync(filePath).mtimeMs }))
+        .sort((a, b) => a.mtimeMs - b.mtimeMs)
+        .map(({ filePath }) => filePath);
+}
+
+/**
+ * 受け取りディレクトリを監視し、CSVが置かれる・変更されるたびに全処理を実行する
+ * CSVはそれぞれ全期間のエクスポートとして、変更されたファイルを入力にする。
+ * options.store の場合は保存済みレコードに取り込んでから、保存済みレコードで集計する
+ * 処理は1件ずつ順に行い、入力の内容が前回の処理と同じ場合は実行しない
+ * @param {Object} options - cli.js のオプション
+ * @param {string} [options.inbox] - 受け取りディレクトリ
+ * @param {string} [options.outDir] - 出力ディレクトリ
+ * @param {boolean} [options.store] - 保存済みレコードに取り込んで集計する
+ * @param {boolean} [options.fixedAsOf] - 基準日時を固定する（--as-of 指定時。それ以外は処理するたびに現在時刻）
+ * @param {Function} pipeline - 全処理（cli.js の all）
+ * @returns {Promise<fs.FSWatcher>}
+ */
+async function run(options, pipeline) {
+    const inboxDir = options.inbox || DEFAULT_INBOX_DIR;
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    fs.mkdirSync(inboxDir, { recursive: true });
+
+    // 前回の出力の入力ハッシュ（同じ入力なら起動時に処理し直さない）
+    const manifest = await readManifest(outDir);
+    const lastRun = manifest.views.users && manifest.views.users.run;
+    let lastSourceHash = lastRun ? lastRun.sourceHash : null;
+    const fileHashes = new Map();
+
+    const processFile = async filePath => {
+        const fileHash = await hashFile(filePath);
+        if (fileHash === null || fileHashes.get(filePath) === fileHash) return;
+        fileHashes.set(filePath, fileHash);
+
+        const runOptions = { ...options, asOf: options.fixedAsOf ? options.asOf : new Date() };
+        if (options.store) {
+            await importFiles([filePath], options);
+        } else {
+            runOptions.input = filePath;
+        }
+        const sourceHash = await hashFile(getSourcePath(runOptions));
+        if (sourceHash === lastSourceHash) {
+            console.log(`⏭️  ${path.basename(filePath)}: 前回の処理と同じ内容のためスキップ`);
+            return;
+        }
+        // 列名の違うファイルなどで出力を空にしないよう、有効なレコードがあることを先に確認する
+        const { records } = await loadSourceRecords(runOptions.input, runOptions);
+        if (records.length === 0) {
+            throw new Error('有効なレコードがありません（列名の対応・ファイルの形式を確認してください）');
+        }
+
+        console.log(`\n🔄 ${path.basename(filePath)} を処理します (${new Date().toISOString()})`);
+        await pipeline(runOptions);
+        lastSourceHash = sourceHash;
+        console.log(`✅ ${path.basename(filePath)} の処理が完了しました。次のファイルを待っています...`);
+    };
+
+    let queue = Promise.resolve();
+    const enqueue = filePath => {
+        queue = queue
+            .then(() => processFile(filePath))
+            .catch(error => {
+                // 失敗したファイルは、置き直すか保存し直すと再処理する
+                fileHashes.delete(filePath);
+                console.error(`❌ ${path.basename(filePath)} の処理に失敗しました:`, error.message);
+            });
+        return queue;
+    };
+
+    // 起動時: 保存済みレコードにはすべて取り込み、CSVを直接使う場合は最新のファイルだけを処理する
+    const existing = listInbox(inboxDir);
+    (options.store ? existing : existing.slice(-1)).forEach(enqueue);
+
+    const timers = new Map();
+    const watcher = fs.watch(inboxDir, (eventType, fileName) => {
+        if (!isInboxCSV(fileName)) return;
+        const filePath = path.join(inboxDir, fileName);
+        clearTimeout(timers.get(filePath));
+        timers.set(filePath, setTimeout(() => {
+            timers.delete(filePath);
+            enqueue(filePath);
+        }, SETTLE_MS));
+    });
+
+    console.log(`👀 ${inboxDir} を監視しています（CSVを置くと全処理を実行します。Ctrl+C で停止）`);
+    return watcher;
+}
+
+module.exports = {
+    run,
+    DEFAULT_INBOX_DIR
+};